@@ -0,0 +1,361 @@
+/**
+ * Cedar JSON (EST) Conversion
+ *
+ * Converts policies and expressions in Cedar's JSON policy format (as
+ * produced by `cedar tpe --output-format json`, `policyToJson` or the WASM
+ * partial-evaluation bindings) into the AST used by cedar-parser.js, so the
+ * residual compiler only has to walk one representation, and converts
+ * residual conditions back for partial-eval.js's JSON output.
+ *
+ * Reference: https://docs.cedarpolicy.com/policies/json-format.html
+ */
+
+import { makeNary } from './cedar-parser.js';
+
+const BINARY_OPS = new Set([
+  '==', '!=', '<', '<=', '>', '>=', '+', '-', '*', 'in',
+  'contains', 'containsAll', 'containsAny', 'getTag', 'hasTag'
+]);
+
+const EXPRESSION_KEYS = new Set([
+  'Value', 'Var', 'Slot', 'Unknown', 'unknown', '!', 'neg', '&&', '||', '.', 'has', 'like', 'is',
+  'if-then-else', 'Set', 'Record', 'isEmpty', ...BINARY_OPS
+]);
+
+/**
+ * Check whether a value looks like a Cedar JSON expression
+ *
+ * @param {*} value - Candidate expression
+ * @returns {boolean} True for single-key objects keyed by a Cedar JSON operator
+ */
+export function isEstExpression(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  if (keys.length !== 1) {
+    return false;
+  }
+  // Extension function calls are { "<fn>": [args] }
+  return EXPRESSION_KEYS.has(keys[0]) || Array.isArray(value[keys[0]]);
+}
+
+/**
+ * Check whether a value looks like a Cedar JSON policy
+ *
+ * @param {*} value - Candidate policy
+ * @returns {boolean} True when the value has an effect and scope constraints
+ */
+export function isEstPolicy(value) {
+  return Boolean(value && typeof value === 'object' && (value.effect === 'permit' || value.effect === 'forbid')
+    && value.principal && value.action && value.resource);
+}
+
+/**
+ * Convert a Cedar JSON expression into an expression AST
+ *
+ * @param {Object} expr - Cedar JSON expression
+ * @returns {Object} Expression AST
+ */
+export function estToAst(expr) {
+  if (!isEstExpression(expr)) {
+    throw new Error(`Invalid Cedar JSON expression: ${JSON.stringify(expr)}`);
+  }
+
+  const [key] = Object.keys(expr);
+  const body = expr[key];
+
+  switch (key) {
+    case 'Value':
+      return valueToAst(body);
+
+    case 'Var':
+      return { op: 'var', name: body };
+
+    case 'Slot':
+      return { op: 'slot', name: body.startsWith('?') ? body : `?${body}` };
+
+    case 'Unknown':
+    case 'unknown':
+      // Partial evaluation marks the abstract request variable as an unknown,
+      // e.g. { "unknown": [{ "Value": "resource" }] }
+      return unknownToAst(body);
+
+    case '!':
+      return { op: '!', arg: estToAst(body.arg) };
+
+    case 'neg':
+      return { op: 'neg', arg: estToAst(body.arg) };
+
+    case '&&':
+    case '||':
+      return makeNary(key, [estToAst(body.left), estToAst(body.right)]);
+
+    case '.':
+      return { op: '.', left: estToAst(body.left), attr: body.attr };
+
+    case 'has': {
+      // Cedar 4 allows `has` over an attribute path: [a, b] means `has a.b`
+      const attrs = Array.isArray(body.attr) ? body.attr : [body.attr];
+      let target = estToAst(body.left);
+      const checks = [];
+      for (const attr of attrs) {
+        checks.push({ op: 'has', left: target, attr });
+        target = { op: '.', left: target, attr };
+      }
+      return makeNary('&&', checks);
+    }
+
+    case 'like':
+      return {
+        op: 'like',
+        left: estToAst(body.left),
+        pattern: typeof body.pattern === 'string' ? patternFromString(body.pattern) : mergeLiterals(body.pattern)
+      };
+
+    case 'is': {
+      const node = { op: 'is', left: estToAst(body.left), entityType: body.entity_type };
+      if (body.in) {
+        node.in = estToAst(body.in);
+      }
+      return node;
+    }
+
+    case 'if-then-else':
+      return {
+        op: 'if-then-else',
+        if: estToAst(body.if),
+        then: estToAst(body.then),
+        else: estToAst(body.else)
+      };
+
+    case 'Set':
+      return { op: 'set', elements: body.map(estToAst) };
+
+    case 'Record':
+      return {
+        op: 'record',
+        attrs: Object.fromEntries(Object.entries(body).map(([k, v]) => [k, estToAst(v)]))
+      };
+
+    case 'isEmpty':
+      return { op: 'isEmpty', arg: estToAst(body.arg) };
+
+    default:
+      if (BINARY_OPS.has(key)) {
+        return { op: key, left: estToAst(body.left), right: estToAst(body.right) };
+      }
+      // Extension function or method call: { "ip": [arg] }, { "lessThan": [a, b] }
+      return { op: 'call', fn: key, args: body.map(estToAst) };
+  }
+}
+
+/**
+ * Convert an expression AST into a Cedar JSON expression
+ *
+ * The inverse of estToAst: n-ary `&&`/`||` become left-nested binary nodes
+ * and literal values are written as { "Value": ... }.
+ *
+ * @param {Object} node - Expression AST
+ * @returns {Object} Cedar JSON expression
+ */
+export function astToEst(node) {
+  switch (node.op) {
+    case 'value':
+      return { Value: node.value };
+
+    case 'entity':
+      return { Value: { __entity: { type: node.type, id: node.id } } };
+
+    case 'var':
+      return { Var: node.name };
+
+    case 'slot':
+      return { Slot: node.name };
+
+    case '!':
+    case 'neg':
+    case 'isEmpty':
+      return { [node.op]: { arg: astToEst(node.arg) } };
+
+    case '&&':
+    case '||':
+      return node.args
+        .map(astToEst)
+        .reduce((left, right) => ({ [node.op]: { left, right } }));
+
+    case '.':
+    case 'has':
+      return { [node.op]: { left: astToEst(node.left), attr: node.attr } };
+
+    case 'like':
+      return { like: { left: astToEst(node.left), pattern: node.pattern } };
+
+    case 'is': {
+      const body = { left: astToEst(node.left), entity_type: node.entityType };
+      if (node.in) {
+        body.in = astToEst(node.in);
+      }
+      return { is: body };
+    }
+
+    case 'if-then-else':
+      return { 'if-then-else': { if: astToEst(node.if), then: astToEst(node.then), else: astToEst(node.else) } };
+
+    case 'set':
+      return { Set: node.elements.map(astToEst) };
+
+    case 'record':
+      return { Record: Object.fromEntries(Object.entries(node.attrs).map(([k, v]) => [k, astToEst(v)])) };
+
+    case 'call':
+      return { [node.fn]: node.args.map(astToEst) };
+
+    default:
+      if (BINARY_OPS.has(node.op)) {
+        return { [node.op]: { left: astToEst(node.left), right: astToEst(node.right) } };
+      }
+      throw new Error(`Cannot convert ${node.op} to Cedar JSON`);
+  }
+}
+
+/**
+ * Convert a Cedar JSON policy into the policy shape returned by parsePolicies
+ *
+ * @param {Object} policy - Cedar JSON policy ({ effect, principal, action, resource, conditions, annotations })
+ * @param {string} fallbackId - Id to use when the policy has no @id annotation
+ * @returns {Object} Parsed policy: { id, effect, annotations, principal, action, resource, conditions }
+ */
+export function estPolicyToAst(policy, fallbackId = null) {
+  const annotations = policy.annotations || {};
+
+  return {
+    id: annotations.id ?? fallbackId,
+    effect: policy.effect,
+    annotations,
+    principal: scopeToAst(policy.principal),
+    action: scopeToAst(policy.action),
+    resource: scopeToAst(policy.resource),
+    conditions: (policy.conditions || []).map(clause => ({
+      kind: clause.kind,
+      body: estToAst(clause.body)
+    }))
+  };
+}
+
+/**
+ * Convert a scope constraint ({ op: "All" | "==" | "in" | "is", ... })
+ */
+function scopeToAst(scope) {
+  if (!scope || scope.op === 'All') {
+    return { op: 'All' };
+  }
+
+  const target = constraint => constraint.slot
+    ? { op: 'slot', name: constraint.slot.startsWith('?') ? constraint.slot : `?${constraint.slot}` }
+    : entityToAst(constraint.entity);
+
+  switch (scope.op) {
+    case '==':
+      return { op: '==', entity: target(scope) };
+    case 'in':
+      if (scope.entities) {
+        return { op: 'in', entities: scope.entities.map(entityToAst) };
+      }
+      return { op: 'in', entity: target(scope) };
+    case 'is': {
+      const node = { op: 'is', entityType: scope.entity_type };
+      if (scope.in) {
+        node.in = target(scope.in);
+      }
+      return node;
+    }
+    default:
+      throw new Error(`Unknown scope constraint: ${JSON.stringify(scope)}`);
+  }
+}
+
+/**
+ * Convert a Cedar JSON value (the body of { "Value": ... }) into an AST
+ */
+function valueToAst(value) {
+  if (value === null || value === undefined) {
+    throw new Error('Cedar JSON values cannot be null');
+  }
+  if (Array.isArray(value)) {
+    return { op: 'set', elements: value.map(valueToAst) };
+  }
+  if (typeof value === 'object') {
+    if (value.__entity) {
+      return entityToAst(value.__entity);
+    }
+    if (value.__extn) {
+      const args = value.__extn.args ?? [value.__extn.arg];
+      return { op: 'call', fn: value.__extn.fn, args: args.map(valueToAst) };
+    }
+    return {
+      op: 'record',
+      attrs: Object.fromEntries(Object.entries(value).map(([k, v]) => [k, valueToAst(v)]))
+    };
+  }
+  return { op: 'value', value };
+}
+
+/**
+ * Convert an entity UID ({ type, id } or { __entity: { type, id } })
+ */
+function entityToAst(uid) {
+  const { type, id } = uid.__entity || uid;
+  return { op: 'entity', type, id };
+}
+
+function unknownToAst(args) {
+  const name = Array.isArray(args) ? args[0]?.Value : args?.name ?? args;
+  if (typeof name !== 'string') {
+    throw new Error(`Invalid unknown: ${JSON.stringify(args)}`);
+  }
+  // Unknowns are named after the request variable they stand for
+  return { op: 'var', name };
+}
+
+/**
+ * Convert a Cedar pattern string ("a*b", with \* for a literal star)
+ */
+function patternFromString(pattern) {
+  const elements = [];
+  let literal = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\' && pattern[i + 1] === '*') {
+      literal += '*';
+      i++;
+    } else if (pattern[i] === '*') {
+      if (literal) {
+        elements.push({ Literal: literal });
+        literal = '';
+      }
+      elements.push('Wildcard');
+    } else {
+      literal += pattern[i];
+    }
+  }
+  if (literal) {
+    elements.push({ Literal: literal });
+  }
+  return elements;
+}
+
+/**
+ * Join adjacent literal pattern elements (Cedar writes one per character)
+ */
+function mergeLiterals(pattern) {
+  const elements = [];
+  for (const element of pattern) {
+    const last = elements[elements.length - 1];
+    if (element !== 'Wildcard' && last && last !== 'Wildcard') {
+      elements[elements.length - 1] = { Literal: last.Literal + element.Literal };
+    } else {
+      elements.push(element === 'Wildcard' ? element : { Literal: element.Literal });
+    }
+  }
+  return elements;
+}
@@ -0,0 +1,828 @@
+/**
+ * Cedar Expression and Policy Parser
+ *
+ * Tokenizes and parses Cedar policy text (as printed by the Cedar CLI for
+ * TPE residuals, or as written in cedar/policies/) into a small AST that the
+ * residual compiler walks.
+ *
+ * AST nodes are plain objects keyed by `op`:
+ * - Literals:      { op: 'value', value }            (boolean, number, string)
+ * - Entity refs:   { op: 'entity', type, id }
+ * - Variables:     { op: 'var', name }               (principal/action/resource/context)
+ * - Slots:         { op: 'slot', name }              (?principal, ?resource)
+ * - Attributes:    { op: '.', left, attr }
+ * - Boolean:       { op: '&&' | '||', args: [...] }, { op: '!', arg }
+ * - Binary:        { op: '==' | '!=' | '<' | '<=' | '>' | '>=' | '+' | '-' | '*' | 'in', left, right }
+ * - Set methods:   { op: 'contains' | 'containsAll' | 'containsAny' | 'getTag' | 'hasTag', left, right },
+ *                  { op: 'isEmpty', arg }
+ * - Tests:         { op: 'has', left, attr }, { op: 'like', left, pattern },
+ *                  { op: 'is', left, entityType, in? }
+ * - Conditional:   { op: 'if-then-else', if, then, else }
+ * - Collections:   { op: 'set', elements }, { op: 'record', attrs }
+ * - Extensions:    { op: 'call', fn, args }          (ip("..."), x.lessThan(y), ...)
+ * - Negation:      { op: 'neg', arg }
+ *
+ * `like` patterns use Cedar's JSON representation: an array of `"Wildcard"`
+ * and `{ Literal: "..." }` elements.
+ */
+
+const PUNCTUATORS = [
+  '==', '!=', '<=', '>=', '&&', '||', '::',
+  '<', '>', '!', '+', '-', '*', '(', ')', '[', ']', '{', '}', ',', ';', '.', ':', '@', '?', '='
+];
+
+const VARIABLES = new Set(['principal', 'action', 'resource', 'context']);
+
+const SET_METHODS = new Set(['contains', 'containsAll', 'containsAny', 'getTag', 'hasTag']);
+
+const RELATION_OPS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+/**
+ * Split Cedar source text into tokens
+ *
+ * @param {string} text - Cedar source text
+ * @returns {Object[]} Tokens of shape { type, value, raw, pos }
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+      continue;
+    }
+
+    // String literals (keep the raw body for `like` patterns, where \* matters)
+    if (ch === '"') {
+      const start = i;
+      i++;
+      let raw = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') {
+          raw += text[i] + (text[i + 1] ?? '');
+          i += 2;
+        } else {
+          raw += text[i];
+          i++;
+        }
+      }
+      if (i >= text.length) {
+        throw syntaxError(text, start, 'unterminated string literal');
+      }
+      i++;
+      tokens.push({ type: 'string', value: unescapeString(raw, text, start), raw, pos: start });
+      continue;
+    }
+
+    // Integer literals
+    if (/[0-9]/.test(ch)) {
+      const start = i;
+      while (i < text.length && /[0-9]/.test(text[i])) {
+        i++;
+      }
+      tokens.push({ type: 'number', value: Number(text.slice(start, i)), pos: start });
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      const start = i;
+      while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) {
+        i++;
+      }
+      tokens.push({ type: 'ident', value: text.slice(start, i), pos: start });
+      continue;
+    }
+
+    // Operators and punctuation (longest match first)
+    const punct = PUNCTUATORS.find(p => text.startsWith(p, i));
+    if (punct) {
+      tokens.push({ type: 'punct', value: punct, pos: i });
+      i += punct.length;
+      continue;
+    }
+
+    throw syntaxError(text, i, `unexpected character '${ch}'`);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: text.length });
+  return tokens;
+}
+
+/**
+ * Parse a single Cedar expression (e.g. the body of a `when` clause)
+ *
+ * @param {string} text - Cedar expression text
+ * @returns {Object} Expression AST
+ */
+export function parseExpression(text) {
+  const parser = new Parser(text);
+  const expr = parser.parseExpr();
+  parser.expectEnd();
+  return expr;
+}
+
+/**
+ * Parse Cedar policy text containing one or more policies
+ *
+ * @param {string} text - Cedar policy set text
+ * @returns {Object[]} Parsed policies: { id, effect, annotations, principal, action, resource, conditions }
+ */
+export function parsePolicies(text) {
+  const parser = new Parser(text);
+  const policies = [];
+  while (!parser.at('eof')) {
+    policies.push(parser.parsePolicy());
+  }
+  return policies;
+}
+
+/**
+ * Fold a parsed policy's scope and when/unless clauses into one condition
+ *
+ * Scope constraints that are unconstrained (`principal`, `action`, `resource`)
+ * are omitted; the rest become ordinary expressions so the compiler only has
+ * to deal with a single AST.
+ *
+ * @param {Object} policy - Policy from parsePolicies
+ * @returns {Object} Expression AST (a `true` literal when the policy is unconditional)
+ */
+export function policyCondition(policy) {
+  const parts = [];
+
+  for (const name of ['principal', 'action', 'resource']) {
+    const scope = policy[name];
+    if (!scope || scope.op === 'All') {
+      continue;
+    }
+    const variable = { op: 'var', name };
+    if (scope.op === '==') {
+      parts.push({ op: '==', left: variable, right: scope.entity });
+    } else if (scope.op === 'in') {
+      const right = scope.entities ? { op: 'set', elements: scope.entities } : scope.entity;
+      parts.push({ op: 'in', left: variable, right });
+    } else if (scope.op === 'is') {
+      const node = { op: 'is', left: variable, entityType: scope.entityType };
+      if (scope.in) {
+        node.in = scope.in;
+      }
+      parts.push(node);
+    }
+  }
+
+  for (const clause of policy.conditions || []) {
+    parts.push(clause.kind === 'unless' ? { op: '!', arg: clause.body } : clause.body);
+  }
+
+  if (parts.length === 0) {
+    return { op: 'value', value: true };
+  }
+  // A `when { a && b }` clause joins the other parts rather than nesting
+  return makeNary('&&', parts);
+}
+
+/**
+ * Render an expression AST back to Cedar syntax
+ *
+ * @param {Object} node - Expression AST
+ * @returns {string} Cedar expression text
+ */
+export function toCedarText(node) {
+  return render(node, 0);
+}
+
+// Binding strength used when deciding where parentheses are needed
+const PRECEDENCE = {
+  'if-then-else': 0,
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '<': 3, '<=': 3, '>': 3, '>=': 3, 'in': 3, 'has': 3, 'like': 3, 'is': 3,
+  '+': 4, '-': 4,
+  '*': 5,
+  '!': 6, 'neg': 6
+};
+
+function render(node, minPrec) {
+  if (!node || typeof node !== 'object') {
+    return String(node);
+  }
+
+  const prec = PRECEDENCE[node.op] ?? 7;
+  let text;
+
+  switch (node.op) {
+    case 'value':
+      text = typeof node.value === 'string' ? quote(node.value) : String(node.value);
+      if (typeof node.value === 'number' && node.value < 0) {
+        return minPrec > 6 ? `(${text})` : text;
+      }
+      break;
+    case 'entity':
+      text = `${node.type}::${quote(node.id)}`;
+      break;
+    case 'var':
+      text = node.name;
+      break;
+    case 'slot':
+      text = node.name.startsWith('?') ? node.name : `?${node.name}`;
+      break;
+    case '.':
+      text = /^[A-Za-z_][A-Za-z0-9_]*$/.test(node.attr)
+        ? `${render(node.left, 7)}.${node.attr}`
+        : `${render(node.left, 7)}[${quote(node.attr)}]`;
+      break;
+    case '&&':
+    case '||':
+      text = node.args.map(arg => render(arg, prec + 1)).join(` ${node.op} `);
+      break;
+    case '!':
+      text = `!${render(node.arg, 6)}`;
+      break;
+    case 'neg':
+      text = `-${render(node.arg, 6)}`;
+      break;
+    case '==': case '!=': case '<': case '<=': case '>': case '>=': case 'in':
+      text = `${render(node.left, 4)} ${node.op} ${render(node.right, 4)}`;
+      break;
+    case '+': case '-':
+      text = `${render(node.left, 4)} ${node.op} ${render(node.right, 5)}`;
+      break;
+    case '*':
+      text = `${render(node.left, 5)} * ${render(node.right, 6)}`;
+      break;
+    case 'has':
+      text = `${render(node.left, 4)} has ${/^[A-Za-z_][A-Za-z0-9_]*$/.test(node.attr) ? node.attr : quote(node.attr)}`;
+      break;
+    case 'like':
+      text = `${render(node.left, 4)} like "${renderPattern(node.pattern)}"`;
+      break;
+    case 'is':
+      text = `${render(node.left, 4)} is ${node.entityType}`;
+      if (node.in) {
+        text += ` in ${render(node.in, 4)}`;
+      }
+      break;
+    case 'contains': case 'containsAll': case 'containsAny': case 'getTag': case 'hasTag':
+      text = `${render(node.left, 7)}.${node.op}(${render(node.right, 0)})`;
+      break;
+    case 'isEmpty':
+      text = `${render(node.arg, 7)}.isEmpty()`;
+      break;
+    case 'if-then-else':
+      text = `if ${render(node.if, 0)} then ${render(node.then, 0)} else ${render(node.else, 0)}`;
+      break;
+    case 'set':
+      text = `[${node.elements.map(el => render(el, 0)).join(', ')}]`;
+      break;
+    case 'record':
+      text = `{${Object.entries(node.attrs).map(([k, v]) => `${quote(k)}: ${render(v, 0)}`).join(', ')}}`;
+      break;
+    case 'call':
+      text = EXTENSION_FUNCTIONS.has(node.fn) || node.args.length === 0
+        ? `${node.fn}(${node.args.map(arg => render(arg, 0)).join(', ')})`
+        : `${render(node.args[0], 7)}.${node.fn}(${node.args.slice(1).map(arg => render(arg, 0)).join(', ')})`;
+      break;
+    default:
+      text = JSON.stringify(node);
+  }
+
+  return prec < minPrec ? `(${text})` : text;
+}
+
+// Extension functions called in function position rather than as methods
+const EXTENSION_FUNCTIONS = new Set(['ip', 'decimal', 'datetime', 'duration']);
+
+function quote(str) {
+  return JSON.stringify(str).replace(/\\u0000/g, '\\0');
+}
+
+function renderPattern(pattern) {
+  return pattern
+    .map(elem => elem === 'Wildcard'
+      ? '*'
+      : JSON.stringify(elem.Literal).slice(1, -1).replace(/\*/g, '\\*'))
+    .join('');
+}
+
+/**
+ * Recursive-descent parser over the token stream
+ */
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      this.index++;
+    }
+    return token;
+  }
+
+  at(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  atPunct(value) {
+    return this.at('punct', value);
+  }
+
+  atKeyword(value) {
+    return this.at('ident', value);
+  }
+
+  accept(type, value) {
+    if (this.at(type, value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.peek();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      const wanted = value !== undefined ? `'${value}'` : type;
+      const found = token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+      throw syntaxError(this.text, token.pos, `expected ${wanted} but found ${found}`);
+    }
+    return this.next();
+  }
+
+  expectEnd() {
+    if (!this.at('eof')) {
+      const token = this.peek();
+      throw syntaxError(this.text, token.pos, `unexpected '${token.value}' after expression`);
+    }
+  }
+
+  // policy := annotation* effect '(' scope ')' condition* ';'
+  parsePolicy() {
+    const annotations = {};
+    while (this.accept('punct', '@')) {
+      const name = this.expect('ident').value;
+      let value = '';
+      if (this.accept('punct', '(')) {
+        value = this.expect('string').value;
+        this.expect('punct', ')');
+      }
+      annotations[name] = value;
+    }
+
+    const effectToken = this.expect('ident');
+    if (effectToken.value !== 'permit' && effectToken.value !== 'forbid') {
+      throw syntaxError(this.text, effectToken.pos, `expected 'permit' or 'forbid' but found '${effectToken.value}'`);
+    }
+
+    this.expect('punct', '(');
+    const principal = this.parseScope('principal');
+    this.expect('punct', ',');
+    const action = this.parseScope('action');
+    this.expect('punct', ',');
+    const resource = this.parseScope('resource');
+    this.expect('punct', ')');
+
+    const conditions = [];
+    while (this.atKeyword('when') || this.atKeyword('unless')) {
+      const kind = this.next().value;
+      this.expect('punct', '{');
+      const body = this.atPunct('}') ? { op: 'value', value: true } : this.parseExpr();
+      this.expect('punct', '}');
+      conditions.push({ kind, body });
+    }
+    this.expect('punct', ';');
+
+    return {
+      id: annotations.id ?? null,
+      effect: effectToken.value,
+      annotations,
+      principal,
+      action,
+      resource,
+      conditions
+    };
+  }
+
+  parseScope(variable) {
+    this.expect('ident', variable);
+
+    if (this.accept('punct', '==')) {
+      return { op: '==', entity: this.parseScopeTarget() };
+    }
+    if (this.atKeyword('in')) {
+      this.next();
+      if (variable === 'action' && this.atPunct('[')) {
+        return { op: 'in', entities: this.parseSet().elements };
+      }
+      return { op: 'in', entity: this.parseScopeTarget() };
+    }
+    if (this.atKeyword('is')) {
+      this.next();
+      const scope = { op: 'is', entityType: this.parsePath() };
+      if (this.atKeyword('in')) {
+        this.next();
+        scope.in = this.parseScopeTarget();
+      }
+      return scope;
+    }
+    return { op: 'All' };
+  }
+
+  parseScopeTarget() {
+    if (this.atPunct('?')) {
+      return this.parseSlot();
+    }
+    const start = this.peek().pos;
+    const path = this.parsePath();
+    const id = this.expect('string').value;
+    if (!path.includes('::')) {
+      throw syntaxError(this.text, start, 'expected an entity reference');
+    }
+    return { op: 'entity', type: path.slice(0, path.lastIndexOf('::')), id };
+  }
+
+  parseSlot() {
+    this.expect('punct', '?');
+    return { op: 'slot', name: `?${this.expect('ident').value}` };
+  }
+
+  // Parses `A::B::C` and returns the joined path; a trailing `::` before a
+  // string literal is left in place so entity refs can be recognised.
+  parsePath() {
+    let path = this.expect('ident').value;
+    while (this.atPunct('::') && this.peek(1).type === 'ident') {
+      this.next();
+      path += `::${this.next().value}`;
+    }
+    if (this.atPunct('::') && this.peek(1).type === 'string') {
+      this.next();
+      path += '::';
+    }
+    return path;
+  }
+
+  // expr := 'if' expr 'then' expr 'else' expr | or
+  parseExpr() {
+    if (this.atKeyword('if')) {
+      this.next();
+      const test = this.parseExpr();
+      this.expect('ident', 'then');
+      const consequent = this.parseExpr();
+      this.expect('ident', 'else');
+      const alternate = this.parseExpr();
+      return { op: 'if-then-else', if: test, then: consequent, else: alternate };
+    }
+    return this.parseOr();
+  }
+
+  parseOr() {
+    const args = [this.parseAnd()];
+    while (this.accept('punct', '||')) {
+      args.push(this.parseAnd());
+    }
+    return makeNary('||', args);
+  }
+
+  parseAnd() {
+    const args = [this.parseRelation()];
+    while (this.accept('punct', '&&')) {
+      args.push(this.parseRelation());
+    }
+    return makeNary('&&', args);
+  }
+
+  // relation := add (relop add | 'in' add | 'has' attr | 'like' pattern | 'is' path ('in' add)?)?
+  parseRelation() {
+    const left = this.parseAdd();
+    const token = this.peek();
+
+    if (token.type === 'punct' && RELATION_OPS.has(token.value)) {
+      this.next();
+      return { op: token.value, left, right: this.parseAdd() };
+    }
+    if (token.type === 'ident') {
+      switch (token.value) {
+        case 'in':
+          this.next();
+          return { op: 'in', left, right: this.parseAdd() };
+        case 'has':
+          this.next();
+          return this.parseHas(left);
+        case 'like': {
+          this.next();
+          const pattern = this.expect('string');
+          return { op: 'like', left, pattern: parsePattern(pattern.raw) };
+        }
+        case 'is': {
+          this.next();
+          const node = { op: 'is', left, entityType: this.parsePath() };
+          if (this.atKeyword('in')) {
+            this.next();
+            node.in = this.parseAdd();
+          }
+          return node;
+        }
+      }
+    }
+    return left;
+  }
+
+  // `e has a.b.c` is sugar for `e has a && e.a has b && e.a.b has c`
+  parseHas(left) {
+    const attrs = [this.parseAttrName()];
+    while (this.accept('punct', '.')) {
+      attrs.push(this.parseAttrName());
+    }
+    const checks = [];
+    let target = left;
+    for (const attr of attrs) {
+      checks.push({ op: 'has', left: target, attr });
+      target = { op: '.', left: target, attr };
+    }
+    return makeNary('&&', checks);
+  }
+
+  parseAttrName() {
+    const token = this.next();
+    if (token.type !== 'ident' && token.type !== 'string') {
+      throw syntaxError(this.text, token.pos, 'expected an attribute name');
+    }
+    return token.value;
+  }
+
+  parseAdd() {
+    let left = this.parseMult();
+    while (this.atPunct('+') || this.atPunct('-')) {
+      const op = this.next().value;
+      left = { op, left, right: this.parseMult() };
+    }
+    return left;
+  }
+
+  parseMult() {
+    let left = this.parseUnary();
+    while (this.accept('punct', '*')) {
+      left = { op: '*', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.accept('punct', '!')) {
+      return { op: '!', arg: this.parseUnary() };
+    }
+    if (this.accept('punct', '-')) {
+      const arg = this.parseUnary();
+      if (arg.op === 'value' && typeof arg.value === 'number') {
+        return { op: 'value', value: -arg.value };
+      }
+      return { op: 'neg', arg };
+    }
+    return this.parseMember();
+  }
+
+  // member := primary ('.' ident | '.' ident '(' args ')' | '[' string ']')*
+  parseMember() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.accept('punct', '.')) {
+        const name = this.expect('ident').value;
+        if (this.accept('punct', '(')) {
+          const args = this.parseArgs(')');
+          node = methodCall(name, node, args, this);
+        } else {
+          node = { op: '.', left: node, attr: name };
+        }
+      } else if (this.accept('punct', '[')) {
+        const attr = this.expect('string').value;
+        this.expect('punct', ']');
+        node = { op: '.', left: node, attr };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'string') {
+      this.next();
+      return { op: 'value', value: token.value };
+    }
+    if (token.type === 'number') {
+      this.next();
+      return { op: 'value', value: token.value };
+    }
+    if (token.type === 'punct') {
+      switch (token.value) {
+        case '(': {
+          this.next();
+          const expr = this.parseExpr();
+          this.expect('punct', ')');
+          return expr;
+        }
+        case '[':
+          return this.parseSet();
+        case '{':
+          return this.parseRecord();
+        case '?':
+          return this.parseSlot();
+      }
+    }
+    if (token.type === 'ident') {
+      if (token.value === 'true' || token.value === 'false') {
+        this.next();
+        return { op: 'value', value: token.value === 'true' };
+      }
+      if (VARIABLES.has(token.value) && !(this.peek(1).type === 'punct' && this.peek(1).value === '::')) {
+        this.next();
+        return { op: 'var', name: token.value };
+      }
+
+      const path = this.parsePath();
+      if (path.endsWith('::')) {
+        return { op: 'entity', type: path.slice(0, -2), id: this.expect('string').value };
+      }
+      if (this.accept('punct', '(')) {
+        return { op: 'call', fn: path, args: this.parseArgs(')') };
+      }
+      throw syntaxError(this.text, token.pos, `unexpected identifier '${path}'`);
+    }
+
+    const found = token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+    throw syntaxError(this.text, token.pos, `unexpected ${found}`);
+  }
+
+  parseSet() {
+    this.expect('punct', '[');
+    return { op: 'set', elements: this.parseArgs(']') };
+  }
+
+  parseRecord() {
+    this.expect('punct', '{');
+    const attrs = {};
+    while (!this.atPunct('}')) {
+      const key = this.parseAttrName();
+      this.expect('punct', ':');
+      attrs[key] = this.parseExpr();
+      if (!this.accept('punct', ',')) {
+        break;
+      }
+    }
+    this.expect('punct', '}');
+    return { op: 'record', attrs };
+  }
+
+  // Comma-separated expressions up to (and consuming) the closing token
+  parseArgs(close) {
+    const args = [];
+    while (!this.atPunct(close)) {
+      args.push(this.parseExpr());
+      if (!this.accept('punct', ',')) {
+        break;
+      }
+    }
+    this.expect('punct', close);
+    return args;
+  }
+}
+
+function methodCall(name, receiver, args, parser) {
+  if (SET_METHODS.has(name)) {
+    if (args.length !== 1) {
+      throw syntaxError(parser.text, parser.peek().pos, `${name}() takes exactly one argument`);
+    }
+    return { op: name, left: receiver, right: args[0] };
+  }
+  if (name === 'isEmpty') {
+    return { op: 'isEmpty', arg: receiver };
+  }
+  // Extension methods (ipaddr, decimal, datetime) keep the receiver as the first argument
+  return { op: 'call', fn: name, args: [receiver, ...args] };
+}
+
+/**
+ * Build an n-ary &&/|| node, flattening nested nodes of the same operator
+ */
+export function makeNary(op, args) {
+  const flat = [];
+  for (const arg of args) {
+    if (arg.op === op) {
+      flat.push(...arg.args);
+    } else {
+      flat.push(arg);
+    }
+  }
+  return flat.length === 1 ? flat[0] : { op, args: flat };
+}
+
+/**
+ * Whether a node is a constant (a literal, entity, or a set or record of constants)
+ */
+export function isConstant(node) {
+  switch (node.op) {
+    case 'value':
+    case 'entity':
+      return true;
+    case 'set':
+      return node.elements.every(isConstant);
+    case 'record':
+      return Object.values(node.attrs).every(isConstant);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Canonical key of a constant, equal for constants Cedar considers equal
+ *
+ * Sets are unordered and ignore duplicates, and record attributes are
+ * compared by name, so `[1, 2]` and `[2, 1, 1]` have the same key.
+ *
+ * @param {Object} node - Constant AST node (see isConstant)
+ * @returns {string} Key
+ */
+export function constantKey(node) {
+  switch (node.op) {
+    case 'set':
+      return `[${[...new Set(node.elements.map(constantKey))].sort().join(',')}]`;
+    case 'record':
+      return `{${Object.keys(node.attrs).sort().map(key => `${JSON.stringify(key)}:${constantKey(node.attrs[key])}`).join(',')}}`;
+    case 'entity':
+      return `${node.type}::${JSON.stringify(node.id)}`;
+    default:
+      return JSON.stringify(node.value);
+  }
+}
+
+/**
+ * Convert a raw `like` pattern body into Cedar's JSON pattern elements
+ */
+function parsePattern(raw) {
+  const elements = [];
+  let literal = '';
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] === '\\' && raw[i + 1] === '*') {
+      literal += '*';
+      i++;
+    } else if (raw[i] === '*') {
+      if (literal) {
+        elements.push({ Literal: literal });
+        literal = '';
+      }
+      elements.push('Wildcard');
+    } else if (raw[i] === '\\') {
+      const end = raw[i + 1] === 'u' ? raw.indexOf('}', i) + 1 : i + 2;
+      literal += unescapeString(raw.slice(i, end), raw, i);
+      i = end - 1;
+    } else {
+      literal += raw[i];
+    }
+  }
+  if (literal) {
+    elements.push({ Literal: literal });
+  }
+  return elements;
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '\\': '\\', '0': '\0', "'": "'", '"': '"', '*': '*' };
+
+function unescapeString(raw, text, pos) {
+  return raw.replace(/\\(u\{([0-9a-fA-F]{1,6})\}|.)/g, (match, esc, hex) => {
+    if (hex) {
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (!(esc in ESCAPES)) {
+      throw syntaxError(text, pos, `invalid escape sequence '${match}'`);
+    }
+    return ESCAPES[esc];
+  });
+}
+
+function syntaxError(text, pos, message) {
+  const before = text.slice(0, pos);
+  const line = before.split('\n').length;
+  const column = pos - before.lastIndexOf('\n');
+  return new Error(`Cedar parse error at ${line}:${column}: ${message}`);
+}
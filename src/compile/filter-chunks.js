@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Filter Chunks with a Compiled Residual
+ *
+ * Compiles a Cedar residual into a JavaScript predicate and applies it to a
+ * chunk metadata file (data/chunks.jsonl by default), printing which chunks
+ * the principal may see. With --check, the chunks are also run through an
+ * OpenSearch filter produced by residual-to-filter.js and any chunk on
+ * which the two disagree is reported, so the predicate acts as a reference
+ * implementation for the compiled query.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { compileToPredicate } from './residual-to-filter.js';
+import { DEFAULT_FIELD_MAPPING_PATH, loadFieldMapping, UnsupportedResidualError } from './mapping.js';
+import { readJsonl, readRequestContext, writeJsonl } from '../lib/util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    residual: null,
+    chunks: resolve(PROJECT_ROOT, 'data/chunks.jsonl'),
+    out: null,
+    check: null,
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    context: null,
+    strict: true,
+    onUnsupported: 'error'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--residual':
+      case '-r':
+        options.residual = args[++i];
+        break;
+      case '--chunks':
+      case '-c':
+        options.chunks = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--check':
+        options.check = args[++i];
+        break;
+      case '--mapping':
+      case '-m':
+        options.mapping = args[++i];
+        break;
+      case '--context':
+        options.context = args[++i];
+        break;
+      case '--lenient':
+        options.strict = false;
+        break;
+      case '--on-unsupported':
+        options.onUnsupported = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  if (!options.residual) {
+    console.error('Error: Missing required argument --residual');
+    printHelp();
+    process.exit(1);
+  }
+
+  if (!['error', 'match_none'].includes(options.onUnsupported)) {
+    console.error(`Error: --on-unsupported must be 'error' or 'match_none', got '${options.onUnsupported}'`);
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node filter-chunks.js [options]
+
+Required:
+  --residual, -r <file>    Input residual policy JSON file
+
+Optional:
+  --chunks, -c <file>      Chunk metadata JSONL (default: data/chunks.jsonl)
+  --out, -o <file>         Write the authorized chunks to this JSONL file
+  --check <file>           OpenSearch filter JSON from residual-to-filter.js to
+                           cross-check against the predicate
+  --mapping, -m <file>     Attribute-to-field mapping JSON (default: field-mapping.json)
+  --context <file>         Request context to bind into a --defer-context residual
+  --on-unsupported <mode>  'error' (default) or 'match_none' (see residual-to-filter.js)
+  --lenient                Skip untranslatable policies with a warning
+  --help, -h               Show this help message
+
+Example:
+  node src/compile/filter-chunks.js \\
+    --residual out/residual-kate.json \\
+    --check examples/queries/opensearch-filter-kate.json
+
+Exits with status 1 if the predicate and the OpenSearch filter disagree on
+any chunk.
+`);
+}
+
+/**
+ * Evaluate an OpenSearch filter against a single document
+ *
+ * Covers the query types the residual compiler emits, with OpenSearch's
+ * semantics: a term matches any value of a multi-valued field, and a
+ * clause on a missing field does not match.
+ *
+ * @param {Object} clause - OpenSearch query clause
+ * @param {Object} doc - Document source
+ * @returns {boolean} True if the document matches
+ */
+function matchesFilter(clause, doc) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+  const valuesOf = field => (doc[field] === undefined || doc[field] === null ? [] : [doc[field]].flat());
+
+  switch (type) {
+    case 'match_all':
+      return true;
+    case 'match_none':
+      return false;
+    case 'bool': {
+      const must = [...(body.must || []), ...(body.filter || [])].every(inner => matchesFilter(inner, doc));
+      const mustNot = (body.must_not || []).some(inner => matchesFilter(inner, doc));
+      const should = body.should || [];
+      const minimum = body.minimum_should_match ?? (body.must || body.filter ? 0 : 1);
+      const matchedShould = should.filter(inner => matchesFilter(inner, doc)).length;
+      return must && !mustNot && (should.length === 0 || matchedShould >= minimum);
+    }
+    case 'term': {
+      const [field, value] = Object.entries(body)[0];
+      return valuesOf(field).includes(value);
+    }
+    case 'terms': {
+      const [field, values] = Object.entries(body)[0];
+      return valuesOf(field).some(value => values.includes(value));
+    }
+    case 'range': {
+      const [field, bounds] = Object.entries(body)[0];
+      const COMPARE = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b };
+      return valuesOf(field).some(value => Object.entries(bounds).every(([op, bound]) => COMPARE[op](value, bound)));
+    }
+    case 'exists':
+      return valuesOf(body.field).length > 0;
+    case 'wildcard': {
+      const [field, { value: pattern }] = Object.entries(body)[0];
+      let source = '';
+      for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '\\' && i + 1 < pattern.length) {
+          source += escapeRegExp(pattern[++i]);
+        } else if (pattern[i] === '*' || pattern[i] === '?') {
+          source += pattern[i] === '*' ? '.*' : '.';
+        } else {
+          source += escapeRegExp(pattern[i]);
+        }
+      }
+      return valuesOf(field).some(value => new RegExp(`^${source}$`, 's').test(value));
+    }
+    default:
+      throw new Error(`Cannot evaluate ${type} query locally`);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log(`Loading residual policy from ${options.residual}...`);
+    const residual = JSON.parse(readFileSync(options.residual, 'utf-8'));
+    const fieldMapping = loadFieldMapping(options.mapping);
+
+    const report = [];
+    const predicate = compileToPredicate(residual, {
+      fieldMapping,
+      strict: options.strict,
+      onUnsupported: options.onUnsupported,
+      context: options.context ? readRequestContext(options.context) : null,
+      report
+    });
+
+    console.log(`Filtering chunks from ${options.chunks}...\n`);
+    const chunks = readJsonl(options.chunks);
+    const authorized = chunks.filter(chunk => predicate(chunk));
+
+    for (const chunk of chunks) {
+      console.log(`  ${authorized.includes(chunk) ? '✓' : '✗'} ${chunk.id}`);
+    }
+    console.log(`\n${authorized.length} of ${chunks.length} chunk(s) authorized`);
+
+    if (options.out) {
+      writeJsonl(options.out, authorized);
+      console.log(`✓ Authorized chunks written to ${options.out}`);
+    }
+
+    if (options.check) {
+      const { filter } = JSON.parse(readFileSync(options.check, 'utf-8'));
+      const mismatches = chunks.filter(chunk => matchesFilter(filter, chunk) !== authorized.includes(chunk));
+      if (mismatches.length > 0) {
+        console.error(`\n✗ ${options.check} disagrees with the predicate on ${mismatches.length} chunk(s):`);
+        for (const chunk of mismatches) {
+          console.error(`   - ${chunk.id}: predicate ${authorized.includes(chunk) ? 'allows' : 'denies'} it`);
+        }
+        process.exit(1);
+      }
+      console.log(`✓ ${options.check} agrees with the predicate on all chunks`);
+    }
+
+    if (report.length > 0) {
+      console.warn(`\n⚠️  ${report.length} untranslatable fragment(s):`);
+      for (const entry of report) {
+        console.warn(`   - ${entry.effect} ${entry.policyId ?? '(unnamed)'}: ${entry.fragment} (${entry.reason})`);
+      }
+    }
+  } catch (error) {
+    if (error instanceof UnsupportedResidualError) {
+      console.error(`\n✗ ${error.message}`);
+      process.exit(1);
+    }
+    console.error('Error filtering chunks:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { matchesFilter };
@@ -1,25 +1,109 @@
 /**
  * Cedar to OpenSearch Condition Mapping
- * 
+ *
  * Translates Cedar residual policy conditions into OpenSearch query filters.
  * This is application-specific logic that interprets Cedar expressions and
  * converts them to database query constraints.
- * 
- * The mapping handles common Cedar expression patterns:
- * - Equality: resource.attr == value
- * - Inequality: resource.attr != value
- * - Null checks: resource.attr != null
- * - Set membership: principal.teams.contains(resource.team)
- * - Logical operators: &&, ||
+ *
+ * Residual text is parsed into an AST by cedar-parser.js, Cedar JSON (EST)
+ * residuals are converted to the same AST by cedar-est.js, and the compiler
+ * walks that AST. Supported expression patterns:
+ * - Equality: resource.attr == value, resource.attr != value
+ * - Comparison: resource.attr < value (and <=, >, >=)
+ * - Set membership: [values].contains(resource.attr), resource.attr in [values],
+ *   resource.set.contains(value), containsAny, containsAll
+ * - Attribute presence: resource has attr
+ * - Pattern matching: resource.attr like "pre*"
+ * - Type tests: resource is Type
+ * - Logical operators: &&, ||, !, if/then/else
+ *
+ * Resource attribute paths are translated to index fields using a field
+ * mapping (field-mapping.json by default, see loadFieldMapping), which also
+ * says how each field is typed and how entity references are stored. In
+ * strict mode an attribute with no mapping is untranslatable.
+ *
+ * Anything else (e.g. expressions that still reference the principal, or
+ * arithmetic over resource attributes) cannot be pushed down to the index
+ * and raises an UnsupportedResidualError naming the untranslatable fragment.
+ * Callers that want every fragment rather than the first can pass an
+ * `unsupported` array in the options, which collects them instead.
+ *
+ * Cedar's `!` errors, rather than holding, when the condition it negates
+ * reads an attribute the resource does not have, and a policy whose
+ * condition errors does not apply. OpenSearch's must_not matches documents
+ * without the field, so in a permit (`effect: 'permit'`) each negation also
+ * requires the fields it reads to exist. Likewise `a || b` only reaches b
+ * when a evaluates without error, so each alternative of a permit's `||`
+ * requires the fields the alternatives before it read. A forbid keeps the
+ * bare clauses, which exclude such chunks: it fails closed.
  */
 
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { constantKey, isConstant, parseExpression, policyCondition, toCedarText } from './cedar-parser.js';
+import { estToAst, estPolicyToAst, isEstExpression, isEstPolicy } from './cedar-est.js';
+import { simplifyExpression } from './simplify.js';
+import { extractEntityId } from '../lib/util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Default attribute-to-field mapping for the demo index
+export const DEFAULT_FIELD_MAPPING_PATH = resolve(__dirname, 'field-mapping.json');
+
+const FIELD_TYPES = ['keyword', 'long', 'date', 'boolean'];
+const ENTITY_REF_FORMATS = ['id', 'uid'];
+
+// Loaded on first use when the caller does not pass options.fieldMapping
+let defaultFieldMapping = null;
+
+/**
+ * Error raised when a residual contains conditions that cannot be translated
+ *
+ * `fragments` lists each untranslatable piece as { fragment, reason } and,
+ * when raised by the filter compiler, the policy it came from.
+ */
+export class UnsupportedResidualError extends Error {
+  constructor(message, fragments = []) {
+    super(message);
+    this.name = 'UnsupportedResidualError';
+    this.fragments = fragments;
+  }
+}
+
+/**
+ * Error raised when a filter target cannot express a compiled clause
+ *
+ * e.g. a bool query with a minimum_should_match other than 1 for SQL.
+ * `clause` is the OpenSearch clause that could not be emitted.
+ */
+export class UnsupportedTargetError extends Error {
+  constructor(target, clause, reason) {
+    super(`The ${target} target cannot express ${JSON.stringify(clause)}: ${reason}`);
+    this.name = 'UnsupportedTargetError';
+    this.target = target;
+    this.clause = clause;
+  }
+}
+
 /**
  * Map a Cedar condition expression to OpenSearch filter clauses
- * 
- * @param {Object|string} condition - Cedar condition (may be AST node, JSON, or string)
+ *
+ * @param {Object|string} condition - Cedar condition (AST node, Cedar JSON expression or policy, or Cedar text)
+ * @param {Object} options - Compilation options
+ * @param {string} options.resourceType - Resource entity type (used for `resource is T`)
+ * @param {Object[]} options.unsupported - If given, untranslatable fragments are
+ *   appended here ({ fragment, reason }) instead of being thrown
+ * @param {boolean} options.strict - When false, unrecognised condition objects fall
+ *   back to key-name heuristics instead of being reported (default: true)
+ * @param {string} options.effect - Effect of the policy the condition belongs to;
+ *   negations in a 'permit' only match chunks that have the fields they read
+ * @param {boolean} options.simplify - Fold constants and redundant clauses before
+ *   compiling (default: true, see simplify.js)
  * @returns {Object} OpenSearch filter clauses with must/must_not/should arrays
  */
-export function compileResidual(condition) {
+export function compileResidual(condition, options = {}) {
   const result = {
     must: [],
     must_not: [],
@@ -33,28 +117,40 @@ export function compileResidual(condition) {
     try {
       expr = JSON.parse(condition);
     } catch (e) {
-      // Parse Cedar expression syntax (simplified)
-      return parseCedarExpression(condition, result);
+      expr = null;
+    }
+    // `true`/`false` are valid JSON too, but only objects are structured conditions
+    if (!expr || typeof expr !== 'object') {
+      return parseCedarExpression(condition, result, options);
     }
   }
 
   // Handle structured condition objects
   if (expr && typeof expr === 'object') {
-    if (expr.kind === 'expr' || expr.expr) {
-      return compileExpression(expr.expr || expr, result);
+    if (expr.op) {
+      return compileAst(expr, result, options);
+    }
+    // Cedar JSON (EST) expressions and policies, e.g. from `cedar tpe --output-format json`
+    if (isEstExpression(expr)) {
+      return compileAst(estToAst(expr), result, options);
     }
-    if (expr.op || expr.operator) {
-      return compileExpression(expr, result);
+    if (isEstPolicy(expr)) {
+      return compileAst(policyCondition(estPolicyToAst(expr)), result, options);
+    }
+    if (expr.expr) {
+      return compileResidual(expr.expr, options);
     }
     // If it's already an array or object structure, try to extract conditions
     if (Array.isArray(expr)) {
       for (const item of expr) {
-        const compiled = compileResidual(item);
+        const compiled = compileResidual(item, options);
         mergeResults(result, compiled);
       }
-    } else {
+    } else if (options.strict === false) {
       // Try to find condition-like structures
       return parseConditionObject(expr, result);
+    } else {
+      result.must.push(unsupported(JSON.stringify(expr), 'unrecognised condition format', options));
     }
   }
 
@@ -62,279 +158,882 @@ export function compileResidual(condition) {
 }
 
 /**
- * Compile a Cedar expression AST node
+ * Convert a single condition into an expression AST
+ *
+ * Accepts the same condition formats as compileResidual (AST node, Cedar
+ * JSON expression or policy, `{ expr }` wrapper, JSON text or Cedar text),
+ * for compilers that walk the AST themselves.
+ *
+ * @param {Object|string} condition - Cedar condition
+ * @returns {Object} Expression AST
  */
-function compileExpression(expr, result) {
-  if (!expr || typeof expr !== 'object') {
-    return result;
+export function toExpressionAst(condition) {
+  if (typeof condition === 'string') {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(condition);
+    } catch (e) {
+      // Cedar text
+    }
+    return parsed && typeof parsed === 'object' ? toExpressionAst(parsed) : parseExpression(condition);
   }
+  if (condition && typeof condition === 'object') {
+    if (condition.op) {
+      return condition;
+    }
+    if (isEstExpression(condition)) {
+      return estToAst(condition);
+    }
+    if (isEstPolicy(condition)) {
+      return policyCondition(estPolicyToAst(condition));
+    }
+    if (condition.expr) {
+      return toExpressionAst(condition.expr);
+    }
+  }
+  throw new Error(`Unrecognised condition format: ${JSON.stringify(condition)}`);
+}
 
-  const op = expr.op || expr.operator || expr.kind;
-  
-  switch (op) {
-    case 'and':
+/**
+ * Simplify a parsed residual and compile it
+ */
+function compileAst(expr, result, options) {
+  return compileExpression(options.simplify === false ? expr : simplifyExpression(expr), result, options);
+}
+
+/**
+ * Compile a Cedar expression AST node into must/must_not clauses
+ *
+ * Top-level conjunctions are spread across `must` and negations go to
+ * `must_not`; everything else becomes a single clause.
+ */
+function compileExpression(expr, result, options) {
+  switch (expr.op) {
     case '&&':
-      // Both conditions must be true
-      if (expr.children || expr.args) {
-        const children = expr.children || expr.args;
-        for (const child of children) {
-          const childResult = compileExpression(child, { must: [], must_not: [], should: [] });
-          mergeResults(result, childResult);
-        }
+      for (const arg of expr.args) {
+        compileExpression(arg, result, options);
       }
       break;
-      
-    case 'or':
-    case '||':
-      // At least one condition must be true
-      if (expr.children || expr.args) {
-        const children = expr.children || expr.args;
-        const shouldClauses = [];
-        for (const child of children) {
-          const childResult = compileExpression(child, { must: [], must_not: [], should: [] });
-          // For OR, we need to combine into should clauses
-          if (childResult.must.length > 0) {
-            shouldClauses.push(...childResult.must);
-          }
-        }
-        if (shouldClauses.length > 0) {
-          result.should.push(...shouldClauses);
-        }
+
+    case '!': {
+      const clause = compileClause(expr.arg, options);
+      result.must.push(...presenceGuards(clause, options));
+      result.must_not.push(clause);
+      break;
+    }
+
+    default: {
+      // `true` conjuncts (left behind by partial evaluation) constrain nothing
+      const clause = compileClause(expr, options);
+      if (!clause.match_all) {
+        result.must.push(clause);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compile an expression AST node into a single OpenSearch query clause
+ */
+function compileClause(expr, options) {
+  switch (expr.op) {
+    case 'value':
+      if (typeof expr.value === 'boolean') {
+        return expr.value ? { match_all: {} } : { match_none: {} };
       }
       break;
-      
+
+    case '&&': {
+      const result = { must: [], must_not: [], should: [] };
+      compileExpression(expr, result, options);
+      return toBoolQuery(result);
+    }
+
+    case '||': {
+      // An alternative is only evaluated when the ones before it did not error
+      const alternatives = [];
+      const earlier = [];
+      for (const arg of expr.args) {
+        const clause = compileClause(arg, options);
+        const guards = earlier.length > 0 ? presenceGuards({ bool: { must: earlier } }, options) : [];
+        alternatives.push(guards.length > 0 ? { bool: { must: [...guards, clause] } } : clause);
+        earlier.push(clause);
+      }
+      return { bool: { should: alternatives, minimum_should_match: 1 } };
+    }
+
+    case '!':
+      return negate(compileClause(expr.arg, options), options);
+
+    case 'if-then-else':
+      // if c then a else b  ==  (c && a) || (!c && b)
+      return compileClause({
+        op: '||',
+        args: [
+          { op: '&&', args: [expr.if, expr.then] },
+          { op: '&&', args: [{ op: '!', arg: expr.if }, expr.else] }
+        ]
+      }, options);
+
     case '==':
-    case 'eq':
-      result.must.push(compileEquality(expr));
+    case '!=': {
+      const clause = compileEquality(expr, options);
+      if (clause) {
+        return expr.op === '==' ? clause : negate(clause, options);
+      }
       break;
-      
-    case '!=':
-    case 'ne':
-      result.must_not.push(compileEquality(expr));
+    }
+
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      const clause = compileComparison(expr, options);
+      if (clause) {
+        return clause;
+      }
       break;
-      
+    }
+
     case 'in':
     case 'contains':
-      result.must.push(compileContains(expr));
+    case 'containsAny':
+    case 'containsAll': {
+      const clause = compileContains(expr, options);
+      if (clause) {
+        return clause;
+      }
       break;
-      
-    default:
-      // Try to parse as attribute access or literal
-      if (expr.attr || expr.attribute) {
-        // Attribute access - might be part of a larger expression
-        return result;
+    }
+
+    case 'has': {
+      const attrPath = extractAttributePath({ op: '.', left: expr.left, attr: expr.attr });
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field) {
+        return { exists: { field: field.field } };
+      }
+      break;
+    }
+
+    case 'like': {
+      const attrPath = extractAttributePath(expr.left);
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field && field.type === 'keyword') {
+        return { wildcard: { [field.field]: { value: toWildcard(expr.pattern) } } };
       }
+      break;
+    }
+
+    case 'is':
+      // The resource type is fixed by the TPE request, so `resource is T` is decidable here
+      if (expr.left.op === 'var' && expr.left.name === 'resource' && options.resourceType && !expr.in) {
+        return expr.entityType === options.resourceType ? { match_all: {} } : { match_none: {} };
+      }
+      if (expr.in) {
+        // `x is T in E` is `x is T && x in E`
+        const { in: ancestor, ...typeTest } = expr;
+        return compileClause({ op: '&&', args: [typeTest, { op: 'in', left: expr.left, right: ancestor }] }, options);
+      }
+      break;
+
+    case '.': {
+      // A bare boolean attribute used as a condition
+      const attrPath = extractAttributePath(expr);
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field && field.type === 'boolean') {
+        return { term: { [field.field]: true } };
+      }
+      break;
+    }
   }
 
-  return result;
+  return unsupported(toCedarText(expr), describeUnsupported(expr, options), options);
+}
+
+/**
+ * Report an untranslatable fragment
+ *
+ * Throws unless the caller is collecting fragments, in which case a
+ * match_none placeholder is returned so compilation can continue and find
+ * the rest. The placeholder never reaches a filter: policies with collected
+ * fragments are replaced or rejected by the caller.
+ */
+function unsupported(fragment, reason, options) {
+  if (Array.isArray(options.unsupported)) {
+    options.unsupported.push({ fragment, reason });
+    return { match_none: {} };
+  }
+  throw new UnsupportedResidualError(`Unsupported residual expression: ${fragment}`, [{ fragment, reason }]);
+}
+
+/**
+ * Explain why an expression cannot be pushed down to the index
+ *
+ * @param {Object} expr - Expression AST that could not be translated
+ * @param {Object} options - Compilation options
+ * @returns {string} Human-readable reason
+ */
+export function describeUnsupported(expr, options) {
+  const text = toCedarText(expr);
+  if (/\?(principal|resource)\b/.test(text)) {
+    return 'is an unlinked policy template; link it (partial-eval.js --links) before partial evaluation';
+  }
+  if (/\bcontext\b/.test(text)) {
+    return 'references the request context; compile with the request\'s context to bind it';
+  }
+  if (/\bprincipal\b/.test(text)) {
+    return 'references request variables that partial evaluation did not resolve';
+  }
+  const unmapped = collectAttributePaths(expr).find(path => !mapAttributeToField(path, options));
+  if (unmapped) {
+    return `no field mapping for ${unmapped}`;
+  }
+  if (expr.op === 'in') {
+    const attrPath = extractAttributePath(expr.left);
+    const field = attrPath && mapAttributeToField(attrPath, options);
+    if (field && !field.ancestors) {
+      return `no ancestors field mapped for ${attrPath}, which \`in\` needs to follow the entity hierarchy`;
+    }
+  }
+  if (expr.op === 'call' && expr.fn === 'error') {
+    return 'partial evaluation hit an error that depends on the resource';
+  }
+  if (expr.op === 'call') {
+    return `extension function ${expr.fn}() has no index equivalent`;
+  }
+  return `no translation for '${expr.op}' with these operands`;
+}
+
+/**
+ * Find the resource attribute paths used anywhere in an expression
+ */
+function collectAttributePaths(expr) {
+  const path = extractAttributePath(expr);
+  if (path) {
+    return [path];
+  }
+  if (expr.op === 'has') {
+    return collectAttributePaths({ op: '.', left: expr.left, attr: expr.attr });
+  }
+  const children = [expr.left, expr.right, expr.arg, ...(expr.args || []), ...(expr.elements || [])];
+  return children.filter(child => child && typeof child === 'object').flatMap(collectAttributePaths);
 }
 
 /**
  * Compile equality expression (== or !=)
  */
-function compileEquality(expr) {
-  const left = expr.left || expr.lhs;
-  const right = expr.right || expr.rhs;
-  
-  // Extract attribute path and value
-  const attrPath = extractAttributePath(left);
-  const value = extractValue(right);
-  
+function compileEquality(expr, options) {
+  const [attrPath, valueNode] = splitOperands(expr.left, expr.right);
   if (!attrPath) {
+    // Both sides known: the comparison folds to a constant
+    // (entities of different types with the same id differ)
+    if (isConstant(expr.left) && isConstant(expr.right)) {
+      return constantKey(expr.left) === constantKey(expr.right) ? { match_all: {} } : { match_none: {} };
+    }
+    return null;
+  }
+
+  const field = mapAttributeToField(attrPath, options);
+  if (!field) {
+    return null;
+  }
+
+  const value = extractValue(valueNode, field);
+  if (value === undefined || Array.isArray(value)) {
+    return null;
+  }
+
+  return { term: { [field.field]: value } };
+}
+
+/**
+ * Compile range comparison (<, <=, >, >=)
+ */
+function compileComparison(expr, options) {
+  const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+  const RANGE_OPS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+  let op = expr.op;
+  let attrPath = extractAttributePath(expr.left);
+  let valueNode = expr.right;
+  if (!attrPath) {
+    // value < resource.attr  ==  resource.attr > value
+    attrPath = extractAttributePath(expr.right);
+    valueNode = expr.left;
+    op = FLIPPED[op];
+  }
+
+  const field = attrPath && mapAttributeToField(attrPath, options);
+  if (!field || (field.type !== 'long' && field.type !== 'date')) {
+    return null;
+  }
+
+  const value = extractValue(valueNode, field);
+  if (value === undefined || Array.isArray(value)) {
+    return null;
+  }
+
+  return { range: { [field.field]: { [RANGE_OPS[op]]: value } } };
+}
+
+/**
+ * Compile contains/in expressions
+ *
+ * Handles both directions: a known set containing a resource attribute
+ * (`[a, b].contains(resource.team)`, `resource.team in [a, b]`) and a
+ * multi-valued resource attribute containing known values
+ * (`resource.tags.contains("x")`, `resource.tags.containsAny([...])`).
+ */
+function compileContains(expr, options) {
+  // Normalise to (set side, element side)
+  let setNode = expr.left;
+  let elementNode = expr.right;
+  if (expr.op === 'in') {
+    setNode = expr.right;
+    elementNode = expr.left;
+  }
+
+  const elementPath = extractAttributePath(elementNode);
+  const setPath = extractAttributePath(setNode);
+
+  if (expr.op === 'in' && elementPath && !setPath) {
+    return compileEntityIn(elementPath, setNode, options);
+  }
+
+  if (elementPath && !setPath) {
+    // Known set containing a resource attribute
+    const field = mapAttributeToField(elementPath, options);
+    const setValue = field && extractValue(setNode, field);
+    if (setValue === undefined || setValue === null || expr.op === 'containsAll') {
+      return null;
+    }
+    const values = Array.isArray(setValue) ? setValue : [setValue];
+    if (values.length === 0) {
+      return { match_none: {} };
+    }
+    return values.length === 1
+      ? { term: { [field.field]: values[0] } }
+      : { terms: { [field.field]: values } };
+  }
+
+  if (setPath && !elementPath && expr.op !== 'in') {
+    // Multi-valued resource attribute containing known values
+    const field = mapAttributeToField(setPath, options);
+    const value = field && extractValue(elementNode, field);
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (expr.op === 'contains') {
+      return Array.isArray(value) ? null : { term: { [field.field]: value } };
+    }
+    if (!Array.isArray(value)) {
+      return null;
+    }
+    if (expr.op === 'containsAny') {
+      return value.length === 0 ? { match_none: {} } : { terms: { [field.field]: value } };
+    }
+    // containsAll: every value must be present
+    return value.length === 0
+      ? { match_all: {} }
+      : { bool: { must: value.map(v => ({ term: { [field.field]: v } })) } };
+  }
+
+  return null;
+}
+
+/**
+ * Compile `resource.attr in E` (or `in [E1, E2]`) over the entity hierarchy
+ *
+ * Cedar's `in` is transitive, so it is answered from the attribute's
+ * ancestors field (see field-mapping.json), which stores the UIDs of every
+ * entity the value is in. The resource itself is not in its own ancestors
+ * field, so `resource in E` for an E of the resource's type is an id match.
+ */
+function compileEntityIn(attrPath, setNode, options) {
+  const entities = setNode.op === 'set' ? setNode.elements : [setNode];
+  const field = mapAttributeToField(attrPath, options);
+  if (!field || !entities.every(entity => entity.op === 'entity')) {
     return null;
   }
-  
-  // Map Cedar attribute names to OpenSearch field names
-  const fieldName = mapAttributeToField(attrPath);
-  
-  if (value === null || value === undefined) {
-    // Null check
-    return { exists: { field: fieldName } };
+
+  if (!field.ancestors) {
+    if (options.strict !== false) {
+      return null;
+    }
+    // Lenient mode: ignore the hierarchy and treat `in` as equality
+    const ids = entities.map(entity => extractValue(entity, field));
+    return ids.length === 1 ? { term: { [field.field]: ids[0] } } : { terms: { [field.field]: ids } };
   }
-  
-  // Regular equality
-  return { term: { [fieldName]: value } };
+
+  const selfIds = [];
+  const ancestorUids = [];
+  for (const entity of entities) {
+    if (attrPath === 'resource' && entity.type === options.resourceType) {
+      selfIds.push(extractValue(entity, field));
+    } else {
+      ancestorUids.push(formatUid(entity));
+    }
+  }
+
+  const clauses = [];
+  if (selfIds.length > 0) {
+    clauses.push(selfIds.length === 1 ? { term: { [field.field]: selfIds[0] } } : { terms: { [field.field]: selfIds } });
+  }
+  if (ancestorUids.length > 0) {
+    clauses.push({ terms: { [field.ancestors]: ancestorUids } });
+  }
+
+  if (clauses.length === 0) {
+    return { match_none: {} };
+  }
+  return clauses.length === 1 ? clauses[0] : { bool: { should: clauses, minimum_should_match: 1 } };
+}
+
+/**
+ * Format an entity AST node as a Cedar UID string (Type::"id")
+ *
+ * @param {Object} entity - Entity AST node ({ op: 'entity', type, id })
+ * @returns {string} UID, as stored in `uid` and ancestors fields
+ */
+export function formatUid(entity) {
+  return `${entity.type}::${JSON.stringify(entity.id)}`;
 }
 
 /**
- * Compile contains/in expression
+ * Pick the resource attribute side and the value side of a binary expression
+ *
+ * @param {Object} left - Left operand AST
+ * @param {Object} right - Right operand AST
+ * @returns {Array} [attribute path, value AST], or [null, null] unless exactly one side is a resource attribute
  */
-function compileContains(expr) {
-  const left = expr.left || expr.lhs; // The set/array
-  const right = expr.right || expr.rhs; // The value to check
-  
-  // Check if this is principal.teams.contains(resource.team) pattern
+export function splitOperands(left, right) {
   const leftPath = extractAttributePath(left);
   const rightPath = extractAttributePath(right);
-  
-  if (rightPath && rightPath.startsWith('resource.')) {
-    // This is checking if resource.attr is in principal.set
-    const fieldName = mapAttributeToField(rightPath);
-    const setValue = extractValue(left);
-    
-    if (Array.isArray(setValue)) {
-      // Multiple values - use terms query
-      return { terms: { [fieldName]: setValue } };
-    } else if (setValue) {
-      // Single value - use term query
-      return { term: { [fieldName]: setValue } };
-    }
-  }
-  
-  return null;
+  if (leftPath && !rightPath) {
+    return [leftPath, right];
+  }
+  if (rightPath && !leftPath) {
+    return [rightPath, left];
+  }
+  return [null, null];
 }
 
 /**
  * Extract attribute path from expression (e.g., "resource.tenant")
+ *
+ * Only paths rooted at the (unknown) resource can be pushed down to the index.
+ * The bare `resource` variable maps to the entity's id field.
+ *
+ * @param {Object} expr - Expression AST
+ * @returns {string|null} Path such as "resource.doc.tenant", or null
  */
-function extractAttributePath(expr) {
-  if (typeof expr === 'string') {
-    if (expr.startsWith('resource.') || expr.startsWith('principal.')) {
-      return expr;
+export function extractAttributePath(expr) {
+  if (!expr || typeof expr !== 'object') {
+    return null;
+  }
+  if (expr.op === 'var') {
+    return expr.name === 'resource' ? 'resource' : null;
+  }
+  if (expr.op === '.') {
+    const base = extractAttributePath(expr.left);
+    return base ? `${base}.${expr.attr}` : null;
+  }
+  return null;
+}
+
+/**
+ * Extract literal value from expression, formatted for the target field
+ *
+ * Entity references are rendered the way the field stores them (just the id,
+ * or the full `Type::"id"` UID) and literals are checked against the field
+ * type. Returns undefined when the expression is not a known constant or
+ * does not fit the field.
+ *
+ * @param {Object} expr - Expression AST
+ * @param {Object} field - Field descriptor from mapAttributeToField (optional)
+ * @returns {*} Value, array of values for a set, or undefined
+ */
+export function extractValue(expr, field = null) {
+  if (!expr || typeof expr !== 'object') {
+    return undefined;
+  }
+  switch (expr.op) {
+    case 'value':
+      return field ? coerceValue(expr.value, field) : expr.value;
+    case 'entity':
+      return field?.entityRef === 'uid' ? formatUid(expr) : expr.id;
+    case 'set': {
+      const values = expr.elements.map(element => extractValue(element, field));
+      return values.some(v => v === undefined || Array.isArray(v)) ? undefined : values;
     }
+    case 'call':
+      // datetime("2024-01-01") against a date field
+      if (field?.type === 'date' && expr.fn === 'datetime' && expr.args[0]?.op === 'value') {
+        return expr.args[0].value;
+      }
+      return undefined;
+    default:
+      return undefined;
   }
-  if (expr && typeof expr === 'object') {
-    if (expr.attr || expr.attribute) {
-      const base = expr.base || 'resource';
-      const attr = expr.attr || expr.attribute;
-      return `${base}.${attr}`;
+}
+
+/**
+ * Check a literal against the mapped field type
+ */
+function coerceValue(value, field) {
+  switch (field.type) {
+    case 'keyword':
+    case 'date':
+      return typeof value === 'string' ? value : undefined;
+    case 'long':
+      return typeof value === 'number' ? value : undefined;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Map Cedar attribute path to an index field
+ *
+ * Looks the path up in the field mapping (see field-mapping.json) for the
+ * residual's resource type. In lenient mode an unmapped attribute falls back
+ * to a keyword field named after the attribute path.
+ *
+ * @param {string} attrPath - Attribute path such as "resource.doc.tenant"
+ * @param {Object} options - Compilation options (fieldMapping, resourceType, strict)
+ * @returns {{field: string, type: string, entityRef: string, multiValued: boolean, ancestors?: string}|null}
+ *   Field descriptor, or null if unmapped
+ */
+export function mapAttributeToField(attrPath, options = {}) {
+  const typeMapping = resourceTypeMapping(options);
+
+  // Remove "resource." prefix
+  const path = attrPath.replace(/^resource\.?/, '');
+  const entry = path === '' ? typeMapping?.id : typeMapping?.attributes?.[path];
+
+  if (entry) {
+    return normalizeFieldEntry(entry);
+  }
+  if (options.strict === false) {
+    return { field: path || 'id', type: 'keyword', entityRef: 'id', multiValued: false };
+  }
+  return null;
+}
+
+/**
+ * Look up the mapping entry for an index field by name
+ *
+ * Used by the filter emitters for other stores, which need to know a field's
+ * type and whether it holds several values.
+ *
+ * @param {string} field - Index field name
+ * @param {Object} options - Compilation options (fieldMapping, resourceType)
+ * @returns {{field: string, type: string, entityRef: string, multiValued: boolean}|null} Field descriptor
+ */
+export function findMappedField(field, options = {}) {
+  const typeMapping = resourceTypeMapping(options);
+  const entries = [typeMapping?.id, ...Object.values(typeMapping?.attributes || {})]
+    .filter(Boolean)
+    .map(normalizeFieldEntry);
+  const entry = entries.find(descriptor => descriptor.field === field);
+  if (entry) {
+    return entry;
+  }
+  // Ancestors fields hold a list of entity UIDs
+  if (entries.some(descriptor => descriptor.ancestors === field)) {
+    return { field, type: 'keyword', entityRef: 'uid', multiValued: true };
+  }
+  return null;
+}
+
+/**
+ * Pick the mapping for the residual's resource type (or the only type mapped)
+ */
+function resourceTypeMapping(options) {
+  const mapping = options.fieldMapping || (defaultFieldMapping ??= loadFieldMapping());
+  const entityTypes = mapping.entityTypes || {};
+  const entityType = entityTypes[options.resourceType]
+    ? options.resourceType
+    : (Object.keys(entityTypes).length === 1 ? Object.keys(entityTypes)[0] : null);
+  return entityType ? entityTypes[entityType] : null;
+}
+
+/**
+ * Load and validate an attribute-to-field mapping file
+ *
+ * @param {string} filePath - Path to a JSON mapping file
+ * @returns {Object} Field mapping ({ entityTypes: { [type]: { id, attributes } } })
+ */
+export function loadFieldMapping(filePath = DEFAULT_FIELD_MAPPING_PATH) {
+  const mapping = JSON.parse(readFileSync(filePath, 'utf-8'));
+
+  if (!mapping.entityTypes || typeof mapping.entityTypes !== 'object') {
+    throw new Error(`Field mapping ${filePath} must have an "entityTypes" object`);
+  }
+  for (const [entityType, typeMapping] of Object.entries(mapping.entityTypes)) {
+    const entries = Object.entries(typeMapping.attributes || {});
+    if (typeMapping.id) {
+      entries.push(['(id)', typeMapping.id]);
+    }
+    for (const [path, entry] of entries) {
+      const { field, type, entityRef, multiValued, ancestors } = normalizeFieldEntry(entry);
+      if (!field || typeof field !== 'string') {
+        throw new Error(`Field mapping for ${entityType} ${path} is missing a "field" name`);
+      }
+      if (!FIELD_TYPES.includes(type)) {
+        throw new Error(`Field mapping for ${entityType} ${path} has unknown type "${type}" (expected ${FIELD_TYPES.join(', ')})`);
+      }
+      if (ancestors !== undefined && typeof ancestors !== 'string') {
+        throw new Error(`Field mapping for ${entityType} ${path} has a non-string "ancestors" field name`);
+      }
+      if (typeof multiValued !== 'boolean') {
+        throw new Error(`Field mapping for ${entityType} ${path} has a non-boolean "multiValued"`);
+      }
+      if (!ENTITY_REF_FORMATS.includes(entityRef)) {
+        throw new Error(`Field mapping for ${entityType} ${path} has unknown entityRef "${entityRef}" (expected ${ENTITY_REF_FORMATS.join(', ')})`);
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Fill in defaults for a mapping entry ("field_name" is shorthand for a keyword field)
+ */
+function normalizeFieldEntry(entry) {
+  if (typeof entry === 'string') {
+    return { field: entry, type: 'keyword', entityRef: 'id', multiValued: false };
+  }
+  return { type: 'keyword', entityRef: 'id', multiValued: false, ...entry };
+}
+
+/**
+ * Translate a Cedar `like` pattern into an OpenSearch wildcard value
+ */
+function toWildcard(pattern) {
+  return pattern
+    .map(elem => elem === 'Wildcard' ? '*' : elem.Literal.replace(/[\\*?]/g, '\\$&'))
+    .join('');
+}
+
+/**
+ * Negate a single clause (with the guards a permit needs, see the module comment)
+ */
+function negate(clause, options) {
+  if (clause.match_all) {
+    return { match_none: {} };
+  }
+  if (clause.match_none) {
+    return { match_all: {} };
+  }
+  const guards = presenceGuards(clause, options);
+  return { bool: guards.length > 0 ? { must: guards, must_not: [clause] } : { must_not: [clause] } };
+}
+
+/**
+ * exists clauses for the fields a clause reads, in a permit
+ *
+ * Guards a negated clause, or the alternatives after it in an `||`, which
+ * Cedar only evaluates when the clause did not error on a missing attribute.
+ *
+ * A field is not read where an exists clause in the same conjunction
+ * requires it: `resource has x && resource.x == v` reads x only when it is
+ * present, and Cedar's `has` never errors.
+ */
+function presenceGuards(clause, options) {
+  if (options.effect !== 'permit') {
+    return [];
+  }
+  const read = new Set();
+  collectReadFields(clause, read, new Set());
+  // Every chunk has an id; an ancestors field is empty, which OpenSearch
+  // treats as missing, for an entity with no parents
+  const typeMapping = resourceTypeMapping(options);
+  const unguarded = new Set([
+    mapAttributeToField('resource', options)?.field,
+    ...[typeMapping?.id, ...Object.values(typeMapping?.attributes || {})]
+      .filter(Boolean)
+      .map(entry => normalizeFieldEntry(entry).ancestors)
+  ]);
+  return [...read]
+    .filter(field => !unguarded.has(field))
+    .map(field => ({ exists: { field } }));
+}
+
+// Gather the fields a clause reads without an exists clause requiring them
+function collectReadFields(clause, read, present) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+  switch (type) {
+    case 'bool': {
+      const required = [...(body.must || []), ...(body.filter || [])];
+      const inner = new Set([...present, ...required.filter(part => part.exists).map(part => part.exists.field)]);
+      for (const key of ['must', 'filter', 'should', 'must_not']) {
+        for (const part of body[key] || []) {
+          collectReadFields(part, read, inner);
+        }
+      }
+      break;
     }
-    if (expr.path) {
-      return expr.path;
+    case 'term':
+    case 'terms':
+    case 'range':
+    case 'wildcard': {
+      const field = Object.keys(body)[0];
+      if (!present.has(field)) {
+        read.add(field);
+      }
+      break;
     }
   }
-  return null;
 }
 
 /**
- * Extract literal value from expression
+ * Wrap compiled must/must_not/should arrays in a single bool query
+ *
+ * @param {Object} result - Compiled clauses from compileResidual
+ * @returns {Object} A bool query, or match_all when nothing constrains the result
  */
-function extractValue(expr) {
-  if (expr === null || expr === undefined) {
-    return null;
+export function toBoolQuery(result) {
+  if (result.must.length === 0 && result.must_not.length === 0 && result.should.length === 0) {
+    return { match_all: {} };
   }
-  if (typeof expr === 'string' || typeof expr === 'number' || typeof expr === 'boolean') {
-    return expr;
+
+  const bool = {};
+  if (result.must.length > 0) {
+    bool.must = result.must;
   }
-  if (expr && typeof expr === 'object') {
-    if (expr.value !== undefined) {
-      return expr.value;
+  if (result.must_not.length > 0) {
+    bool.must_not = result.must_not;
+  }
+  if (result.should.length > 0) {
+    bool.should = result.should;
+    bool.minimum_should_match = 1;
+  }
+  return { bool };
+}
+
+/**
+ * Simplify a compiled OpenSearch clause
+ *
+ * Removes match_all/match_none placeholders and duplicate clauses, folds a
+ * bool that can never (or always) match into match_none (match_all),
+ * flattens nested conjunctions and unwraps single-clause bools. `should`
+ * lists are treated as "at least one must match", which is how the compiler
+ * always emits them.
+ *
+ * @param {Object} clause - OpenSearch query clause
+ * @returns {Object} Equivalent, simplified clause
+ */
+export function simplifyQuery(clause) {
+  if (!clause.bool) {
+    return clause;
+  }
+  const { must = [], must_not: mustNot = [], should = [] } = clause.bool;
+
+  const required = [];
+  for (const inner of must.map(simplifyQuery)) {
+    if (inner.match_none) {
+      return { match_none: {} };
     }
-    if (expr.literal) {
-      return expr.literal;
+    if (inner.match_all) {
+      continue;
     }
-    // Handle entity references - extract ID
-    if (expr.__entity && expr.id) {
-      return expr.id;
+    // Flatten nested conjunctions
+    const parts = isConjunction(inner) ? inner.bool.must : [inner];
+    addUnique(required, ...parts);
+  }
+
+  const excluded = [];
+  for (const inner of mustNot.map(simplifyQuery)) {
+    if (inner.match_all) {
+      return { match_none: {} };
     }
-    if (expr.__entity) {
-      // Just entity type, return the string representation
-      return expr.__entity;
+    if (!inner.match_none) {
+      addUnique(excluded, inner);
+    }
+  }
+
+  if (should.length > 0) {
+    const alternatives = [];
+    let satisfied = false;
+    for (const inner of should.map(simplifyQuery)) {
+      if (inner.match_all) {
+        satisfied = true;
+      } else if (!inner.match_none) {
+        addUnique(alternatives, inner);
+      }
+    }
+    if (!satisfied) {
+      if (alternatives.length === 0) {
+        return { match_none: {} };
+      }
+      if (alternatives.length === 1) {
+        addUnique(required, alternatives[0]);
+      } else {
+        return boolOf(required, excluded, alternatives);
+      }
+    }
+  }
+
+  return boolOf(required, excluded, []);
+}
+
+function boolOf(must, mustNot, should) {
+  if (should.length === 0 && mustNot.length === 0) {
+    if (must.length === 0) {
+      return { match_all: {} };
+    }
+    if (must.length === 1) {
+      return must[0];
+    }
+  }
+  return toBoolQuery({ must, must_not: mustNot, should });
+}
+
+function isConjunction(clause) {
+  return Boolean(clause.bool) && Object.keys(clause.bool).length === 1 && Array.isArray(clause.bool.must);
+}
+
+function addUnique(list, ...clauses) {
+  for (const clause of clauses) {
+    const key = JSON.stringify(clause);
+    if (!list.some(existing => JSON.stringify(existing) === key)) {
+      list.push(clause);
     }
   }
-  return null;
 }
 
 /**
- * Map Cedar attribute path to OpenSearch field name
+ * Check whether a compiled filter can never match a document
+ *
+ * Callers can skip the search entirely for such filters (e.g. when partial
+ * evaluation already decided DENY).
+ *
+ * @param {Object} filter - OpenSearch query clause
+ * @returns {boolean} True for match_none, or a bool that requires match_none
  */
-function mapAttributeToField(attrPath) {
-  // Remove "resource." prefix
-  const field = attrPath.replace(/^resource\./, '');
-  
-  // Map entity references to just the ID field
-  // e.g., tenant -> tenant_id (assuming we store just the ID in OpenSearch)
-  const fieldMap = {
-    'tenant': 'tenant_id',
-    'customer_readers_team': 'customer_readers_team_id',
-    'employee_readers_team': 'employee_readers_team_id',
-    'doc': 'doc_id',
-    'classification': 'classification'
-  };
-  
-  return fieldMap[field] || field;
+export function filterMatchesNothing(filter) {
+  if (!filter || typeof filter !== 'object') {
+    return false;
+  }
+  if (filter.match_none) {
+    return true;
+  }
+  return Boolean(filter.bool?.must?.some(filterMatchesNothing) || filter.bool?.filter?.some(filterMatchesNothing));
 }
 
 /**
- * Parse Cedar expression text (simplified parser)
+ * Parse Cedar expression text and compile it
  * Handles Cedar CLI TPE output format
  */
-function parseCedarExpression(exprText, result) {
-  // Handle boolean literals
-  if (exprText.trim() === 'false') {
-    // A policy that evaluates to false doesn't contribute to the filter
-    // (it's already been evaluated away)
-    return result;
-  }
-  
-  // Pattern: entity reference == (resource.attr) or (resource.attr) == entity reference
-  // e.g., Platform::Tenant::"custco" == (resource.tenant)
-  const entityEqMatch = exprText.match(/(?:Platform::\w+::"([^"]+)"|\(resource\.(\w+)\))\s*==\s*(?:Platform::\w+::"([^"]+)"|\(resource\.(\w+)\))/);
-  if (entityEqMatch) {
-    const entityId = entityEqMatch[1] || entityEqMatch[3];
-    const attrName = entityEqMatch[2] || entityEqMatch[4];
-    if (entityId && attrName) {
-      const field = mapAttributeToField(`resource.${attrName}`);
-      result.must.push({ term: { [field]: entityId } });
-      return result;
-    }
-  }
-  
-  // Pattern: resource.attr == entity reference (with or without parentheses)
-  // e.g., (resource.tenant) == Platform::Tenant::"custco"
-  const resourceEntityEqMatch = exprText.match(/\(?resource\.(\w+)\)?\s*==\s*Platform::\w+::"([^"]+)"/);
-  if (resourceEntityEqMatch) {
-    const field = mapAttributeToField(`resource.${resourceEntityEqMatch[1]}`);
-    const entityId = resourceEntityEqMatch[2];
-    result.must.push({ term: { [field]: entityId } });
-    return result;
-  }
-  
-  // Pattern: resource.attr == "string value" (with or without parentheses)
-  // e.g., (resource.classification) == "confidential"
-  const stringEqMatch = exprText.match(/\(?resource\.(\w+)\)?\s*==\s*"([^"]+)"/);
-  if (stringEqMatch) {
-    const field = mapAttributeToField(`resource.${stringEqMatch[1]}`);
-    const value = stringEqMatch[2];
-    result.must.push({ term: { [field]: value } });
-    return result;
-  }
-  
-  // Pattern: [Entity::"id"].contains(resource.attr)
-  // e.g., [Platform::Team::"custco-readers"].contains(resource.customer_readers_team)
-  const setContainsMatch = exprText.match(/\[Platform::\w+::"([^"]+)"\]\.contains\(resource\.(\w+)\)/);
-  if (setContainsMatch) {
-    const entityId = setContainsMatch[1];
-    const field = mapAttributeToField(`resource.${setContainsMatch[2]}`);
-    result.must.push({ term: { [field]: entityId } });
-    return result;
-  }
-  
-  // Pattern: resource.attr != null
-  const notNullMatch = exprText.match(/resource\.(\w+)\s*!=\s*null/);
-  if (notNullMatch) {
-    const field = mapAttributeToField(`resource.${notNullMatch[1]}`);
-    result.must.push({ exists: { field: field } });
-    return result;
-  }
-  
-  // Pattern: resource.attr == null
-  const nullMatch = exprText.match(/resource\.(\w+)\s*==\s*null/);
-  if (nullMatch) {
-    const field = mapAttributeToField(`resource.${nullMatch[1]}`);
-    result.must_not.push({ exists: { field: field } });
-    return result;
-  }
-  
-  // Pattern: principal.teams.contains(resource.team) - needs principal context
-  const principalContainsMatch = exprText.match(/principal\.(\w+)\.contains\(resource\.(\w+)\)/);
-  if (principalContainsMatch) {
-    const field = mapAttributeToField(`resource.${principalContainsMatch[2]}`);
-    // This would need principal context to resolve - simplified for now
-    console.warn('Contains expression needs principal context:', exprText);
-  }
-  
-  return result;
+function parseCedarExpression(exprText, result, options) {
+  return compileAst(parseExpression(exprText), result, options);
 }
 
 /**
@@ -370,4 +1069,3 @@ function mergeResults(target, source) {
     target.should.push(...source.should);
   }
 }
-
@@ -9,21 +9,101 @@
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { dirname, resolve } from 'path';
+import { dirname, relative, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { compileResidual } from './mapping.js';
+import {
+  compileResidual,
+  toExpressionAst,
+  toBoolQuery,
+  simplifyQuery,
+  filterMatchesNothing,
+  loadFieldMapping,
+  DEFAULT_FIELD_MAPPING_PATH,
+  UnsupportedResidualError,
+  UnsupportedTargetError
+} from './mapping.js';
+import { parsePolicies, policyCondition } from './cedar-parser.js';
+import { estPolicyToAst, isEstPolicy } from './cedar-est.js';
+import { buildPostgresQuery, toPostgresWhere } from './targets/postgres.js';
+import { buildPredicate } from './targets/predicate.js';
+import { toQdrantFilter } from './targets/qdrant.js';
+import { toChromaWhere } from './targets/chroma.js';
+import { toPineconeFilter } from './targets/pinecone.js';
+import { isResidualDocument, residualDocumentConditions } from '../lib/residual-format.js';
+import { bindContext } from '../tpe/evaluator.js';
+import { readRequestContext } from '../lib/util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = resolve(__dirname, '../..');
 
+// Output written for each --target, given the compiled bool query
+const TARGETS = {
+  opensearch: filter => ({
+    filter: filter,
+    // Also include a full query example for k-NN search
+    query_example: {
+      size: 10,
+      query: {
+        bool: {
+          // The filter is an array containing the bool query; the bool
+          // wrapper must be kept so should/minimum_should_match apply
+          filter: [filter],
+          // k-NN query would be added separately in the actual search
+          // This is just the filter portion
+        }
+      }
+    }
+  }),
+  postgres: (filter, options) => ({
+    // $1 is reserved for the query embedding in the example query
+    filter: toPostgresWhere(filter, { ...options, firstParam: 2 }),
+    query_example: buildPostgresQuery(filter, options)
+  }),
+  qdrant: filter => {
+    const qdrantFilter = toQdrantFilter(filter);
+    return {
+      filter: qdrantFilter,
+      // Body for POST /collections/{collection}/points/search
+      query_example: { vector: '<query embedding>', filter: qdrantFilter, limit: 10, with_payload: true }
+    };
+  },
+  chroma: (filter, options) => {
+    const where = toChromaWhere(filter, options);
+    return {
+      filter: where,
+      // Arguments for collection.query(); omit `where` when the filter is null
+      query_example: { query_embeddings: ['<query embedding>'], n_results: 10, ...(where && { where }) }
+    };
+  },
+  pinecone: (filter, options) => {
+    const pineconeFilter = toPineconeFilter(filter, options);
+    return {
+      filter: pineconeFilter,
+      // Arguments for index.query(); omit `filter` when it is null
+      query_example: {
+        vector: '<query embedding>',
+        topK: 10,
+        includeMetadata: true,
+        ...(pineconeFilter && { filter: pineconeFilter })
+      }
+    };
+  }
+};
+
 // Parse command-line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     residual: null,
     out: null,
-    mapping: resolve(__dirname, 'mapping.js')
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    strict: true,
+    simplify: true,
+    onUnsupported: 'error',
+    target: 'opensearch',
+    table: 'chunks',
+    context: null
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -41,6 +121,26 @@ function parseArgs() {
       case '-m':
         options.mapping = args[++i];
         break;
+      case '--lenient':
+        options.strict = false;
+        break;
+      case '--no-simplify':
+        options.simplify = false;
+        break;
+      case '--on-unsupported':
+        options.onUnsupported = args[++i];
+        break;
+      case '--target':
+      case '-t':
+        options.target = args[++i];
+        break;
+      case '--table':
+        options.table = args[++i];
+        break;
+      case '--context':
+      case '-c':
+        options.context = args[++i];
+        break;
       case '--help':
       case '-h':
         printHelp();
@@ -59,6 +159,16 @@ function parseArgs() {
     process.exit(1);
   }
 
+  if (!['error', 'match_none'].includes(options.onUnsupported)) {
+    console.error(`Error: --on-unsupported must be 'error' or 'match_none', got '${options.onUnsupported}'`);
+    process.exit(1);
+  }
+
+  if (!TARGETS[options.target]) {
+    console.error(`Error: --target must be one of ${Object.keys(TARGETS).join(', ')}, got '${options.target}'`);
+    process.exit(1);
+  }
+
   return options;
 }
 
@@ -68,10 +178,24 @@ Usage: node residual-to-filter.js [options]
 
 Required:
   --residual, -r <file>    Input residual policy JSON file
-  --out, -o <file>         Output OpenSearch filter JSON file
+  --out, -o <file>         Output filter JSON file
 
 Optional:
-  --mapping, -m <file>     Custom mapping module (default: mapping.js)
+  --target, -t <name>      Filter language to emit: opensearch (default),
+                           postgres (parameterised SQL WHERE for pgvector),
+                           qdrant, chroma or pinecone
+  --table <name>           Chunk table for the postgres query example
+                           (default: chunks)
+  --mapping, -m <file>     Attribute-to-field mapping JSON (default: field-mapping.json)
+  --context, -c <file>     Request context JSON to substitute into residuals
+                           computed with partial-eval.js --defer-context
+  --on-unsupported <mode>  What to do with a policy the compiler cannot translate:
+                           'error' (default) fails compilation, 'match_none'
+                           makes that policy fail closed
+  --no-simplify            Emit one clause per residual policy as compiled,
+                           without folding constant or redundant clauses
+  --lenient                Skip untranslatable policies with a warning instead of
+                           failing closed (can widen access; for debugging only)
   --help, -h               Show this help message
 
 Example:
@@ -80,23 +204,78 @@ Example:
     --out examples/queries/opensearch-filter-kate.json
 
 The compiler translates Cedar residual conditions into OpenSearch bool queries
-with must/must_not/should clauses based on the attribute mappings defined
-in mapping.js.
+with must/must_not/should clauses. Resource attributes are translated to index
+fields using the mapping file, which gives each attribute path of the resource
+type a field name, a field type (keyword, long, date, boolean) and how entity
+references are stored ("id" or "uid"). In strict mode an attribute missing
+from the mapping is untranslatable. Untranslatable fragments are listed, with their policy @id,
+under metadata.untranslatable in the output.
+
+When partial evaluation already decided the request (decision ALLOW or DENY
+in the residual), no permit conditions are compiled: DENY produces a
+match_none filter with "skip_search": true, and ALLOW produces a filter that
+only applies the forbid policies. The decision is recorded in
+metadata.decision.
+
+With --target postgres the filter is written as { where, params }: a SQL
+condition over one column per mapped field with $n bind parameters. The
+parameters start at $2 because $1 is the query embedding in the example
+query (ORDER BY embedding <=> $1 LIMIT 10).
+
+The qdrant, chroma and pinecone targets emit each store's metadata filter.
+Not every store can express every condition (e.g. Chroma and Qdrant have no
+wildcard match for \`like\`); compilation then fails naming the clause.
+Chroma and Pinecone filters are null when every chunk is authorized.
+
+Residuals from partial-eval.js --defer-context still refer to the request
+context (e.g. context.purpose == "support"). With --context the context's
+values are substituted before compiling, so one residual serves every
+request and the filter follows each request's context. Without it, such
+conditions are untranslatable.
 `);
 }
 
 /**
- * Compile a Cedar residual policy into an OpenSearch filter
- * 
- * @param {Object} residual - The residual policy from Cedar TPE
- * @returns {Object} OpenSearch bool query filter
+ * Read the partial-evaluation decision from a residual
+ *
+ * The Cedar CLI reports ALLOW/DENY/UNKNOWN; the WASM bindings report
+ * "allow"/"deny", or null when the decision depends on the resource.
+ *
+ * @param {Object|string} residual - Residual in any format accepted by compileToOpenSearchFilter
+ * @returns {string} 'ALLOW', 'DENY' or 'UNKNOWN'
  */
-function compileToOpenSearchFilter(residual) {
+function residualDecision(residual) {
+  if (typeof residual === 'string') {
+    try {
+      residual = JSON.parse(residual);
+    } catch (e) {
+      return 'UNKNOWN';
+    }
+  }
+  const decision = residual?.type === 'residuals' ? residual.response?.decision : residual?.decision;
+  const normalized = typeof decision === 'string' ? decision.toUpperCase() : 'UNKNOWN';
+  return ['ALLOW', 'DENY'].includes(normalized) ? normalized : 'UNKNOWN';
+}
+
+/**
+ * Extract the per-policy conditions from a residual
+ *
+ * @param {Object|string} residual - The residual policy from Cedar TPE
+ * @param {Object} options - Compilation options
+ * @param {Object} options.context - Request context to substitute into the conditions
+ * @param {boolean} options.useDecision - Drop conditions the TPE decision makes moot (default: true)
+ * @returns {{conditions: Object[], decision: string, options: Object}} Conditions
+ *   ({ text | expr, type, id }), the TPE decision, and the options with the
+ *   residual's resource type filled in
+ */
+function extractResidualConditions(residual, options = {}) {
   // The residual may be in different formats depending on Cedar version
   // Common formats:
   // 1. A PolicySet with residual policies
   // 2. A JSON object with conditions
   // 3. A string representation that needs parsing
+  // 4. Cedar JSON (EST) policies from `cedar tpe --output-format json` or WASM
+  // 5. The versioned residual document written by partial-eval.js (lib/residual-format.js)
 
   let conditions = [];
   
@@ -106,27 +285,43 @@ function compileToOpenSearchFilter(residual) {
     try {
       residual = JSON.parse(residual);
     } catch (e) {
-      // If not JSON, might be Cedar policy text - would need a parser
-      console.warn('Residual is a string but not JSON. Assuming Cedar policy text.');
-      // For now, we'll need to parse Cedar syntax (simplified approach)
+      // If not JSON, treat it as Cedar policy text
       conditions = parseCedarResidualText(residual);
     }
   }
 
   if (residual && typeof residual === 'object') {
+    // WASM isAuthorizedPartial answer: { type: 'residuals', response: { residuals } }
+    if (residual.type === 'residuals' && residual.response) {
+      residual = { ...residual.response, resourceType: residual.resourceType };
+    }
+
     // Handle different residual formats
-    if (residual.residuals && Array.isArray(residual.residuals)) {
+    if (isResidualDocument(residual)) {
+      // partial-eval.js output: conditions are already Cedar JSON expressions
+      conditions = residualDocumentConditions(residual);
+    } else if (isEstPolicy(residual)) {
+      // A single Cedar JSON policy
+      conditions = extractConditionsFromEstPolicies([residual]);
+    } else if (residual.residuals && !Array.isArray(residual.residuals) && typeof residual.residuals === 'object') {
+      // Cedar JSON residuals keyed by policy id: { residuals: { policy0: { effect, ... } } }
+      conditions = extractConditionsFromEstPolicies(residual.residuals);
+    } else if (residual.staticPolicies) {
+      // Cedar JSON policy set: { staticPolicies: { id: { effect, ... } } }
+      conditions = extractConditionsFromEstPolicies(residual.staticPolicies);
+    } else if (residual.residuals && Array.isArray(residual.residuals)) {
       // Cedar CLI TPE format: { residuals: [{ id, text, type }, ...] }
-      // Extract the 'text' field from each residual (contains Cedar policy syntax)
+      // Parse the 'text' field of each residual (contains Cedar policy syntax);
+      // entries may also be Cedar JSON policies
       for (const res of residual.residuals) {
-        if (res.text) {
-          // Extract the 'when' clause from the policy text
-          const whenMatch = res.text.match(/when\s*\{([^}]+)\}/s);
-          if (whenMatch) {
+        if (isEstPolicy(res)) {
+          conditions.push(...extractConditionsFromEstPolicies([res]));
+        } else if (res.text) {
+          for (const condition of parseCedarResidualText(res.text)) {
             conditions.push({
-              text: whenMatch[1].trim(),
-              type: res.type, // 'permit' or 'forbid'
-              id: res.id
+              ...condition,
+              type: res.type || condition.type, // 'permit' or 'forbid'
+              id: res.id || condition.id
             });
           }
         }
@@ -145,10 +340,65 @@ function compileToOpenSearchFilter(residual) {
     }
   }
 
+  // Bind the request context into residuals computed without it
+  if (options.context) {
+    conditions = conditions.map(condition => ({
+      type: condition?.type,
+      id: condition?.id ?? null,
+      expr: bindContext(toExpressionAst(condition?.text ?? condition), options.context),
+      ...(condition?.error ? { error: condition.error } : {})
+    }));
+  }
+
+  // TPE already decided the request for every resource of this type
+  // (unless the caller wants every policy's condition, e.g. to compare residuals)
+  const decision = residualDecision(residual);
+  const useDecision = options.useDecision !== false;
+  if (useDecision && decision === 'DENY') {
+    // Nothing is authorized: there is nothing to compile (or run)
+    conditions = [];
+  } else if (useDecision && decision === 'ALLOW') {
+    // Some permit is always satisfied; only forbids can still narrow the result
+    conditions = [
+      { type: 'permit', id: null, expr: { op: 'value', value: true } },
+      ...conditions.filter(condition => condition?.type === 'forbid')
+    ];
+  }
+
+  return {
+    conditions,
+    decision,
+    options: { ...options, resourceType: options.resourceType ?? residual?.resourceType }
+  };
+}
+
+/**
+ * Compile a Cedar residual policy into an OpenSearch filter
+ * 
+ * @param {Object} residual - The residual policy from Cedar TPE
+ * @param {Object} options - Compilation options (see buildOpenSearchFilter)
+ * @returns {Object} OpenSearch bool query filter
+ */
+function compileToOpenSearchFilter(residual, options = {}) {
+  const extracted = extractResidualConditions(residual, options);
+  if (extracted.decision === 'DENY') {
+    return { bool: { must: [{ match_none: {} }] } };
+  }
+
   // Build OpenSearch bool query from conditions
-  const filter = buildOpenSearchFilter(conditions);
+  return buildOpenSearchFilter(extracted.conditions, extracted.options);
+}
 
-  return filter;
+/**
+ * Compile a Cedar residual policy into a JavaScript predicate over chunk metadata
+ *
+ * @param {Object} residual - The residual policy from Cedar TPE
+ * @param {Object} options - Compilation options (see buildPredicate)
+ * @returns {Function} (chunkMetadata) => boolean
+ */
+function compileToPredicate(residual, options = {}) {
+  const extracted = extractResidualConditions(residual, options);
+  return buildPredicate(extracted.conditions, extracted.options);
 }
 
 /**
@@ -168,6 +418,29 @@ function extractConditionsFromPolicySet(policySet) {
   return conditions;
 }
 
+/**
+ * Extract conditions from Cedar JSON (EST) policies
+ *
+ * @param {Object[]|Object} policies - Array of policies, or an object keyed by policy id
+ * @returns {Object[]} Conditions of shape { expr, type, id }
+ */
+function extractConditionsFromEstPolicies(policies) {
+  const entries = Array.isArray(policies)
+    ? policies.map(policy => [policy.id ?? null, policy])
+    : Object.entries(policies);
+
+  return entries.map(([key, policy]) => {
+    const parsed = estPolicyToAst(policy, key);
+    return {
+      expr: policyCondition(parsed),
+      type: parsed.effect,
+      // cedar-wasm keys static policies policy0, policy1, ... but template links by
+      // their newId, which tells links apart where the template's @id cannot
+      id: key === null || /^policy\d+$/.test(key) ? parsed.id : key
+    };
+  });
+}
+
 /**
  * Extract conditions from a residual object
  */
@@ -189,86 +462,146 @@ function extractConditions(residual) {
 }
 
 /**
- * Parse Cedar residual policy text (simplified)
- * This is a basic parser - a full implementation would need a proper Cedar parser
+ * Parse Cedar residual policy text into compilable conditions
+ *
+ * Each policy's scope and when/unless clauses are folded into a single
+ * condition AST.
+ *
+ * @param {string} text - One or more Cedar policies
+ * @returns {Object[]} Conditions of shape { expr, type, id }
  */
 function parseCedarResidualText(text) {
-  // This is a placeholder - would need proper Cedar AST parsing
-  // For now, return empty array and let the mapping handle it
-  console.warn('Cedar text parsing not fully implemented. Using mapping-based compilation.');
-  return [];
+  return parsePolicies(text).map(policy => ({
+    expr: policyCondition(policy),
+    type: policy.effect,
+    id: policy.id
+  }));
 }
 
 /**
  * Build OpenSearch bool filter from Cedar conditions
  * Uses the mapping module to translate Cedar expressions to OpenSearch queries
+ *
+ * Cedar allows a request when at least one permit policy is satisfied and no
+ * forbid policy is, so each policy is compiled to a single clause and:
+ * - permit clauses go into `should` with `minimum_should_match: 1`
+ * - each forbid clause goes into `must_not` as its own nested bool, so a
+ *   multi-clause forbid excludes NOT(a AND b) rather than NOT(a) AND NOT(b)
+ *
+ * In strict mode (the default) a policy containing any fragment the compiler
+ * cannot translate fails closed: either compilation throws an
+ * UnsupportedResidualError listing every fragment, or (with
+ * `onUnsupported: 'match_none'`) the policy is replaced by its most
+ * restrictive form. For a permit that is match_none; for a forbid it means
+ * the forbid applies to every chunk. With `strict: false` such policies are
+ * skipped (they are still listed in `report`), which can widen access. A
+ * condition with an `error` (a policy that errored in partial evaluation)
+ * is handled the same way.
+ *
+ * @param {Object[]} conditions - Conditions ({ text | expr, type, id, error? }) or raw expressions
+ * @param {Object} options - Compilation options (also passed through to compileResidual)
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (default: field-mapping.json)
+ * @param {boolean} options.simplify - Fold constant and redundant clauses (default: true)
+ * @param {boolean} options.strict - Fail closed on untranslatable conditions (default: true)
+ * @param {string} options.onUnsupported - 'error' (default) or 'match_none'
+ * @param {Object[]} options.report - If given, receives one entry per untranslatable
+ *   fragment: { policyId, effect, fragment, reason }
+ * @returns {Object} OpenSearch bool query filter
  */
-function buildOpenSearchFilter(conditions) {
-  const must = [];
-  const mustNot = [];
-  const should = [];
+function buildOpenSearchFilter(conditions, options = {}) {
+  const { strict = true, onUnsupported = 'error', report = [] } = options;
+  const permits = [];
+  const forbids = [];
+  const failures = [];
 
   // Use the mapping module to compile each condition
   for (const condition of conditions) {
-    try {
-      // Handle condition objects with 'text' field (from Cedar CLI residuals)
-      let conditionToCompile = condition;
-      const conditionType = condition && typeof condition === 'object' ? condition.type : null;
-      
-      if (condition && typeof condition === 'object' && condition.text) {
-        // Extract the text, pass text to compiler
-        conditionToCompile = condition.text;
+    // Handle condition objects with 'text' field (from Cedar CLI residuals)
+    let conditionToCompile = condition;
+    const conditionType = condition && typeof condition === 'object' ? condition.type : null;
+    const policyId = condition && typeof condition === 'object' ? condition.id ?? null : null;
+
+    if (condition && typeof condition === 'object' && condition.text) {
+      // Extract the text, pass text to compiler
+      conditionToCompile = condition.text;
+    }
+
+    const effect = conditionType === 'forbid' ? 'forbid' : 'permit';
+    const unsupported = [];
+    let clause;
+    if (condition?.error) {
+      // A policy that errored in partial evaluation may still apply
+      unsupported.push({ fragment: '(errored during partial evaluation)', reason: condition.error });
+    } else {
+      try {
+        clause = toBoolQuery(compileResidual(conditionToCompile, { ...options, strict, unsupported, effect }));
+      } catch (error) {
+        // e.g. a parse error in residual text: the whole condition is untranslatable
+        unsupported.push({
+          fragment: typeof conditionToCompile === 'string' ? conditionToCompile : JSON.stringify(conditionToCompile),
+          reason: error.message
+        });
       }
-      
-      const compiled = compileResidual(conditionToCompile);
-      
-      // If condition has type 'forbid', add to must_not instead of must
-      if (conditionType === 'forbid') {
-        // For forbid policies, the condition should NOT be true
-        // So if it compiles to must clauses, we add them to must_not
-        if (compiled.must && compiled.must.length > 0) {
-          mustNot.push(...(Array.isArray(compiled.must) ? compiled.must : [compiled.must]));
-        }
-        // Also add any existing must_not clauses
-        if (compiled.must_not && compiled.must_not.length > 0) {
-          mustNot.push(...(Array.isArray(compiled.must_not) ? compiled.must_not : [compiled.must_not]));
-        }
-      } else {
-        // For permit policies, add to must
-        if (compiled.must) {
-          must.push(...(Array.isArray(compiled.must) ? compiled.must : [compiled.must]));
-        }
-        if (compiled.must_not) {
-          mustNot.push(...(Array.isArray(compiled.must_not) ? compiled.must_not : [compiled.must_not]));
-        }
+    }
+
+    if (unsupported.length > 0) {
+      for (const entry of unsupported) {
+        failures.push({ policyId, effect, ...entry });
       }
-      
-      if (compiled.should) {
-        should.push(...(Array.isArray(compiled.should) ? compiled.should : [compiled.should]));
+
+      if (!strict) {
+        continue;
       }
-    } catch (error) {
-      console.warn(`Warning: Could not compile condition: ${JSON.stringify(condition)}`, error.message);
+
+      // Fail closed: the policy can only ever narrow access
+      clause = effect === 'forbid' ? { match_all: {} } : { match_none: {} };
     }
+
+    if (conditionType === 'forbid') {
+      forbids.push(clause);
+    } else {
+      permits.push(clause);
+    }
+  }
+
+  report.push(...failures);
+
+  if (strict && failures.length > 0 && onUnsupported !== 'match_none') {
+    const summary = failures
+      .map(entry => `  - ${entry.effect} ${entry.policyId ?? '(unnamed)'}: ${entry.fragment} (${entry.reason})`)
+      .join('\n');
+    throw new UnsupportedResidualError(
+      `Residual contains conditions that cannot be translated to a filter:\n${summary}`,
+      failures
+    );
   }
 
   // Build the bool query
   const boolQuery = {};
-  
-  if (must.length > 0) {
-    boolQuery.must = must;
+
+  if (permits.length > 0) {
+    boolQuery.should = permits;
+    boolQuery.minimum_should_match = 1;
+  } else {
+    // No permit policy applies: Cedar denies by default
+    boolQuery.must = [{ match_none: {} }];
   }
-  if (mustNot.length > 0) {
-    boolQuery.must_not = mustNot;
+  if (forbids.length > 0) {
+    boolQuery.must_not = forbids;
   }
-  if (should.length > 0) {
-    boolQuery.should = should;
-    boolQuery.minimum_should_match = 1;
+
+  if (options.simplify === false) {
+    // Return as a filter (can be used in bool.filter or directly)
+    return {
+      bool: boolQuery
+    };
   }
 
-  // Return as a filter (can be used in bool.filter or directly)
-  return {
-    bool: boolQuery
-  };
+  // Drop permits that reduced to false, forbids that can never apply and
+  // duplicates; a permit that reduced to true with no forbids matches every
+  // chunk, and no surviving permit matches none
+  const simplified = simplifyQuery({ bool: boolQuery });
+  return simplified.bool ? simplified : { bool: { must: [simplified] } };
 }
 
 // Main execution
@@ -281,11 +614,28 @@ async function main() {
     const residualText = readFileSync(options.residual, 'utf-8');
     const residual = JSON.parse(residualText);
 
-    console.log(`\nCompiling residual to OpenSearch filter...`);
+    console.log(`\nCompiling residual to ${options.target} filter...`);
     console.log(`Residual structure:`, JSON.stringify(residual, null, 2).substring(0, 200) + '...');
 
+    console.log(`Loading field mapping from ${options.mapping}...`);
+    const fieldMapping = loadFieldMapping(options.mapping);
+
+    let context = null;
+    if (options.context) {
+      console.log(`Loading request context from ${options.context}...`);
+      context = readRequestContext(options.context);
+    }
+
     // Compile to OpenSearch filter
-    const filter = compileToOpenSearchFilter(residual);
+    const report = [];
+    const filter = compileToOpenSearchFilter(residual, {
+      fieldMapping,
+      strict: options.strict,
+      simplify: options.simplify,
+      onUnsupported: options.onUnsupported,
+      context,
+      report
+    });
 
     // Ensure output directory exists
     const outDir = dirname(options.out);
@@ -293,36 +643,60 @@ async function main() {
       mkdirSync(outDir, { recursive: true });
     }
 
+    const decision = residualDecision(residual);
+    const skipSearch = filterMatchesNothing(filter);
+
     // Write output
     const output = {
-      filter: filter,
-      // Also include a full query example for k-NN search
-      query_example: {
-        size: 10,
-        query: {
-          bool: {
-            // The filter should be an array containing the bool query
-            // This structure is correct for OpenSearch
-            filter: [filter.bool],
-            // k-NN query would be added separately in the actual search
-            // This is just the filter portion
-          }
-        }
-      },
+      ...TARGETS[options.target](filter, {
+        fieldMapping,
+        resourceType: residual?.resourceType,
+        table: options.table
+      }),
+      // No chunk can be authorized: callers should not run the search at all
+      skip_search: skipSearch,
       metadata: {
         compiled_from: options.residual,
-        compiled_at: new Date().toISOString()
+        ...(options.context && { context: options.context }),
+        field_mapping: relative(PROJECT_ROOT, resolve(options.mapping)),
+        compiled_at: new Date().toISOString(),
+        target: options.target,
+        decision,
+        strict: options.strict,
+        untranslatable: report
       }
     };
 
     const outputJson = JSON.stringify(output, null, 2);
     writeFileSync(options.out, outputJson, 'utf-8');
 
-    console.log(`\n✓ OpenSearch filter written to ${options.out}`);
+    console.log(`\n✓ ${options.target} filter written to ${options.out}`);
+    console.log(`  Decision: ${decision}`);
+    if (skipSearch) {
+      console.log('  No chunks are authorized: the search can be skipped');
+    }
     console.log(`\nFilter structure:`);
-    console.log(JSON.stringify(filter, null, 2));
+    console.log(JSON.stringify(output.filter, null, 2));
+
+    if (report.length > 0) {
+      console.warn(`\n⚠️  ${report.length} untranslatable fragment(s):`);
+      for (const entry of report) {
+        console.warn(`   - ${entry.effect} ${entry.policyId ?? '(unnamed)'}: ${entry.fragment} (${entry.reason})`);
+      }
+    }
 
   } catch (error) {
+    if (error instanceof UnsupportedResidualError) {
+      // Expected failure in strict mode: the report is the useful part
+      console.error(`\n✗ ${error.message}`);
+      console.error('\nRe-run with --on-unsupported match_none to fail closed per policy instead.');
+      process.exit(1);
+    }
+    if (error instanceof UnsupportedTargetError) {
+      console.error(`\n✗ ${error.message}`);
+      console.error('\nThe residual compiled, but this condition has no equivalent in the chosen store.');
+      process.exit(1);
+    }
     console.error('Error compiling residual to filter:', error);
     if (error.message) {
       console.error('  ', error.message);
@@ -339,5 +713,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { compileToOpenSearchFilter, buildOpenSearchFilter };
+export { compileToOpenSearchFilter, compileToPredicate, buildOpenSearchFilter, extractResidualConditions, residualDecision };
 
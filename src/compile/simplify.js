@@ -0,0 +1,289 @@
+/**
+ * Residual Simplification
+ *
+ * Partial evaluation leaves a lot of noise in residuals: `true && ...`
+ * conjuncts for conditions that were satisfied, `false` for policies that
+ * can no longer apply, the same tenant check repeated across several
+ * policies, and comparisons between two known values. This pass folds that
+ * noise out of the expression AST (see cedar-parser.js) before it is
+ * compiled, so the generated filters only contain the constraints that
+ * actually depend on the resource.
+ *
+ * Every rewrite preserves the meaning of the expression under Cedar's
+ * evaluation rules, errors included: `resource.x || true` is not folded to
+ * true, because Cedar raises an error when the resource has no `x`.
+ */
+
+import { constantKey, isConstant, makeNary } from './cedar-parser.js';
+
+const TRUE = { op: 'value', value: true };
+const FALSE = { op: 'value', value: false };
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+/**
+ * Simplify an expression AST
+ *
+ * - folds constants: `true && x` → x, `false || x` → x, `!true` → false,
+ *   comparisons and set tests over known values
+ * - folds tautologies and contradictions: `x == x` → true,
+ *   `x && !x` → false, `x || !x` → true
+ * - removes duplicate conjuncts/disjuncts and absorbed terms:
+ *   `a || (a && b)` → a, `a && (a || b)` → a
+ * - resolves `if` with a known condition or identical branches
+ *
+ * @param {Object} expr - Expression AST
+ * @returns {Object} Equivalent, simplified expression AST
+ */
+export function simplifyExpression(expr) {
+  if (!expr || typeof expr !== 'object') {
+    return expr;
+  }
+
+  switch (expr.op) {
+    case '&&':
+      return simplifyJunction('&&', expr.args.map(simplifyExpression));
+
+    case '||':
+      return simplifyJunction('||', expr.args.map(simplifyExpression));
+
+    case '!': {
+      const arg = simplifyExpression(expr.arg);
+      if (isBoolean(arg)) {
+        return arg.value ? FALSE : TRUE;
+      }
+      if (arg.op === '!') {
+        return arg.arg;
+      }
+      return { op: '!', arg };
+    }
+
+    case 'if-then-else': {
+      const condition = simplifyExpression(expr.if);
+      const thenExpr = simplifyExpression(expr.then);
+      const elseExpr = simplifyExpression(expr.else);
+      if (isBoolean(condition)) {
+        return condition.value ? thenExpr : elseExpr;
+      }
+      if (sameExpression(thenExpr, elseExpr)) {
+        return thenExpr;
+      }
+      return { op: 'if-then-else', if: condition, then: thenExpr, else: elseExpr };
+    }
+
+    case '==':
+    case '!=': {
+      const left = simplifyExpression(expr.left);
+      const right = simplifyExpression(expr.right);
+      const equal = foldEquality(left, right);
+      if (equal !== undefined) {
+        return (equal === (expr.op === '==')) ? TRUE : FALSE;
+      }
+      return { ...expr, left, right };
+    }
+
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      const left = simplifyExpression(expr.left);
+      const right = simplifyExpression(expr.right);
+      if (isNumber(left) && isNumber(right)) {
+        return COMPARISONS[expr.op](left.value, right.value) ? TRUE : FALSE;
+      }
+      return { ...expr, left, right };
+    }
+
+    case 'in':
+    case 'contains':
+    case 'containsAny':
+    case 'containsAll': {
+      const left = simplifyExpression(expr.left);
+      const right = simplifyExpression(expr.right);
+      const folded = foldSetTest(expr.op, left, right);
+      if (folded !== undefined) {
+        return folded ? TRUE : FALSE;
+      }
+      return { ...expr, left, right };
+    }
+
+    default:
+      return simplifyChildren(expr);
+  }
+}
+
+/**
+ * Check whether two expression ASTs are structurally identical
+ *
+ * @param {Object} a - Expression AST
+ * @param {Object} b - Expression AST
+ * @returns {boolean} True when both trees are the same
+ */
+export function sameExpression(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check whether evaluating an expression can never raise an error
+ *
+ * Only boolean constants and `has`, `is`, `==`, `!=` and `in` applied to
+ * variables and known values qualify, and `&&`, `||` and `!` of those:
+ * reading an attribute can find it missing, and the other operators fail on
+ * operands of the wrong type.
+ *
+ * @param {Object} expr - Expression AST
+ * @returns {boolean} True if the expression always evaluates to a boolean
+ */
+export function cannotError(expr) {
+  const isOperand = node => node.op === 'var' || isConstant(node);
+  const isEntity = node => (node.op === 'var' && node.name !== 'context') || node.op === 'entity';
+  const isEntitySet = node => node.op === 'entity' || (node.op === 'set' && node.elements.every(element => element.op === 'entity'));
+  switch (expr.op) {
+    case 'value':
+      return typeof expr.value === 'boolean';
+    case '&&':
+    case '||':
+      return expr.args.every(cannotError);
+    case '!':
+      return cannotError(expr.arg);
+    case 'has':
+      return expr.left.op === 'var';
+    case 'is':
+      return isEntity(expr.left) && (!expr.in || isEntitySet(expr.in));
+    case '==':
+    case '!=':
+      return isOperand(expr.left) && isOperand(expr.right);
+    case 'in':
+      return isEntity(expr.left) && isEntitySet(expr.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Simplify the (already simplified) arguments of an && or ||
+ *
+ * For && the absorbing constant is false and the identity is true; for ||
+ * it is the other way round.
+ */
+function simplifyJunction(op, simplifiedArgs) {
+  const absorbing = op === '||';
+  const dual = op === '&&' ? '||' : '&&';
+
+  const args = [];
+  for (const arg of simplifiedArgs.flatMap(a => a.op === op ? a.args : [a])) {
+    if (isBoolean(arg)) {
+      if (arg.value === absorbing) {
+        if (args.every(cannotError)) {
+          return arg;
+        }
+        // The operands before it still run; the ones after it never do
+        args.push(arg);
+        break;
+      }
+      continue;
+    }
+    if (!args.some(existing => sameExpression(existing, arg))) {
+      args.push(arg);
+    }
+  }
+
+  // x && !x is false, x || !x is true (unless x errors)
+  const complementary = args.some(arg => arg.op === '!' && cannotError(arg.arg)
+    && args.some(other => sameExpression(other, arg.arg)));
+  if (complementary) {
+    return absorbing ? TRUE : FALSE;
+  }
+
+  // Absorption: a || (a && b) → a, a && (a || b) → a
+  const kept = args.filter(arg => !(arg.op === dual
+    && args.some(other => other !== arg && arg.args.some(inner => sameExpression(inner, other)))));
+
+  if (kept.length === 0) {
+    return absorbing ? FALSE : TRUE;
+  }
+  return makeNary(op, kept);
+}
+
+/**
+ * Simplify the children of any other node
+ */
+function simplifyChildren(expr) {
+  const node = { ...expr };
+  for (const key of ['left', 'right', 'arg']) {
+    if (node[key] && typeof node[key] === 'object') {
+      node[key] = simplifyExpression(node[key]);
+    }
+  }
+  if (Array.isArray(node.args)) {
+    node.args = node.args.map(simplifyExpression);
+  }
+  if (Array.isArray(node.elements)) {
+    node.elements = node.elements.map(simplifyExpression);
+  }
+  return node;
+}
+
+/**
+ * Decide `left == right` when possible
+ *
+ * @returns {boolean|undefined} The result, or undefined if it depends on unknowns
+ */
+function foldEquality(left, right) {
+  if (isConstant(left) && isConstant(right)) {
+    return constantKey(left) === constantKey(right);
+  }
+  if (sameExpression(left, right)) {
+    return true;
+  }
+  return undefined;
+}
+
+/**
+ * Decide `in`/`contains`/`containsAny`/`containsAll` over known values
+ *
+ * Entity `in` depends on the entity hierarchy, so it is only folded when the
+ * entity is (a member of) the right-hand side itself.
+ */
+function foldSetTest(op, left, right) {
+  if (op === 'in') {
+    if (right.op === 'set' && right.elements.some(element => sameValue(element, left))) {
+      return true;
+    }
+    if (left.op === 'entity' && sameExpression(left, right)) {
+      return true;
+    }
+    return undefined;
+  }
+
+  if (left.op !== 'set' || !left.elements.every(isConstant)) {
+    return undefined;
+  }
+  const has = element => left.elements.some(member => sameValue(member, element));
+
+  if (op === 'contains') {
+    return isConstant(right) ? has(right) : undefined;
+  }
+  if (right.op !== 'set' || !right.elements.every(isConstant)) {
+    return undefined;
+  }
+  return op === 'containsAny' ? right.elements.some(has) : right.elements.every(has);
+}
+
+function isBoolean(expr) {
+  return expr.op === 'value' && typeof expr.value === 'boolean';
+}
+
+function isNumber(expr) {
+  return expr.op === 'value' && typeof expr.value === 'number';
+}
+
+// Value equality for constants (sets unordered), structural otherwise
+function sameValue(a, b) {
+  return isConstant(a) && isConstant(b) ? constantKey(a) === constantKey(b) : sameExpression(a, b);
+}
@@ -0,0 +1,29 @@
+/**
+ * Chroma Filter Target
+ *
+ * Emits a Chroma `where` filter ($and/$or with $eq, $ne, $in, $nin and
+ * numeric $gt/$gte/$lt/$lte). Chroma metadata values are scalars and there
+ * is no operator for field presence, so `has` conditions and multi-valued
+ * attributes cannot be expressed.
+ *
+ * Reference: https://docs.trychroma.com/docs/querying-collections/metadata-filtering
+ */
+
+import { toOperatorFilter } from './operator-filter.js';
+
+const CHROMA = {
+  name: 'chroma',
+  supportsExists: false,
+  supportsMultiValued: false
+};
+
+/**
+ * Compile a filter into a Chroma `where` filter
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @param {Object} options - Options (see toOperatorFilter)
+ * @returns {Object|null} Chroma where filter, or null when every chunk matches
+ */
+export function toChromaWhere(filter, options = {}) {
+  return toOperatorFilter(filter, CHROMA, options);
+}
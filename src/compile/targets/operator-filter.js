@@ -0,0 +1,178 @@
+/**
+ * Operator-Style Metadata Filters (Chroma, Pinecone)
+ *
+ * Chroma and Pinecone share a MongoDB-like filter language: field
+ * conditions such as { tenant_id: { $eq: "custco" } } combined with $and and
+ * $or. Neither has a general negation operator, so negations from the bool
+ * query's must_not are pushed down to the field conditions ($eq → $ne,
+ * $in → $nin, $gt → $lte, ...) using De Morgan's laws.
+ *
+ * A pushed-down negation only matches chunks that have the field, whereas
+ * OpenSearch's must_not also matches chunks without it, so these targets can
+ * exclude chunks the OpenSearch filter would include, never the reverse.
+ *
+ * Each store module describes its dialect:
+ * - name: target name used in error messages
+ * - supportsExists: whether { field: { $exists: bool } } is available
+ * - supportsMultiValued: whether list-valued metadata fields can be filtered
+ */
+
+import { findMappedField, UnsupportedTargetError } from '../mapping.js';
+
+const NEGATED = { $eq: '$ne', $ne: '$eq', $in: '$nin', $nin: '$in', $gt: '$lte', $gte: '$lt', $lt: '$gte', $lte: '$gt' };
+const RANGE_OPS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+/**
+ * Compile a filter into an operator-style metadata filter
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @param {Object} dialect - Store dialect (see module comment)
+ * @param {Object} options - Options
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (for field types)
+ * @param {string} options.resourceType - Resource entity type
+ * @param {string} options.idField - Field used to build an always-false filter (default: id)
+ * @returns {Object|null} Metadata filter, or null when every chunk matches
+ */
+export function toOperatorFilter(filter, dialect, options = {}) {
+  const result = compileClause(filter, false, { dialect, options });
+
+  if (result === true) {
+    return null;
+  }
+  if (result === false) {
+    // Neither store has a "match nothing" filter; x == v && x != v never holds
+    const idField = options.idField || 'id';
+    return { $and: [{ [idField]: { $eq: '' } }, { [idField]: { $ne: '' } }] };
+  }
+  return result;
+}
+
+/**
+ * Compile one query clause, negated if `negated` is set
+ *
+ * Returns true/false for clauses that match every/no chunk so they can be
+ * folded away by the enclosing $and/$or.
+ */
+function compileClause(clause, negated, context) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+
+  switch (type) {
+    case 'match_all':
+      return !negated;
+
+    case 'match_none':
+      return negated;
+
+    case 'bool': {
+      if (body.should?.length > 0 && (body.minimum_should_match ?? 1) !== 1) {
+        unsupported(clause, 'only minimum_should_match 1 is supported', context);
+      }
+      const guards = negated ? [] : (body.must || []).filter(inner => inner.exists);
+      const required = (body.must || [])
+        .filter(inner => !guards.includes(inner))
+        .map(inner => compileClause(inner, negated, context));
+      const excluded = (body.must_not || []).map(inner => compileClause(inner, !negated, context));
+      const alternatives = (body.should || []).map(inner => compileClause(inner, negated, context));
+
+      // A field condition only holds when the field is present, so the exists
+      // guard mapping.js puts beside a negation in a permit is redundant here;
+      // dropping it keeps such negations expressible without $exists (Chroma)
+      const present = new Set([...required, ...excluded].filter(isFieldCondition).map(part => Object.keys(part)[0]));
+      const kept = guards
+        .filter(guard => !present.has(guard.exists.field))
+        .map(guard => compileClause(guard, negated, context));
+
+      // NOT(a AND b) = NOT a OR NOT b, NOT(a OR b) = NOT a AND NOT b
+      const parts = [...kept, ...required, ...excluded];
+      if (alternatives.length > 0) {
+        parts.push(combine(negated ? '$and' : '$or', alternatives));
+      }
+      return combine(negated ? '$or' : '$and', parts);
+    }
+
+    case 'term': {
+      const [field, value] = Object.entries(body)[0];
+      checkField(field, clause, context);
+      return { [field]: { [negated ? '$ne' : '$eq']: value } };
+    }
+
+    case 'terms': {
+      const [field, values] = Object.entries(body)[0];
+      checkField(field, clause, context);
+      return { [field]: { [negated ? '$nin' : '$in']: values } };
+    }
+
+    case 'range': {
+      const [field, bounds] = Object.entries(body)[0];
+      checkField(field, clause, context);
+      const conditions = Object.entries(bounds).map(([op, value]) => {
+        if (!RANGE_OPS[op]) {
+          unsupported(clause, `unknown range operator ${op}`, context);
+        }
+        if (typeof value !== 'number') {
+          unsupported(clause, 'range filters only compare numbers', context);
+        }
+        const operator = negated ? NEGATED[RANGE_OPS[op]] : RANGE_OPS[op];
+        return { [field]: { [operator]: value } };
+      });
+      return combine(negated ? '$or' : '$and', conditions);
+    }
+
+    case 'exists':
+      if (!context.dialect.supportsExists) {
+        unsupported(clause, 'there is no operator to test whether a metadata field is present', context);
+      }
+      return { [body.field]: { $exists: !negated } };
+
+    case 'wildcard':
+      unsupported(clause, 'there is no wildcard or prefix match on metadata fields', context);
+      break;
+
+    default:
+      unsupported(clause, `no equivalent for ${type} queries`, context);
+  }
+}
+
+/**
+ * Combine conditions with $and/$or, folding constant parts
+ */
+function combine(operator, parts) {
+  const absorbing = operator === '$or';
+  const kept = [];
+  for (const part of parts) {
+    if (part === absorbing) {
+      return absorbing;
+    }
+    if (part !== !absorbing) {
+      kept.push(part);
+    }
+  }
+  if (kept.length === 0) {
+    return !absorbing;
+  }
+  // Both stores require at least two operands for $and/$or
+  return kept.length === 1 ? kept[0] : { [operator]: kept };
+}
+
+/**
+ * Check whether a compiled part is a condition on a single field other than $exists
+ */
+function isFieldCondition(part) {
+  if (!part || typeof part !== 'object') {
+    return false;
+  }
+  const keys = Object.keys(part);
+  return keys.length === 1 && !keys[0].startsWith('$') && !Object.hasOwn(part[keys[0]], '$exists');
+}
+
+function checkField(field, clause, context) {
+  const { dialect, options } = context;
+  if (!dialect.supportsMultiValued && findMappedField(field, options)?.multiValued) {
+    unsupported(clause, `${field} is multi-valued and list metadata cannot be filtered`, context);
+  }
+}
+
+function unsupported(clause, reason, context) {
+  throw new UnsupportedTargetError(context.dialect.name, clause, reason);
+}
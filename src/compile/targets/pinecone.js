@@ -0,0 +1,30 @@
+/**
+ * Pinecone Filter Target
+ *
+ * Emits a Pinecone metadata filter ($and/$or with $eq, $ne, $in, $nin,
+ * $exists and numeric $gt/$gte/$lt/$lte). List-valued metadata matches
+ * $eq/$in when any element does, like a multi-valued OpenSearch field.
+ * Dates must be stored as numbers to be compared, and there is no pattern
+ * matching, so `like` conditions cannot be expressed.
+ *
+ * Reference: https://docs.pinecone.io/guides/index-data/indexing-overview#metadata-filter-expressions
+ */
+
+import { toOperatorFilter } from './operator-filter.js';
+
+const PINECONE = {
+  name: 'pinecone',
+  supportsExists: true,
+  supportsMultiValued: true
+};
+
+/**
+ * Compile a filter into a Pinecone metadata filter
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @param {Object} options - Options (see toOperatorFilter)
+ * @returns {Object|null} Pinecone filter, or null when every chunk matches
+ */
+export function toPineconeFilter(filter, options = {}) {
+  return toOperatorFilter(filter, PINECONE, options);
+}
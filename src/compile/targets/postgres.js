@@ -0,0 +1,228 @@
+/**
+ * PostgreSQL / pgvector Filter Target
+ *
+ * Translates a compiled filter (the bool query produced by
+ * buildOpenSearchFilter, which uses the attribute mapping) into a
+ * parameterised SQL WHERE fragment for a table of chunks with one column per
+ * mapped field. Values are always passed as bind parameters ($n), never
+ * interpolated into the SQL text.
+ *
+ * A negation in a permit comes with exists clauses for the fields it reads
+ * (see presenceGuards in mapping.js), so it is written as
+ * `"x" IS NOT NULL AND NOT ("x" = $n)`: a row with a NULL column does not
+ * match, as Cedar's `!` errors on the missing attribute. Any other negation,
+ * forbids in particular, is written as NOT COALESCE(..., FALSE). That keeps
+ * the OpenSearch meaning of must_not, which matches documents that lack the
+ * field: a chunk with a NULL classification is not excluded by a forbid on
+ * classification (Cedar skips a forbid whose condition errors on a missing
+ * attribute), where a bare NOT would turn the NULL comparison into NULL and
+ * drop the row.
+ */
+
+import { findMappedField, mapAttributeToField, UnsupportedTargetError } from '../mapping.js';
+
+/**
+ * Compile a filter into a SQL WHERE fragment
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @param {Object} options - Options
+ * @param {number} options.firstParam - Number of the first bind parameter (default: 1)
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (for multi-valued columns)
+ * @param {string} options.resourceType - Resource entity type
+ * @returns {{where: string, params: Array}} SQL condition and its bind parameters
+ */
+export function toPostgresWhere(filter, options = {}) {
+  const context = {
+    params: [],
+    firstParam: options.firstParam ?? 1,
+    // Columns known not to be NULL where a clause is compiled
+    present: new Set([mapAttributeToField('resource', options)?.field].filter(Boolean)),
+    options
+  };
+  const where = compileClause(filter, context);
+  return { where, params: context.params };
+}
+
+/**
+ * Build an example pgvector similarity query restricted by the filter
+ *
+ * The query embedding is bound as $1 and the filter parameters follow it.
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @param {Object} options - Options (see toPostgresWhere)
+ * @param {string} options.table - Chunk table (default: chunks)
+ * @param {string} options.vectorColumn - pgvector column (default: embedding)
+ * @param {number} options.k - Number of nearest neighbours to return (default: 10)
+ * @returns {{sql: string, params: Array}} Query text and bind parameters
+ */
+export function buildPostgresQuery(filter, options = {}) {
+  const { table = 'chunks', vectorColumn = 'embedding', k = 10 } = options;
+  const { where, params } = toPostgresWhere(filter, { ...options, firstParam: 2 });
+
+  const sql = [
+    `SELECT * FROM ${quoteIdentifier(table)}`,
+    `WHERE ${where}`,
+    `ORDER BY ${quoteIdentifier(vectorColumn)} <=> $1`,
+    `LIMIT ${Number.parseInt(k, 10)}`
+  ].join('\n');
+
+  return { sql, params: ['<query embedding>', ...params] };
+}
+
+/**
+ * Compile one query clause into a SQL condition
+ */
+function compileClause(clause, context) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+
+  switch (type) {
+    case 'match_all':
+      return 'TRUE';
+
+    case 'match_none':
+      return 'FALSE';
+
+    case 'bool':
+      return compileBool(body, clause, context);
+
+    case 'term': {
+      const [field, value] = Object.entries(body)[0];
+      return isMultiValued(field, context)
+        ? `${bind(value, context)} = ANY(${quoteIdentifier(field)})`
+        : `${quoteIdentifier(field)} = ${bind(value, context)}`;
+    }
+
+    case 'terms': {
+      const [field, values] = Object.entries(body)[0];
+      return isMultiValued(field, context)
+        ? `${quoteIdentifier(field)} && ${bind(values, context)}`
+        : `${quoteIdentifier(field)} = ANY(${bind(values, context)})`;
+    }
+
+    case 'range': {
+      const SQL_OPS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+      const [field, bounds] = Object.entries(body)[0];
+      const conditions = Object.entries(bounds).map(([op, value]) => {
+        if (!SQL_OPS[op]) {
+          throw new UnsupportedTargetError('postgres', clause, `unknown range operator ${op}`);
+        }
+        return `${quoteIdentifier(field)} ${SQL_OPS[op]} ${bind(value, context)}`;
+      });
+      return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+    }
+
+    case 'exists':
+      return `${quoteIdentifier(body.field)} IS NOT NULL`;
+
+    case 'wildcard': {
+      const [field, { value }] = Object.entries(body)[0];
+      return `${quoteIdentifier(field)} LIKE ${bind(wildcardToLike(value), context)}`;
+    }
+
+    default:
+      throw new UnsupportedTargetError('postgres', clause, `no SQL equivalent for ${type} queries`);
+  }
+}
+
+/**
+ * Compile a bool query: must → AND, should → OR, must_not → NOT
+ */
+function compileBool(bool, clause, context) {
+  if (bool.should?.length > 0 && (bool.minimum_should_match ?? 1) !== 1) {
+    throw new UnsupportedTargetError('postgres', clause, 'only minimum_should_match 1 is supported');
+  }
+  // Columns the exists clauses of this conjunction require
+  const present = new Set(context.present);
+  for (const clause of bool.must || []) {
+    if (clause.exists) {
+      present.add(clause.exists.field);
+    }
+  }
+  const inner = { ...context, present };
+  const parts = [];
+
+  for (const clause of bool.must || []) {
+    parts.push(compileClause(clause, inner));
+  }
+  if (bool.should && bool.should.length > 0) {
+    const alternatives = bool.should.map(clause => compileClause(clause, inner));
+    parts.push(alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' OR ')})`);
+  }
+  for (const clause of bool.must_not || []) {
+    const condition = compileClause(clause, inner);
+    if (readColumns(clause).every(column => present.has(column))) {
+      parts.push(`NOT (${condition})`);
+    } else {
+      // A NULL column counts as not matching, as a missing field does in OpenSearch
+      parts.push(`NOT COALESCE(${condition}, FALSE)`);
+    }
+  }
+
+  if (parts.length === 0) {
+    return 'TRUE';
+  }
+  return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+}
+
+/**
+ * Columns whose value a clause compares (exists only tests for NULL)
+ */
+function readColumns(clause) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+  switch (type) {
+    case 'bool':
+      return ['must', 'should', 'must_not'].flatMap(key => (body[key] || []).flatMap(readColumns));
+    case 'term':
+    case 'terms':
+    case 'range':
+    case 'wildcard':
+      return [Object.keys(body)[0]];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Add a bind parameter and return its placeholder
+ */
+function bind(value, context) {
+  context.params.push(value);
+  return `$${context.firstParam + context.params.length - 1}`;
+}
+
+function isMultiValued(field, context) {
+  return Boolean(findMappedField(field, context.options)?.multiValued);
+}
+
+/**
+ * Quote a column or table name ("tenant_id", "public"."chunks")
+ */
+function quoteIdentifier(name) {
+  return name.split('.').map(part => `"${part.replace(/"/g, '""')}"`).join('.');
+}
+
+/**
+ * Convert an OpenSearch wildcard pattern (* and ?, \ escapes) to SQL LIKE
+ */
+function wildcardToLike(pattern) {
+  let like = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      like += escapeLike(pattern[++i]);
+    } else if (char === '*') {
+      like += '%';
+    } else if (char === '?') {
+      like += '_';
+    } else {
+      like += escapeLike(char);
+    }
+  }
+  return like;
+}
+
+function escapeLike(char) {
+  return /[%_\\]/.test(char) ? `\\${char}` : char;
+}
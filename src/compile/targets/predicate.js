@@ -0,0 +1,396 @@
+/**
+ * JavaScript Predicate Target
+ *
+ * Compiles residual conditions into a plain function
+ * `(chunkMetadata) => boolean`, for filtering chunks in memory (e.g.
+ * data/chunks.jsonl), post-filtering results from stores without metadata
+ * filtering, and as a reference to cross-check the OpenSearch filters.
+ *
+ * It walks the same expression AST and uses the same attribute mapping as
+ * mapping.js, but evaluates conditions with Cedar's semantics rather than
+ * through a query language: a condition that reads an attribute the chunk
+ * does not have errors, and a policy whose condition errors does not apply.
+ */
+
+import {
+  UnsupportedResidualError,
+  describeUnsupported,
+  extractAttributePath,
+  extractValue,
+  formatUid,
+  mapAttributeToField,
+  splitOperands,
+  toExpressionAst
+} from '../mapping.js';
+import { toCedarText } from '../cedar-parser.js';
+import { simplifyExpression } from '../simplify.js';
+
+/**
+ * Raised while evaluating a condition that reads a missing attribute
+ */
+class MissingAttributeError extends Error {
+  constructor(field) {
+    super(`Chunk has no value for ${field}`);
+    this.name = 'MissingAttributeError';
+  }
+}
+
+/**
+ * Build a predicate from residual conditions
+ *
+ * A chunk passes when at least one permit condition holds and no forbid
+ * condition does. Untranslatable conditions are handled as in
+ * buildOpenSearchFilter: by default they raise an UnsupportedResidualError,
+ * with `onUnsupported: 'match_none'` the policy fails closed, and with
+ * `strict: false` it is skipped (and listed in `report`). So is a condition
+ * with an `error`, from a policy that errored in partial evaluation.
+ *
+ * @param {Object[]} conditions - Conditions ({ text | expr, type, id, error? }) or raw expressions
+ * @param {Object} options - Compilation options
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (default: field-mapping.json)
+ * @param {string} options.resourceType - Resource entity type (used for `resource is T`)
+ * @param {boolean} options.strict - Fail closed on untranslatable conditions (default: true)
+ * @param {string} options.onUnsupported - 'error' (default) or 'match_none'
+ * @param {Object[]} options.report - If given, receives one entry per untranslatable
+ *   fragment: { policyId, effect, fragment, reason }
+ * @returns {Function} (chunkMetadata) => boolean
+ */
+export function buildPredicate(conditions, options = {}) {
+  const { strict = true, onUnsupported = 'error', report = [] } = options;
+  const permits = [];
+  const forbids = [];
+  const failures = [];
+
+  for (const condition of conditions) {
+    const isWrapper = condition && typeof condition === 'object' && (condition.text || condition.type);
+    const effect = isWrapper && condition.type === 'forbid' ? 'forbid' : 'permit';
+    const policyId = isWrapper ? condition.id ?? null : null;
+    const source = isWrapper ? condition.text ?? condition.expr : condition;
+
+    const unsupported = [];
+    let test;
+    if (condition?.error) {
+      // A policy that errored in partial evaluation may still apply
+      unsupported.push({ fragment: '(errored during partial evaluation)', reason: condition.error });
+    } else {
+      try {
+        const expr = options.simplify === false ? toExpressionAst(source) : simplifyExpression(toExpressionAst(source));
+        test = compileNode(expr, { ...options, strict, unsupported });
+      } catch (error) {
+        unsupported.push({
+          fragment: typeof source === 'string' ? source : JSON.stringify(source),
+          reason: error.message
+        });
+      }
+    }
+
+    if (unsupported.length > 0) {
+      failures.push(...unsupported.map(entry => ({ policyId, effect, ...entry })));
+      if (!strict) {
+        continue;
+      }
+      // Fail closed: the policy can only ever narrow access
+      test = effect === 'forbid' ? () => true : () => false;
+    }
+
+    (effect === 'forbid' ? forbids : permits).push(test);
+  }
+
+  report.push(...failures);
+
+  if (strict && failures.length > 0 && onUnsupported !== 'match_none') {
+    const summary = failures
+      .map(entry => `  - ${entry.effect} ${entry.policyId ?? '(unnamed)'}: ${entry.fragment} (${entry.reason})`)
+      .join('\n');
+    throw new UnsupportedResidualError(
+      `Residual contains conditions that cannot be translated to a predicate:\n${summary}`,
+      failures
+    );
+  }
+
+  return chunk => permits.some(test => applies(test, chunk)) && !forbids.some(test => applies(test, chunk));
+}
+
+/**
+ * Evaluate one policy's condition; a policy whose condition errors does not apply
+ */
+function applies(test, chunk) {
+  try {
+    return test(chunk) === true;
+  } catch (error) {
+    if (error instanceof MissingAttributeError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compile an expression AST node into a function of the chunk metadata
+ */
+function compileNode(expr, options) {
+  switch (expr.op) {
+    case 'value':
+      if (typeof expr.value === 'boolean') {
+        return () => expr.value;
+      }
+      break;
+
+    case '&&': {
+      const tests = expr.args.map(arg => compileNode(arg, options));
+      return chunk => tests.every(test => test(chunk));
+    }
+
+    case '||': {
+      const tests = expr.args.map(arg => compileNode(arg, options));
+      return chunk => tests.some(test => test(chunk));
+    }
+
+    case '!': {
+      const test = compileNode(expr.arg, options);
+      return chunk => !test(chunk);
+    }
+
+    case 'if-then-else': {
+      const condition = compileNode(expr.if, options);
+      const thenTest = compileNode(expr.then, options);
+      const elseTest = compileNode(expr.else, options);
+      return chunk => (condition(chunk) ? thenTest(chunk) : elseTest(chunk));
+    }
+
+    case '==':
+    case '!=': {
+      const [attrPath, valueNode] = splitOperands(expr.left, expr.right);
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      const value = field ? extractValue(valueNode, field) : undefined;
+      if (value !== undefined) {
+        const equal = chunk => sameValue(read(chunk, field), value);
+        return expr.op === '==' ? equal : chunk => !equal(chunk);
+      }
+      break;
+    }
+
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      const test = compileComparison(expr, options);
+      if (test) {
+        return test;
+      }
+      break;
+    }
+
+    case 'in':
+    case 'contains':
+    case 'containsAny':
+    case 'containsAll': {
+      const test = compileContains(expr, options);
+      if (test) {
+        return test;
+      }
+      break;
+    }
+
+    case 'has': {
+      const attrPath = extractAttributePath({ op: '.', left: expr.left, attr: expr.attr });
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field) {
+        return chunk => chunk[field.field] !== undefined && chunk[field.field] !== null;
+      }
+      break;
+    }
+
+    case 'like': {
+      const attrPath = extractAttributePath(expr.left);
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field && field.type === 'keyword') {
+        const regex = patternToRegExp(expr.pattern);
+        return chunk => regex.test(read(chunk, field));
+      }
+      break;
+    }
+
+    case 'is':
+      // The resource type is fixed by the TPE request, as in mapping.js
+      if (expr.left.op === 'var' && expr.left.name === 'resource' && options.resourceType && !expr.in) {
+        const matches = expr.entityType === options.resourceType;
+        return () => matches;
+      }
+      if (expr.in) {
+        // `x is T in E` is `x is T && x in E`
+        const { in: ancestor, ...typeTest } = expr;
+        return compileNode({ op: '&&', args: [typeTest, { op: 'in', left: expr.left, right: ancestor }] }, options);
+      }
+      break;
+
+    case '.': {
+      const attrPath = extractAttributePath(expr);
+      const field = attrPath && mapAttributeToField(attrPath, options);
+      if (field && field.type === 'boolean') {
+        return chunk => read(chunk, field) === true;
+      }
+      break;
+    }
+  }
+
+  options.unsupported.push({ fragment: toCedarText(expr), reason: describeUnsupported(expr, options) });
+  return () => false;
+}
+
+/**
+ * Compile a range comparison between a resource attribute and a known value
+ */
+function compileComparison(expr, options) {
+  const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+  const COMPARE = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+  };
+
+  let op = expr.op;
+  let attrPath = extractAttributePath(expr.left);
+  let valueNode = expr.right;
+  if (!attrPath) {
+    attrPath = extractAttributePath(expr.right);
+    valueNode = expr.left;
+    op = FLIPPED[op];
+  }
+
+  const field = attrPath && mapAttributeToField(attrPath, options);
+  if (!field || (field.type !== 'long' && field.type !== 'date')) {
+    return null;
+  }
+  const value = extractValue(valueNode, field);
+  if (value === undefined || Array.isArray(value)) {
+    return null;
+  }
+
+  // Dates are compared as instants, not as strings
+  const normalize = field.type === 'date' ? v => Date.parse(v) : v => v;
+  const bound = normalize(value);
+  return chunk => COMPARE[op](normalize(read(chunk, field)), bound);
+}
+
+/**
+ * Compile set membership, mirroring compileContains in mapping.js
+ */
+function compileContains(expr, options) {
+  let setNode = expr.left;
+  let elementNode = expr.right;
+  if (expr.op === 'in') {
+    setNode = expr.right;
+    elementNode = expr.left;
+  }
+
+  const elementPath = extractAttributePath(elementNode);
+  const setPath = extractAttributePath(setNode);
+
+  if (expr.op === 'in' && elementPath && !setPath) {
+    return compileEntityIn(elementPath, setNode, options);
+  }
+
+  if (elementPath && !setPath && expr.op !== 'containsAll') {
+    // Known set containing a resource attribute
+    const field = mapAttributeToField(elementPath, options);
+    const setValue = field ? extractValue(setNode, field) : undefined;
+    if (setValue === undefined || setValue === null) {
+      return null;
+    }
+    const values = Array.isArray(setValue) ? setValue : [setValue];
+    return chunk => {
+      const actual = read(chunk, field);
+      return Array.isArray(actual) ? actual.some(v => values.includes(v)) : values.includes(actual);
+    };
+  }
+
+  if (setPath && !elementPath && expr.op !== 'in') {
+    // Multi-valued resource attribute containing known values
+    const field = mapAttributeToField(setPath, options);
+    const value = field ? extractValue(elementNode, field) : undefined;
+    if (value === undefined || value === null || (expr.op === 'contains') === Array.isArray(value)) {
+      return null;
+    }
+    const members = chunk => {
+      const actual = read(chunk, field);
+      return Array.isArray(actual) ? actual : [actual];
+    };
+    if (expr.op === 'contains') {
+      return chunk => members(chunk).includes(value);
+    }
+    if (expr.op === 'containsAny') {
+      return chunk => value.some(v => members(chunk).includes(v));
+    }
+    return chunk => value.every(v => members(chunk).includes(v));
+  }
+
+  return null;
+}
+
+/**
+ * Compile `resource.attr in E` from the ancestors field, mirroring mapping.js
+ */
+function compileEntityIn(attrPath, setNode, options) {
+  const entities = setNode.op === 'set' ? setNode.elements : [setNode];
+  const field = mapAttributeToField(attrPath, options);
+  if (!field || !entities.every(entity => entity.op === 'entity')) {
+    return null;
+  }
+
+  if (!field.ancestors) {
+    if (options.strict !== false) {
+      return null;
+    }
+    // Lenient mode: ignore the hierarchy and treat `in` as equality
+    const ids = entities.map(entity => extractValue(entity, field));
+    return chunk => ids.includes(read(chunk, field));
+  }
+
+  // The resource is `in` itself, but is not listed in its own ancestors
+  const isSelf = entity => attrPath === 'resource' && entity.type === options.resourceType;
+  const selfIds = entities.filter(isSelf).map(entity => extractValue(entity, field));
+  const ancestorUids = entities.filter(entity => !isSelf(entity)).map(formatUid);
+
+  return chunk => {
+    // The value must be present, but an entity with no parents may have no
+    // ancestors stored
+    const value = read(chunk, field);
+    const ancestors = [chunk[field.ancestors] ?? []].flat();
+    return selfIds.includes(value) || ancestorUids.some(uid => ancestors.includes(uid));
+  };
+}
+
+/**
+ * Read a mapped field from chunk metadata; a missing value is an error, as in Cedar
+ */
+function read(chunk, field) {
+  const value = chunk?.[field.field];
+  if (value === undefined || value === null) {
+    throw new MissingAttributeError(field.field);
+  }
+  return value;
+}
+
+/**
+ * Compare a stored value with a known value (sets compare by members)
+ */
+function sameValue(actual, expected) {
+  if (Array.isArray(actual) || Array.isArray(expected)) {
+    const a = Array.isArray(actual) ? actual : [actual];
+    const b = Array.isArray(expected) ? expected : [expected];
+    return a.every(v => b.includes(v)) && b.every(v => a.includes(v));
+  }
+  return actual === expected;
+}
+
+/**
+ * Convert Cedar's JSON pattern elements into an anchored regular expression
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .map(elem => elem === 'Wildcard' ? '.*' : elem.Literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 's');
+}
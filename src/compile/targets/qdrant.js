@@ -0,0 +1,93 @@
+/**
+ * Qdrant Filter Target
+ *
+ * Translates a compiled filter (the bool query produced by
+ * buildOpenSearchFilter) into a Qdrant payload filter. Qdrant's filter
+ * clauses map directly onto the bool query: must → must, should → should
+ * (at least one), must_not → must_not, and a filter can be nested as a
+ * condition of another filter.
+ *
+ * Reference: https://qdrant.tech/documentation/concepts/filtering/
+ */
+
+import { UnsupportedTargetError } from '../mapping.js';
+
+// An empty filter matches every point; negating it matches none
+const MATCH_ALL = { must: [] };
+const MATCH_NONE = { must_not: [MATCH_ALL] };
+
+/**
+ * Compile a filter into a Qdrant filter object
+ *
+ * @param {Object} filter - Compiled filter (OpenSearch bool query)
+ * @returns {Object} Qdrant filter ({ must, should, must_not })
+ */
+export function toQdrantFilter(filter) {
+  const condition = compileClause(filter);
+  // The top level must be a filter, not a single field condition
+  return condition.key ? { must: [condition] } : condition;
+}
+
+/**
+ * Compile one query clause into a Qdrant condition (field condition or nested filter)
+ */
+function compileClause(clause) {
+  const [type] = Object.keys(clause);
+  const body = clause[type];
+
+  switch (type) {
+    case 'match_all':
+      return MATCH_ALL;
+
+    case 'match_none':
+      return MATCH_NONE;
+
+    case 'bool': {
+      const result = {};
+      if (body.must?.length > 0) {
+        result.must = body.must.map(compileClause);
+      }
+      if (body.should?.length > 0) {
+        if ((body.minimum_should_match ?? 1) !== 1) {
+          throw new UnsupportedTargetError('qdrant', clause, 'only minimum_should_match 1 is supported');
+        }
+        result.should = body.should.map(compileClause);
+      }
+      if (body.must_not?.length > 0) {
+        result.must_not = body.must_not.map(compileClause);
+      }
+      return result;
+    }
+
+    case 'term': {
+      const [key, value] = Object.entries(body)[0];
+      return { key, match: { value } };
+    }
+
+    case 'terms': {
+      const [key, values] = Object.entries(body)[0];
+      return { key, match: { any: values } };
+    }
+
+    case 'range': {
+      const [key, bounds] = Object.entries(body)[0];
+      const unknown = Object.keys(bounds).filter(op => !['gt', 'gte', 'lt', 'lte'].includes(op));
+      if (unknown.length > 0) {
+        throw new UnsupportedTargetError('qdrant', clause, `unknown range operator ${unknown[0]}`);
+      }
+      // Qdrant accepts numbers and RFC 3339 datetimes in the same range condition
+      return { key, range: bounds };
+    }
+
+    case 'exists':
+      // is_empty matches points where the field is missing, null or []
+      return { must_not: [{ is_empty: { key: body.field } }] };
+
+    case 'wildcard':
+      throw new UnsupportedTargetError('qdrant', clause,
+        'Qdrant has no wildcard match on keyword payloads (full-text match is not equivalent)');
+
+    default:
+      throw new UnsupportedTargetError('qdrant', clause, `no Qdrant equivalent for ${type} queries`);
+  }
+}
@@ -17,6 +17,13 @@ import { dirname, resolve } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Query types the residual compiler can emit
+const KNOWN_CLAUSES = ['term', 'terms', 'bool', 'match', 'range', 'exists', 'wildcard', 'match_all', 'match_none'];
+
+function isKnownClause(clause) {
+  return KNOWN_CLAUSES.some(type => clause[type]);
+}
+
 function validateOpenSearchFilter(filterFile) {
   console.log(`Validating OpenSearch filter: ${filterFile}\n`);
   
@@ -84,8 +91,8 @@ function validateOpenSearchFilter(filterFile) {
     boolQuery.must.forEach((clause, i) => {
       if (clause.term) {
         validateTermQuery(clause, `bool.must[${i}]`);
-      } else if (!clause.bool && !clause.match && !clause.range) {
-        warnings.push(`bool.must[${i}]: unknown query type, expected term/bool/match/range`);
+      } else if (!isKnownClause(clause)) {
+        warnings.push(`bool.must[${i}]: unknown query type, expected ${KNOWN_CLAUSES.join('/')}`);
       }
     });
   }
@@ -95,8 +102,8 @@ function validateOpenSearchFilter(filterFile) {
     boolQuery.must_not.forEach((clause, i) => {
       if (clause.term) {
         validateTermQuery(clause, `bool.must_not[${i}]`);
-      } else if (!clause.bool && !clause.match && !clause.range) {
-        warnings.push(`bool.must_not[${i}]: unknown query type, expected term/bool/match/range`);
+      } else if (!isKnownClause(clause)) {
+        warnings.push(`bool.must_not[${i}]: unknown query type, expected ${KNOWN_CLAUSES.join('/')}`);
       }
     });
   }
@@ -111,7 +118,7 @@ function validateOpenSearchFilter(filterFile) {
         } else {
           // Check that filter array contains the bool query
           const hasBoolFilter = queryExample.query.bool.filter.some(
-            f => f.must || f.must_not || f.should
+            f => f.bool
           );
           if (!hasBoolFilter && queryExample.query.bool.filter.length > 0) {
             warnings.push('query_example.query.bool.filter should contain bool queries');
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Chunk Ancestor Chains
+ *
+ * Computes each chunk's ancestors in the Cedar entity hierarchy (document →
+ * folder → workspace) from the `parents` arrays in cedar/entities.json and
+ * stores them on the chunk metadata as an `ancestors` list of entity UIDs
+ * (Platform::Folder::"planning"). The residual compiler answers Cedar's
+ * transitive `in` with a terms query on this field, since the index cannot
+ * walk the hierarchy at query time.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { readJson, readJsonl, writeJsonl } from '../lib/util.js';
+import { formatEntityUid } from '../lib/entity-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+const CHUNK_TYPE = 'Platform::Chunk';
+const DOCUMENT_TYPE = 'Platform::Document';
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    chunks: resolve(PROJECT_ROOT, 'data/chunks.jsonl'),
+    entities: resolve(PROJECT_ROOT, 'cedar/entities.json'),
+    out: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--chunks':
+      case '-c':
+        options.chunks = args[++i];
+        break;
+      case '--entities':
+      case '-e':
+        options.entities = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  options.out ??= options.chunks;
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node ancestors.js [options]
+
+Optional:
+  --chunks, -c <file>      Chunk metadata JSONL (default: data/chunks.jsonl)
+  --entities, -e <file>    Cedar entities JSON (default: cedar/entities.json)
+  --out, -o <file>         Output JSONL (default: overwrite --chunks)
+  --help, -h               Show this help message
+
+Example:
+  node src/ingest/ancestors.js --chunks data/chunks.jsonl
+`);
+}
+
+/**
+ * Index the parents of every entity by UID string
+ *
+ * @param {Object[]} entities - Entities in Cedar JSON format ({ uid, attrs, parents })
+ * @returns {Map<string, string[]>} UID → UIDs of its direct parents
+ */
+export function buildParentIndex(entities) {
+  const parents = new Map();
+  for (const entity of entities) {
+    const uid = formatEntityUid(entity.uid);
+    parents.set(uid, (entity.parents || []).map(parent => formatEntityUid(parent)));
+  }
+  return parents;
+}
+
+/**
+ * Collect every transitive ancestor of an entity
+ *
+ * Ancestors are listed nearest first. The entity itself is not included, and
+ * a cycle in the parents graph is followed only once.
+ *
+ * @param {string} uid - Entity UID string
+ * @param {Map<string, string[]>} parentIndex - Index from buildParentIndex
+ * @returns {string[]} Ancestor UIDs
+ */
+export function collectAncestors(uid, parentIndex) {
+  const seen = new Set([uid]);
+  const ancestors = [];
+  const queue = [...(parentIndex.get(uid) || [])];
+
+  while (queue.length > 0) {
+    const next = queue.shift();
+    if (seen.has(next)) {
+      continue;
+    }
+    seen.add(next);
+    ancestors.push(next);
+    queue.push(...(parentIndex.get(next) || []));
+  }
+  return ancestors;
+}
+
+/**
+ * Compute the ancestors of a chunk
+ *
+ * Uses the chunk's own entity when it is in the entity store; otherwise the
+ * chunk's only parent is taken to be the document named by its doc_id.
+ *
+ * @param {Object} chunk - Chunk metadata ({ id, doc_id, ... })
+ * @param {Map<string, string[]>} parentIndex - Index from buildParentIndex
+ * @returns {string[]} Ancestor UIDs, nearest first
+ */
+export function chunkAncestors(chunk, parentIndex) {
+  const chunkUid = formatEntityUid({ type: CHUNK_TYPE, id: chunk.id });
+  if (parentIndex.has(chunkUid)) {
+    return collectAncestors(chunkUid, parentIndex);
+  }
+  if (!chunk.doc_id) {
+    return [];
+  }
+  const docUid = formatEntityUid({ type: DOCUMENT_TYPE, id: chunk.doc_id });
+  return [docUid, ...collectAncestors(docUid, parentIndex)];
+}
+
+/**
+ * Add an `ancestors` field to each chunk
+ *
+ * @param {Object[]} chunks - Chunk metadata
+ * @param {Object[]} entities - Entities in Cedar JSON format
+ * @returns {Object[]} Chunks with ancestors set
+ */
+export function annotateAncestors(chunks, entities) {
+  const parentIndex = buildParentIndex(entities);
+  return chunks.map(chunk => ({ ...chunk, ancestors: chunkAncestors(chunk, parentIndex) }));
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log(`Loading entities from ${options.entities}...`);
+    const entities = readJson(options.entities);
+
+    console.log(`Computing ancestors for chunks in ${options.chunks}...\n`);
+    const chunks = annotateAncestors(readJsonl(options.chunks), entities);
+    for (const chunk of chunks) {
+      console.log(`  ${chunk.id}: ${chunk.ancestors.join(' → ') || '(none)'}`);
+    }
+
+    writeJsonl(options.out, chunks);
+    console.log(`\n✓ ${chunks.length} chunk(s) written to ${options.out}`);
+  } catch (error) {
+    console.error('Error computing ancestors:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
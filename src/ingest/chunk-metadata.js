@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Chunk Authorization Metadata
+ *
+ * Fills in the policy-relevant fields of each chunk (tenant, classification,
+ * reader teams, ...) from its parent Platform::Document in
+ * cedar/entities.json, so they are not copied into document frontmatter by
+ * hand. For every chunk it:
+ *
+ * 1. finds the Document named by its doc_id
+ * 2. builds the Platform::Chunk entity the chunk stands for: each Chunk
+ *    attribute the Document also has is inherited, and an attribute typed as
+ *    the Document (doc) refers to it
+ * 3. validates that entity against the Chunk type in the Cedar schema
+ * 4. maps its attributes to index fields with the field mapping
+ *    (src/compile/field-mapping.json), the same mapping the residual
+ *    compiler uses for queries, including the `ancestors` chain (document,
+ *    folders, workspace) that Cedar's `in` compiles to
+ *
+ * A field the chunk already has must agree with the derived value, so an
+ * ancestors chain left stale by a folder move is caught too. Chunks with an
+ * unknown document, a schema violation or a contradicting field are
+ * reported, and none are written while any remain. --check, and the ingest
+ * in index-opensearch.js, also reject chunks that lack a derived field, so
+ * they never reach the index.
+ */
+
+import * as cedar from '@cedar-policy/cedar-wasm/nodejs';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { readJson, readJsonl, writeJsonl } from '../lib/util.js';
+import { formatEntityUid } from '../lib/entity-store.js';
+import { DEFAULT_FIELD_MAPPING_PATH, loadFieldMapping } from '../compile/mapping.js';
+import { canonicalJson } from '../lib/residual-format.js';
+import { buildParentIndex, collectAncestors } from './ancestors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+const CHUNK_TYPE = 'Platform::Chunk';
+const DOCUMENT_TYPE = 'Platform::Document';
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    chunks: resolve(PROJECT_ROOT, 'data/chunks.jsonl'),
+    entities: resolve(PROJECT_ROOT, 'cedar/entities.json'),
+    schema: resolve(PROJECT_ROOT, 'cedar/schema.cedarschema'),
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    out: null,
+    check: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--chunks':
+      case '-c':
+        options.chunks = args[++i];
+        break;
+      case '--entities':
+      case '-e':
+        options.entities = args[++i];
+        break;
+      case '--schema':
+      case '-s':
+        options.schema = args[++i];
+        break;
+      case '--mapping':
+      case '-m':
+        options.mapping = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--check':
+        options.check = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  options.out ??= options.chunks;
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node chunk-metadata.js [options]
+
+Optional:
+  --chunks, -c <file>      Chunk metadata JSONL (default: data/chunks.jsonl)
+  --entities, -e <file>    Cedar entities JSON (default: cedar/entities.json)
+  --schema, -s <file>      Cedar schema (default: cedar/schema.cedarschema)
+  --mapping, -m <file>     Attribute-to-field mapping JSON
+                           (default: src/compile/field-mapping.json)
+  --out, -o <file>         Output JSONL (default: overwrite --chunks)
+  --check                  Only report chunks whose metadata is missing or wrong
+  --help, -h               Show this help message
+
+Example:
+  node src/ingest/chunk-metadata.js --chunks data/chunks.jsonl
+`);
+}
+
+/**
+ * Read the attributes of an entity type from a Cedar schema
+ *
+ * @param {string} schemaText - Cedar schema (human-readable format)
+ * @param {string} entityType - Entity type, such as Platform::Chunk
+ * @returns {Object<string, string|null>} Attribute name → its type's fully
+ *   qualified name (null for sets and records)
+ * @throws {Error} If the schema does not parse or does not declare the type
+ */
+export function readEntityAttributeTypes(schemaText, entityType) {
+  const result = cedar.schemaToJson(schemaText);
+  if (result.type === 'failure') {
+    throw new Error(`Schema is not valid: ${result.errors.map(error => error.message).join('; ')}`);
+  }
+
+  const separator = entityType.lastIndexOf('::');
+  const namespace = separator === -1 ? '' : entityType.slice(0, separator);
+  const name = entityType.slice(separator === -1 ? 0 : separator + 2);
+  const declaration = result.json[namespace]?.entityTypes?.[name];
+  if (!declaration) {
+    throw new Error(`Schema does not declare entity type ${entityType}`);
+  }
+
+  const qualify = typeName => typeName.includes('::') || !namespace ? typeName : `${namespace}::${typeName}`;
+  return Object.fromEntries(Object.entries(declaration.shape?.attributes || {}).map(([attr, type]) => [
+    attr,
+    type.type === 'EntityOrCommon' || type.type === 'Entity' ? qualify(type.name) : null
+  ]));
+}
+
+/**
+ * Build the Chunk entity a chunk stands for from its Document entity
+ *
+ * @param {Object} chunk - Chunk metadata ({ id, doc_id, ... })
+ * @param {Object} document - Document entity in Cedar JSON format
+ * @param {Object<string, string|null>} attributeTypes - Chunk attributes (see readEntityAttributeTypes)
+ * @returns {Object} Chunk entity in Cedar JSON format
+ */
+export function buildChunkEntity(chunk, document, attributeTypes) {
+  const attrs = {};
+  for (const [attr, typeName] of Object.entries(attributeTypes)) {
+    if (typeName === document.uid.type) {
+      attrs[attr] = document.uid;
+    } else if (attr in (document.attrs || {})) {
+      attrs[attr] = document.attrs[attr];
+    }
+  }
+  return { uid: { type: CHUNK_TYPE, id: chunk.id }, attrs, parents: [document.uid] };
+}
+
+/**
+ * Map an entity's attributes to index fields
+ *
+ * Attribute paths through another entity (doc.tenant) are followed in the
+ * entity store. Entity references are stored as the id or the full UID, as
+ * each mapping entry's entityRef says. An entry's `ancestors` field gets the
+ * entity's ancestors (for the id entry) or the attribute's entity and its
+ * ancestors, as ancestors.js computes them.
+ *
+ * @param {Object} entity - Entity in Cedar JSON format
+ * @param {Map<string, Object>} entityIndex - Entities by UID string
+ * @param {Object} typeMapping - Field mapping for the entity's type ({ id, attributes })
+ * @param {Map<string, string[]>} parentIndex - Parents by UID (see buildParentIndex)
+ * @returns {{fields: Object, conflicts: string[]}} Field values, and the fields
+ *   two attribute paths give different values
+ */
+export function entityToFields(entity, entityIndex, typeMapping, parentIndex = buildParentIndex([...entityIndex.values()])) {
+  const fields = {};
+  const conflicts = [];
+  const setField = (field, value, path) => {
+    if (field in fields && !sameFieldValue(fields[field], value)) {
+      conflicts.push(`${field} is ${JSON.stringify(fields[field])} by one attribute and ${JSON.stringify(value)} by ${path}`);
+      return;
+    }
+    fields[field] = value;
+  };
+
+  const idEntry = typeof typeMapping.id === 'string' ? { field: typeMapping.id } : typeMapping.id;
+  if (idEntry?.ancestors) {
+    const parents = (entity.parents || []).map(parent => formatEntityUid(parent));
+    const ancestors = parents.flatMap(parent => [parent, ...collectAncestors(parent, parentIndex)]);
+    setField(idEntry.ancestors, [...new Set(ancestors)], '(id)');
+  }
+
+  for (const [path, entry] of Object.entries(typeMapping.attributes || {})) {
+    const { field, entityRef = 'id', ancestors } = typeof entry === 'string' ? { field: entry } : entry;
+    const value = resolveAttributePath(entity, path.split('.'), entityIndex);
+    if (value === undefined) {
+      continue;
+    }
+    setField(field, toFieldValue(value, entityRef), path);
+    if (ancestors && isEntityRef(value)) {
+      const uid = formatEntityUid(value);
+      setField(ancestors, [uid, ...collectAncestors(uid, parentIndex)], `ancestors of ${path}`);
+    }
+  }
+  return { fields, conflicts };
+}
+
+/**
+ * Derive the authorization metadata of chunks from their Document entities
+ *
+ * @param {Object[]} chunks - Chunk metadata ({ id, doc_id, ... })
+ * @param {Object[]} entities - Entities in Cedar JSON format
+ * @param {Object} options - Options
+ * @param {string} options.schemaText - Cedar schema
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (see loadFieldMapping)
+ * @param {boolean} options.requirePresent - Report a derived field the chunk
+ *   lacks instead of filling it in (for chunks about to be indexed)
+ * @returns {{chunks: Object[], errors: Array<{id: string, message: string}>}}
+ *   Chunks with the derived fields set, and what is wrong with the others
+ */
+export function deriveChunkMetadata(chunks, entities, options = {}) {
+  const { schemaText, fieldMapping = loadFieldMapping(), requirePresent = false } = options;
+  const attributeTypes = readEntityAttributeTypes(schemaText, CHUNK_TYPE);
+  const typeMapping = fieldMapping.entityTypes?.[CHUNK_TYPE];
+  if (!typeMapping) {
+    throw new Error(`Field mapping has no entry for ${CHUNK_TYPE}`);
+  }
+  const entityIndex = new Map(entities.map(entity => [formatEntityUid(entity.uid), entity]));
+  const parentIndex = buildParentIndex(entities);
+
+  const derived = [];
+  const errors = [];
+  for (const chunk of chunks) {
+    const fail = message => errors.push({ id: chunk.id ?? '(no id)', message });
+    if (!chunk.doc_id) {
+      fail('has no doc_id');
+      continue;
+    }
+    const document = entityIndex.get(formatEntityUid({ type: DOCUMENT_TYPE, id: chunk.doc_id }));
+    if (!document) {
+      fail(`document ${chunk.doc_id} is not in the entity store`);
+      continue;
+    }
+
+    const entity = buildChunkEntity(chunk, document, attributeTypes);
+    const validation = cedar.checkParseEntities({ entities: [entity], schema: schemaText });
+    if (validation.type === 'failure') {
+      validation.errors.forEach(error => fail(error.message));
+      continue;
+    }
+
+    const { fields, conflicts } = entityToFields(entity, entityIndex, typeMapping, parentIndex);
+    conflicts.forEach(fail);
+    const missing = requirePresent ? Object.keys(fields).filter(field => !(field in chunk)) : [];
+    for (const field of missing) {
+      fail(`${field} is missing (document ${chunk.doc_id} gives ${JSON.stringify(fields[field])}; run chunk-metadata.js)`);
+    }
+    const contradicted = Object.entries(fields)
+      .filter(([field, value]) => field in chunk && !sameFieldValue(chunk[field], value));
+    for (const [field, value] of contradicted) {
+      fail(`${field} is ${JSON.stringify(chunk[field])} but document ${chunk.doc_id} gives ${JSON.stringify(value)}`);
+    }
+    if (conflicts.length === 0 && missing.length === 0 && contradicted.length === 0) {
+      derived.push({ ...chunk, ...fields });
+    }
+  }
+
+  return { chunks: derived, errors };
+}
+
+/**
+ * Follow an attribute path from an entity, through referenced entities
+ */
+function resolveAttributePath(entity, path, entityIndex) {
+  let value = entity;
+  for (const [index, attr] of path.entries()) {
+    if (index > 0) {
+      value = isEntityRef(value) ? entityIndex.get(formatEntityUid(value)) : undefined;
+    }
+    value = value?.attrs?.[attr];
+  }
+  return value;
+}
+
+/**
+ * Convert a Cedar JSON attribute value to an index field value
+ */
+function toFieldValue(value, entityRef) {
+  if (Array.isArray(value)) {
+    return value.map(element => toFieldValue(element, entityRef));
+  }
+  if (isEntityRef(value)) {
+    return entityRef === 'uid' ? formatEntityUid(value) : (value.__entity || value).id;
+  }
+  return value;
+}
+
+/**
+ * Compare field values, with lists as sets (Cedar sets and ancestor chains have no order)
+ */
+function sameFieldValue(a, b) {
+  const normalize = value => Array.isArray(value) ? [...value].map(canonicalJson).sort() : value;
+  return canonicalJson(normalize(a)) === canonicalJson(normalize(b));
+}
+
+function isEntityRef(value) {
+  const uid = value?.__entity || value;
+  return typeof uid?.type === 'string' && typeof uid.id === 'string';
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log(`Loading entities from ${options.entities}...`);
+    const entities = readJson(options.entities);
+    const schemaText = readFileSync(options.schema, 'utf-8');
+    const fieldMapping = loadFieldMapping(options.mapping);
+
+    console.log(`Deriving metadata for chunks in ${options.chunks}...\n`);
+    const chunks = readJsonl(options.chunks);
+    const result = deriveChunkMetadata(chunks, entities, { schemaText, fieldMapping, requirePresent: options.check });
+    for (const { id, message } of result.errors) {
+      console.error(`  ✗ ${id}: ${message}`);
+    }
+    if (result.errors.length > 0) {
+      const failed = new Set(result.errors.map(error => error.id)).size;
+      throw new Error(`${failed} of ${chunks.length} chunk(s) have missing or contradicting metadata`);
+    }
+
+    if (options.check) {
+      console.log(`✓ ${chunks.length} chunk(s) agree with their documents`);
+      return;
+    }
+    writeJsonl(options.out, result.chunks);
+    console.log(`✓ ${result.chunks.length} chunk(s) written to ${options.out}`);
+  } catch (error) {
+    console.error('Error deriving chunk metadata:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
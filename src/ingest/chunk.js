@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown Chunker
+ *
+ * Splits the documents under data/docs/<tenant>/ into the chunks stored in
+ * the vector index (data/chunks.jsonl). Each document is split on its
+ * Markdown headings; a section longer than the token budget is split again
+ * at paragraph boundaries (or, for a single long paragraph, between words),
+ * and consecutive pieces of a section share `--overlap` tokens.
+ *
+ * Chunk ids follow the README's `{doc_id}#{n}` convention, numbered from 1 in
+ * document order. They depend only on the document text and the budget, so
+ * re-chunking unchanged documents gives the same ids.
+ *
+ * A document may start with a frontmatter block of `key: value` lines:
+ *
+ *   ---
+ *   doc_id: q3-plan
+ *   title: Q3 Planning Document
+ *   ---
+ *
+ * `doc_id` names the document (default: the file name without .md) and
+ * `title` is kept for display; every other key is copied onto the
+ * document's chunks. The tenant is the name of the directory under
+ * data/docs. Tokens are counted as whitespace-separated words, a close
+ * enough estimate of model tokens for sizing chunks.
+ *
+ * Authorization metadata (classification, reader teams) is not set here:
+ * chunk-metadata.js derives it from the document's Cedar entity.
+ *
+ * An existing output file is only replaced with `--force`: the committed
+ * data/chunks.jsonl also carries that metadata and the ancestors chains,
+ * which re-chunking drops until they are derived again.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { basename, dirname, extname, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonl } from '../lib/util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+const DEFAULT_MAX_TOKENS = 256;
+const DEFAULT_OVERLAP = 32;
+
+// Frontmatter keys that describe the document rather than its chunks
+const DOCUMENT_KEYS = new Set(['doc_id', 'title']);
+
+// Chunk fields the chunker sets, which frontmatter cannot override
+const CHUNK_KEYS = new Set(['id', 'tenant_id', 'headings', 'text', 'source']);
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    docs: resolve(PROJECT_ROOT, 'data/docs'),
+    out: resolve(PROJECT_ROOT, 'data/chunks.jsonl'),
+    maxTokens: DEFAULT_MAX_TOKENS,
+    overlap: DEFAULT_OVERLAP,
+    force: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--docs':
+      case '-d':
+        options.docs = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--max-tokens':
+        options.maxTokens = Number.parseInt(args[++i], 10);
+        break;
+      case '--overlap':
+        options.overlap = Number.parseInt(args[++i], 10);
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  if (!Number.isInteger(options.maxTokens) || options.maxTokens < 1) {
+    console.error('Error: --max-tokens must be a positive integer');
+    process.exit(1);
+  }
+  if (!Number.isInteger(options.overlap) || options.overlap < 0 || options.overlap >= options.maxTokens) {
+    console.error('Error: --overlap must be a non-negative integer smaller than --max-tokens');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node chunk.js [options]
+
+Optional:
+  --docs, -d <dir>         Documents directory, one subdirectory per tenant (default: data/docs)
+  --out, -o <file>         Output chunk JSONL (default: data/chunks.jsonl)
+  --max-tokens <n>         Token budget per chunk (default: ${DEFAULT_MAX_TOKENS})
+  --overlap <n>            Tokens repeated from the previous chunk when a section
+                           is split (default: ${DEFAULT_OVERLAP})
+  --force                  Replace the output file if it exists
+  --help, -h               Show this help message
+
+Example:
+  node src/ingest/chunk.js --docs data/docs --out data/chunks.jsonl --force
+  node src/ingest/chunk-metadata.js --chunks data/chunks.jsonl
+`);
+}
+
+/**
+ * Count the tokens in a text, as whitespace-separated words
+ *
+ * @param {string} text - Text
+ * @returns {number} Token count
+ */
+export function countTokens(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Split a frontmatter block off a Markdown document
+ *
+ * Values are strings, unless they are quoted (JSON strings), numbers,
+ * true/false, or null/~.
+ *
+ * @param {string} text - Document text
+ * @returns {{frontmatter: Object, body: string}} Frontmatter fields and the text after the block
+ * @throws {Error} If the block is not closed or a line is not `key: value`
+ */
+export function parseFrontmatter(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0].trim() !== '---') {
+    return { frontmatter: {}, body: lines.join('\n') };
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    throw new Error('frontmatter block is not closed with ---');
+  }
+
+  const frontmatter = {};
+  for (const line of lines.slice(1, end)) {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+    const match = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!match) {
+      throw new Error(`unsupported frontmatter line: ${line}`);
+    }
+    frontmatter[match[1]] = parseScalar(match[2].trim());
+  }
+  return { frontmatter, body: lines.slice(end + 1).join('\n') };
+}
+
+function parseScalar(value) {
+  if (value === '' || value === 'null' || value === '~') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (value.startsWith('"')) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+/**
+ * Split Markdown into sections at its ATX headings (`#` to `######`)
+ *
+ * Headings inside fenced code blocks are ignored. Each section carries its
+ * heading breadcrumbs: the heading that opens it and the enclosing headings
+ * above it. Text before the first heading is a section without headings, and
+ * a heading with no text before the next one (a document title, say) only
+ * appears in the breadcrumbs.
+ *
+ * @param {string} markdown - Markdown text (without frontmatter)
+ * @returns {Array<{headings: string[], text: string}>} Sections in document order
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  const trail = [];
+  let current = { headings: [], heading: null, lines: [] };
+  let fence = null;
+
+  for (const line of markdown.split('\n')) {
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence);
+    }
+    const heading = fence === null && !fenceMatch && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      const level = heading[1].length;
+      trail.length = Math.min(trail.length, level - 1);
+      trail[level - 1] = heading[2];
+      current = { headings: trail.filter(Boolean), heading: line, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .filter(section => section.lines.some(line => line.trim()))
+    .map(section => ({
+      headings: section.headings,
+      text: [section.heading, ...section.lines].filter(line => line !== null).join('\n').trim()
+    }));
+}
+
+/**
+ * Split a section into pieces within the token budget
+ *
+ * Paragraphs (blocks separated by blank lines) are packed together while
+ * they fit. A paragraph over the budget is split into its lines, and a line
+ * over the budget is cut between words. Each piece after the first starts
+ * with the last `overlap` tokens of the one before it.
+ *
+ * @param {string} text - Section text
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Token budget per piece
+ * @param {number} options.overlap - Tokens repeated from the previous piece
+ * @returns {string[]} Section pieces
+ */
+export function splitSection(text, options = {}) {
+  const { maxTokens = DEFAULT_MAX_TOKENS, overlap = DEFAULT_OVERLAP } = options;
+  if (countTokens(text) <= maxTokens) {
+    return [text];
+  }
+
+  // Units small enough to pack, each with the separator that joins it to the one before
+  const room = maxTokens - overlap;
+  const units = [];
+  for (const paragraph of text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean)) {
+    if (countTokens(paragraph) <= room) {
+      units.push({ text: paragraph, separator: '\n\n' });
+      continue;
+    }
+    paragraph.split('\n').filter(line => line.trim()).forEach((line, lineIndex) => {
+      const lineSeparator = lineIndex === 0 ? '\n\n' : '\n';
+      const words = line.match(/\S+/g);
+      for (let i = 0; i < words.length; i += room) {
+        units.push({ text: words.slice(i, i + room).join(' '), separator: i === 0 ? lineSeparator : ' ' });
+      }
+    });
+  }
+
+  const pieces = [];
+  let current = '';
+  let tokens = 0;
+  for (const unit of units) {
+    const size = countTokens(unit.text);
+    if (current && tokens + size > maxTokens) {
+      pieces.push(current);
+      current = overlap > 0 ? current.match(/\S+/g).slice(-overlap).join(' ') : '';
+      tokens = countTokens(current);
+    }
+    current = current ? `${current}${unit.separator}${unit.text}` : unit.text;
+    tokens += size;
+  }
+  pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Chunk one Markdown document
+ *
+ * @param {string} text - Document text, with optional frontmatter
+ * @param {Object} source - Where the document came from
+ * @param {string} source.tenantId - Tenant id (the directory under data/docs)
+ * @param {string} source.path - Path recorded on the chunks
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Token budget per chunk
+ * @param {number} options.overlap - Tokens repeated when a section is split
+ * @returns {Object[]} Chunks: { id, doc_id, tenant_id, ...frontmatter fields, headings, text, source }
+ * @throws {Error} If the frontmatter is malformed or sets a field the chunker sets
+ */
+export function chunkDocument(text, source, options = {}) {
+  const { frontmatter, body } = parseFrontmatter(text);
+  const docId = String(frontmatter.doc_id ?? basename(source.path, extname(source.path)));
+  const metadata = Object.fromEntries(Object.entries(frontmatter).filter(([key]) => !DOCUMENT_KEYS.has(key)));
+  const reserved = Object.keys(metadata).find(key => CHUNK_KEYS.has(key));
+  if (reserved) {
+    throw new Error(`frontmatter cannot set '${reserved}', which the chunker sets`);
+  }
+
+  const chunks = [];
+  for (const section of splitSections(body)) {
+    for (const piece of splitSection(section.text, options)) {
+      chunks.push({
+        id: `${docId}#${chunks.length + 1}`,
+        doc_id: docId,
+        tenant_id: source.tenantId,
+        ...metadata,
+        headings: section.headings,
+        text: piece,
+        source: source.path
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * List the Markdown documents under a documents directory
+ *
+ * @param {string} docsDir - Directory with one subdirectory per tenant
+ * @returns {Array<{tenantId: string, path: string}>} Documents, sorted by tenant and path
+ */
+export function listDocuments(docsDir) {
+  const documents = [];
+  const walk = (dir, tenantId) => {
+    for (const entry of readdirSync(dir).sort()) {
+      const path = resolve(dir, entry);
+      if (statSync(path).isDirectory()) {
+        walk(path, tenantId);
+      } else if (extname(entry) === '.md') {
+        documents.push({ tenantId, path });
+      }
+    }
+  };
+
+  for (const tenantId of readdirSync(docsDir).sort()) {
+    if (statSync(resolve(docsDir, tenantId)).isDirectory()) {
+      walk(resolve(docsDir, tenantId), tenantId);
+    }
+  }
+  return documents;
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    if (existsSync(options.out) && !options.force) {
+      throw new Error(`${options.out} already exists; pass --force to replace it`);
+    }
+
+    console.log(`Chunking documents in ${options.docs} (${options.maxTokens} tokens, ${options.overlap} overlap)...\n`);
+    const chunks = [];
+    const docIds = new Map();
+
+    for (const document of listDocuments(options.docs)) {
+      const path = relative(PROJECT_ROOT, document.path);
+      let docChunks;
+      try {
+        docChunks = chunkDocument(readFileSync(document.path, 'utf-8'), { tenantId: document.tenantId, path }, options);
+      } catch (error) {
+        throw new Error(`${path}: ${error.message}`);
+      }
+      const docId = docChunks[0]?.doc_id;
+      if (docId && docIds.has(docId)) {
+        throw new Error(`${path}: doc_id '${docId}' is also used by ${docIds.get(docId)}`);
+      }
+      docIds.set(docId, path);
+      console.log(`  ${path} → ${docId ?? '(empty)'}: ${docChunks.length} chunk(s)`);
+      chunks.push(...docChunks);
+    }
+
+    writeJsonl(options.out, chunks);
+    console.log(`\n✓ ${chunks.length} chunk(s) written to ${options.out}`);
+  } catch (error) {
+    console.error('Error chunking documents:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
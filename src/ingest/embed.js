@@ -1,5 +1,414 @@
-// TODO: Implement
-// This file exists to show where document embedding generation happens in the architecture.
-// Generates vector embeddings for text chunks using a model (e.g., @xenova/transformers or OpenAI).
+#!/usr/bin/env node
 
+/**
+ * Chunk Embedding
+ *
+ * Generates a vector embedding for each chunk in data/chunks.jsonl and writes
+ * the chunks, with their metadata, an `embedding` and the `embedding_model`
+ * that produced it, to a JSONL file for index-opensearch.js.
+ *
+ * Embedders have the same shape:
+ *
+ *   {
+ *     id,                 // identifies the model and its settings in the cache
+ *     name,               // description for log output
+ *     dimensions,         // vector length (known after the first batch for transformers)
+ *     embed(texts)        // Promise<number[][]>, one unit-length vector per text
+ *   }
+ *
+ * Implementations:
+ * - transformers: a sentence-embedding model run locally by
+ *   @xenova/transformers (default Xenova/all-MiniLM-L6-v2, 384 dimensions),
+ *   downloaded once into the model cache directory
+ * - hash: a deterministic feature-hashing embedder (words and word pairs
+ *   hashed into signed buckets). It needs no model weights, so CI and
+ *   offline runs can exercise the whole pipeline; its vectors only capture
+ *   word overlap.
+ *
+ * Embeddings are cached by the SHA-256 of the embedder id and the chunk
+ * text, so a re-run only embeds chunks whose text changed.
+ */
 
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { ensureDir, readJsonl, writeJsonl } from '../lib/util.js';
+import { hashContent } from '../lib/residual-format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+export const EMBEDDERS = ['transformers', 'hash'];
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Matches the default model, so the two embedders are interchangeable downstream
+const DEFAULT_HASH_DIMENSIONS = 384;
+
+const CACHE_FILE_FORMAT = 'cedar-rag-embedding-cache';
+const CACHE_FILE_VERSION = 1;
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    chunks: resolve(PROJECT_ROOT, 'data/chunks.jsonl'),
+    out: resolve(PROJECT_ROOT, 'out/embedded-chunks.jsonl'),
+    embedder: 'transformers',
+    model: DEFAULT_MODEL,
+    modelCache: resolve(PROJECT_ROOT, '.cache/models'),
+    offline: false,
+    dimensions: DEFAULT_HASH_DIMENSIONS,
+    batchSize: 16,
+    cache: resolve(PROJECT_ROOT, '.cache/embeddings.json')
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--chunks':
+      case '-c':
+        options.chunks = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--embedder':
+      case '-e':
+        options.embedder = args[++i];
+        break;
+      case '--model':
+        options.model = args[++i];
+        break;
+      case '--model-cache':
+        options.modelCache = args[++i];
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--dimensions':
+        options.dimensions = Number.parseInt(args[++i], 10);
+        break;
+      case '--batch-size':
+        options.batchSize = Number.parseInt(args[++i], 10);
+        break;
+      case '--cache':
+        options.cache = args[++i];
+        break;
+      case '--no-cache':
+        options.cache = null;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  if (!EMBEDDERS.includes(options.embedder)) {
+    console.error(`Error: --embedder must be one of ${EMBEDDERS.join(', ')}, got '${options.embedder}'`);
+    process.exit(1);
+  }
+  for (const [flag, value] of [['--dimensions', options.dimensions], ['--batch-size', options.batchSize]]) {
+    if (!Number.isInteger(value) || value < 1) {
+      console.error(`Error: ${flag} must be a positive integer`);
+      process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node embed.js [options]
+
+Optional:
+  --chunks, -c <file>      Chunk metadata JSONL (default: data/chunks.jsonl)
+  --out, -o <file>         Output JSONL of chunks with embeddings
+                           (default: out/embedded-chunks.jsonl)
+  --embedder, -e <name>    transformers (default) or hash (see below)
+  --model <name>           Sentence-embedding model for transformers
+                           (default: ${DEFAULT_MODEL})
+  --model-cache <dir>      Where downloaded models are kept (default: .cache/models)
+  --offline                Only use models already in the model cache
+  --dimensions <n>         Vector length for the hash embedder (default: ${DEFAULT_HASH_DIMENSIONS})
+  --batch-size <n>         Chunks embedded per model call (default: 16)
+  --cache <file>           Embedding cache (default: .cache/embeddings.json)
+  --no-cache               Embed every chunk, without reading or writing the cache
+  --help, -h               Show this help message
+
+Embedders:
+  transformers  Local sentence-embedding model via @xenova/transformers
+  hash          Deterministic feature hashing; no model weights, for CI and offline runs
+
+Example:
+  node src/ingest/embed.js --chunks data/chunks.jsonl --out out/embedded-chunks.jsonl
+  node src/ingest/embed.js --embedder hash
+`);
+}
+
+/**
+ * Open an embedder
+ *
+ * @param {string} name - 'transformers' or 'hash'
+ * @param {Object} options - Options
+ * @param {string} options.model - Model name (transformers)
+ * @param {string} options.modelCache - Model cache directory (transformers)
+ * @param {boolean} options.offline - Do not download models (transformers)
+ * @param {number} options.dimensions - Vector length (hash)
+ * @returns {Promise<Object>} Embedder
+ */
+export async function openEmbedder(name, options = {}) {
+  switch (name) {
+    case 'transformers':
+      return createTransformersEmbedder(options);
+    case 'hash':
+      return createHashEmbedder(options);
+    default:
+      throw new Error(`Unknown embedder '${name}' (expected ${EMBEDDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Embedder running a sentence-embedding model with @xenova/transformers
+ *
+ * Vectors are mean-pooled over tokens and normalised to unit length. The
+ * library is loaded on first use, so the hash embedder works where it
+ * cannot be installed.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.model - Model name (default: Xenova/all-MiniLM-L6-v2)
+ * @param {string} options.modelCache - Model cache directory
+ * @param {boolean} options.offline - Only use models already in the cache
+ * @returns {Promise<Object>} Embedder
+ */
+export async function createTransformersEmbedder(options = {}) {
+  const { model = DEFAULT_MODEL, modelCache = null, offline = false } = options;
+
+  let transformers;
+  try {
+    transformers = await import('@xenova/transformers');
+  } catch (error) {
+    const reason = error.message.trim().split('\n')[0];
+    throw new Error(`Cannot load @xenova/transformers (${reason}); use --embedder hash to embed without it`);
+  }
+  if (modelCache) {
+    transformers.env.cacheDir = modelCache;
+  }
+  if (offline) {
+    transformers.env.allowRemoteModels = false;
+  }
+
+  let extractor;
+  try {
+    extractor = await transformers.pipeline('feature-extraction', model);
+  } catch (error) {
+    throw new Error(`Cannot load model ${model}${offline ? ' from the model cache' : ''}: ${error.message}`);
+  }
+
+  const embedder = {
+    id: `transformers:${model}`,
+    name: `${model} (transformers)`,
+    dimensions: null,
+    async embed(texts) {
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      const vectors = output.tolist();
+      embedder.dimensions = vectors[0]?.length ?? embedder.dimensions;
+      return vectors;
+    }
+  };
+  return embedder;
+}
+
+/**
+ * Deterministic feature-hashing embedder
+ *
+ * Each lower-cased word and each pair of adjacent words adds ±1 to the bucket
+ * its SHA-256 selects; the vector is then normalised to unit length (an empty
+ * text gives the zero vector). The same text always gives the same vector.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.dimensions - Vector length (default: 384)
+ * @returns {Object} Embedder
+ */
+export function createHashEmbedder(options = {}) {
+  const { dimensions = DEFAULT_HASH_DIMENSIONS } = options;
+
+  const embedOne = text => {
+    const vector = new Array(dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+    for (const feature of features) {
+      const digest = createHash('sha256').update(feature, 'utf-8').digest();
+      vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  };
+
+  return {
+    id: `hash:${dimensions}`,
+    name: `feature hashing (${dimensions} dimensions)`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+/**
+ * Embedding cache backed by a local JSON file
+ *
+ * Entries are keyed by the SHA-256 of the embedder id and the text. The file
+ * is read when the cache is opened and rewritten (via a temporary file and
+ * rename) by save() when anything changed.
+ *
+ * @param {string|null} filePath - Cache file, or null for a cache that keeps nothing
+ * @returns {Object} Cache with get, set, prune and save
+ */
+export function openEmbeddingCache(filePath) {
+  let entries = new Map();
+  if (filePath && existsSync(filePath)) {
+    const content = JSON.parse(readFileSync(filePath, 'utf-8'));
+    if (content.format !== CACHE_FILE_FORMAT) {
+      throw new Error(`${filePath} is not an embedding cache file`);
+    }
+    // A cache written by a newer version is discarded rather than misread
+    if (content.version === CACHE_FILE_VERSION) {
+      entries = new Map(Object.entries(content.entries || {}));
+    }
+  }
+  let dirty = false;
+  const keyOf = (embedder, text) => hashContent(`${embedder.id}\n${text}`);
+
+  return {
+    size: () => entries.size,
+    get(embedder, text) {
+      return filePath ? entries.get(keyOf(embedder, text))?.vector : undefined;
+    },
+    set(embedder, text, vector) {
+      if (filePath) {
+        entries.set(keyOf(embedder, text), { embedder: embedder.id, vector });
+        dirty = true;
+      }
+    },
+
+    /**
+     * Drop this embedder's entries for texts not in the given list, so the
+     * cache follows the chunks instead of growing with every edit
+     */
+    prune(embedder, texts) {
+      const keep = new Set(texts.map(text => keyOf(embedder, text)));
+      for (const [key, entry] of entries) {
+        if (entry.embedder === embedder.id && !keep.has(key)) {
+          entries.delete(key);
+          dirty = true;
+        }
+      }
+    },
+
+    save() {
+      if (!filePath || !dirty) {
+        return;
+      }
+      ensureDir(dirname(filePath));
+      const tmpPath = `${filePath}.tmp`;
+      const content = { format: CACHE_FILE_FORMAT, version: CACHE_FILE_VERSION, entries: Object.fromEntries(entries) };
+      writeFileSync(tmpPath, JSON.stringify(content), 'utf-8');
+      renameSync(tmpPath, filePath);
+      dirty = false;
+    }
+  };
+}
+
+/**
+ * Embed chunks in batches, reusing cached embeddings
+ *
+ * @param {Object[]} chunks - Chunk metadata, each with `text`
+ * @param {Object} embedder - Embedder (see openEmbedder)
+ * @param {Object} options - Options
+ * @param {number} options.batchSize - Texts per embed() call (default: 16)
+ * @param {Object} options.cache - Embedding cache (see openEmbeddingCache)
+ * @param {Function} options.onBatch - Called with (done, total) after each batch
+ * @returns {Promise<{chunks: Object[], embedded: number, cached: number}>}
+ *   Chunks with `embedding` and `embedding_model`, and how many were embedded or cached
+ */
+export async function embedChunks(chunks, embedder, options = {}) {
+  const { batchSize = 16, cache = openEmbeddingCache(null), onBatch } = options;
+
+  const vectors = new Map();
+  for (const chunk of chunks) {
+    const cached = cache.get(embedder, chunk.text);
+    if (cached) {
+      vectors.set(chunk.text, cached);
+    }
+  }
+  const cachedCount = chunks.filter(chunk => vectors.has(chunk.text)).length;
+
+  // Embed each distinct uncached text once
+  const pending = [...new Set(chunks.map(chunk => chunk.text).filter(text => !vectors.has(text)))];
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const embeddings = await embedder.embed(batch);
+    batch.forEach((text, index) => {
+      vectors.set(text, embeddings[index]);
+      cache.set(embedder, text, embeddings[index]);
+    });
+    onBatch?.(Math.min(i + batchSize, pending.length), pending.length);
+  }
+
+  return {
+    chunks: chunks.map(chunk => ({ ...chunk, embedding: vectors.get(chunk.text), embedding_model: embedder.id })),
+    embedded: chunks.length - cachedCount,
+    cached: cachedCount
+  };
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log(`Loading chunks from ${options.chunks}...`);
+    const chunks = readJsonl(options.chunks);
+    const missing = chunks.find(chunk => typeof chunk.text !== 'string');
+    if (missing) {
+      throw new Error(`Chunk ${missing.id ?? '(no id)'} has no text`);
+    }
+
+    const embedder = await openEmbedder(options.embedder, options);
+    console.log(`  Embedder: ${embedder.name}`);
+    const cache = openEmbeddingCache(options.cache);
+    if (options.cache) {
+      console.log(`  Cache: ${options.cache} (${cache.size()} entries)`);
+    }
+
+    console.log(`\nEmbedding ${chunks.length} chunk(s)...`);
+    const result = await embedChunks(chunks, embedder, {
+      batchSize: options.batchSize,
+      cache,
+      onBatch: (done, total) => console.log(`  ${done}/${total} embedded`)
+    });
+    cache.prune(embedder, chunks.map(chunk => chunk.text));
+    cache.save();
+
+    writeJsonl(options.out, result.chunks);
+    console.log(`\n✓ ${result.chunks.length} chunk(s) written to ${options.out} (${embedder.dimensions} dimensions)`);
+    console.log(`  ${result.embedded} embedded, ${result.cached} from cache`);
+  } catch (error) {
+    console.error('Error embedding chunks:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -1,5 +1,548 @@
-// TODO: Implement
-// This file exists to show where chunk indexing to OpenSearch happens in the architecture.
-// Ingests embedded chunks with metadata (tenant, classification, reader teams) into OpenSearch.
+#!/usr/bin/env node
 
+/**
+ * OpenSearch Chunk Ingest
+ *
+ * Indexes embedded chunks (out/embedded-chunks.jsonl from embed.js) into
+ * OpenSearch with their authorization metadata, so k-NN queries can apply
+ * the filters compiled from Cedar residuals.
+ *
+ * When the index does not exist it is created with a mapping generated from
+ * the same sources the residual compiler uses: every Platform::Chunk
+ * attribute in the Cedar schema gets the field, type and ancestors field the
+ * attribute mapping (src/compile/field-mapping.json) gives it, next to a
+ * knn_vector field sized to the embeddings. A Chunk attribute without a
+ * mapping is an error, since a policy on it could not be enforced.
+ *
+ * Before indexing, each chunk's metadata is checked against its Document
+ * entity (see chunk-metadata.js); chunks with missing or contradicting
+ * metadata, or without an embedding of the right size, are not indexed.
+ * The rest are sent with the bulk API in batches, retrying throttled items.
+ * Every chunk that was not indexed is listed with the reason.
+ *
+ * Re-ingest is incremental. Each chunk is stored with `doc_hash`, a hash of
+ * its whole document (see hashDocument), so the index itself records what
+ * it holds: documents whose hash is unchanged are skipped, changed
+ * documents are re-indexed, and chunks whose ids no longer exist for their
+ * document, or whose document is gone, are deleted in the same run. A
+ * document whose chunks fail the metadata check is revoked: its indexed
+ * chunks are deleted rather than left searchable with stale metadata.
+ */
 
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { readJson, readJsonl, writeJson } from '../lib/util.js';
+import { bulkDelete, bulkIndex, createIndex, createOpenSearchClient, indexExists, listDocuments } from '../lib/opensearch.js';
+import { DEFAULT_FIELD_MAPPING_PATH, loadFieldMapping } from '../compile/mapping.js';
+import { canonicalJson, hashContent } from '../lib/residual-format.js';
+import { deriveChunkMetadata, readEntityAttributeTypes } from './chunk-metadata.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+const CHUNK_TYPE = 'Platform::Chunk';
+
+// Chunk fields other than the authorization metadata and the vector
+const CONTENT_FIELDS = {
+  text: { type: 'text' },
+  headings: { type: 'text' },
+  source: { type: 'keyword' },
+  embedding_model: { type: 'keyword' },
+  doc_hash: { type: 'keyword' }
+};
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    chunks: resolve(PROJECT_ROOT, 'out/embedded-chunks.jsonl'),
+    index: process.env.OPENSEARCH_INDEX || 'rag-chunks',
+    node: undefined,
+    serverless: false,
+    region: undefined,
+    schema: resolve(PROJECT_ROOT, 'cedar/schema.cedarschema'),
+    entities: resolve(PROJECT_ROOT, 'cedar/entities.json'),
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    vectorField: 'embedding',
+    batchSize: 100,
+    retries: 3,
+    report: null,
+    force: false,
+    keepMissing: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--chunks':
+      case '-c':
+        options.chunks = args[++i];
+        break;
+      case '--index':
+      case '-i':
+        options.index = args[++i];
+        break;
+      case '--node':
+        options.node = args[++i];
+        break;
+      case '--serverless':
+        options.serverless = true;
+        break;
+      case '--region':
+        options.region = args[++i];
+        break;
+      case '--schema':
+      case '-s':
+        options.schema = args[++i];
+        break;
+      case '--entities':
+      case '-e':
+        options.entities = args[++i];
+        break;
+      case '--mapping':
+      case '-m':
+        options.mapping = args[++i];
+        break;
+      case '--vector-field':
+        options.vectorField = args[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = Number.parseInt(args[++i], 10);
+        break;
+      case '--retries':
+        options.retries = Number.parseInt(args[++i], 10);
+        break;
+      case '--report':
+        options.report = args[++i];
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--keep-missing':
+        options.keepMissing = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+    console.error('Error: --batch-size must be a positive integer');
+    process.exit(1);
+  }
+  if (!Number.isInteger(options.retries) || options.retries < 0) {
+    console.error('Error: --retries must be a non-negative integer');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node index-opensearch.js [options]
+
+Optional:
+  --chunks, -c <file>      Embedded chunks JSONL from embed.js
+                           (default: out/embedded-chunks.jsonl)
+  --index, -i <name>       Index name (default: $OPENSEARCH_INDEX or rag-chunks)
+  --node <url>             OpenSearch endpoint (default: $OPENSEARCH_NODE)
+  --serverless             Sign requests for OpenSearch Serverless (AWS SigV4)
+  --region <region>        AWS region for --serverless (default: $AWS_REGION)
+  --schema, -s <file>      Cedar schema (default: cedar/schema.cedarschema)
+  --entities, -e <file>    Cedar entities JSON (default: cedar/entities.json)
+  --mapping, -m <file>     Attribute-to-field mapping JSON
+                           (default: src/compile/field-mapping.json)
+  --vector-field <name>    knn_vector field for the embeddings (default: embedding)
+  --batch-size <n>         Chunks per bulk request (default: 100)
+  --retries <n>            Retries of a failed or throttled batch (default: 3)
+  --report <file>          Write the changes and the chunks that failed as JSON
+  --force                  Re-index every document, changed or not
+  --keep-missing           Keep indexed documents that are not in --chunks
+                           (for a partial ingest); by default they are deleted
+  --dry-run                Check the chunks and print the index mapping
+                           without connecting to OpenSearch
+  --help, -h               Show this help message
+
+Example:
+  node src/ingest/index-opensearch.js --node https://localhost:9200
+  node src/ingest/index-opensearch.js --serverless \\
+    --node https://abc123.us-east-1.aoss.amazonaws.com --index rag-chunks
+
+Exits with status 1 if any chunk was not indexed or deleted.
+`);
+}
+
+/**
+ * Generate the index mapping for chunks
+ *
+ * @param {Object} options - Options
+ * @param {string} options.schemaText - Cedar schema
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping (see loadFieldMapping)
+ * @param {number} options.dimensions - Embedding length
+ * @param {string} options.vectorField - knn_vector field name (default: embedding)
+ * @returns {Object} Index settings and mappings for indices.create
+ * @throws {Error} If a Chunk attribute is unmapped, a mapped path does not
+ *   start with a Chunk attribute, or one field is given two types
+ */
+export function buildIndexMapping(options = {}) {
+  const { schemaText, fieldMapping = loadFieldMapping(), dimensions, vectorField = 'embedding' } = options;
+  const attributeTypes = readEntityAttributeTypes(schemaText, CHUNK_TYPE);
+  const typeMapping = fieldMapping.entityTypes?.[CHUNK_TYPE];
+  if (!typeMapping) {
+    throw new Error(`Field mapping has no entry for ${CHUNK_TYPE}`);
+  }
+
+  const unmapped = Object.keys(attributeTypes).filter(attr => !typeMapping.attributes?.[attr]);
+  if (unmapped.length > 0) {
+    throw new Error(`${CHUNK_TYPE} attribute(s) ${unmapped.join(', ')} have no field mapping`);
+  }
+
+  const properties = { ...CONTENT_FIELDS };
+  const addField = (field, type, source) => {
+    if (properties[field] && properties[field].type !== type) {
+      throw new Error(`Field ${field} is mapped as ${properties[field].type} and as ${type} (${source})`);
+    }
+    properties[field] = { type };
+  };
+
+  const entries = Object.entries(typeMapping.attributes || {});
+  if (typeMapping.id) {
+    entries.push(['(id)', typeMapping.id]);
+  }
+  for (const [path, entry] of entries) {
+    if (path !== '(id)' && !(path.split('.')[0] in attributeTypes)) {
+      throw new Error(`Field mapping path ${path} is not an attribute of ${CHUNK_TYPE}`);
+    }
+    const { field, type = 'keyword', ancestors } = typeof entry === 'string' ? { field: entry } : entry;
+    addField(field, type, path);
+    if (ancestors) {
+      addField(ancestors, 'keyword', `ancestors of ${path}`);
+    }
+  }
+
+  properties[vectorField] = {
+    type: 'knn_vector',
+    dimension: dimensions,
+    method: { name: 'hnsw', engine: 'faiss', space_type: 'l2' }
+  };
+
+  return {
+    settings: { index: { knn: true } },
+    // Other chunk fields are kept in _source but not indexed
+    mappings: { dynamic: false, properties }
+  };
+}
+
+/**
+ * Check chunks before indexing and stamp each with its document's hash
+ *
+ * A document is indexed whole or not at all: when one of its chunks is
+ * rejected, the rest are held back too. If a chunk lacks a usable embedding,
+ * the index keeps the previous version of the document rather than a mix of
+ * both. If its authorization metadata is missing or contradicts the
+ * Document entity (the entity was removed, or the document reclassified),
+ * the document is revoked instead: planIngest deletes its indexed chunks,
+ * whose metadata can no longer be trusted, so access fails closed.
+ *
+ * @param {Object[]} chunks - Embedded chunks
+ * @param {Object[]} entities - Entities in Cedar JSON format
+ * @param {Object} options - Options
+ * @param {string} options.schemaText - Cedar schema
+ * @param {Object} options.fieldMapping - Attribute-to-field mapping
+ * @param {string} options.vectorField - Field holding the embedding
+ * @returns {{documents: Array<{id: string, body: Object}>, rejected: Array<{id: string, error: string}>, heldDocIds: Set<string>, revokedDocIds: Set<string>, dimensions: number|null}}
+ *   Documents to index (with `doc_hash` set), chunks that must not be, the
+ *   doc_ids held back for embedding problems and revoked for metadata
+ *   problems, and the embedding length
+ */
+export function prepareChunks(chunks, entities, options = {}) {
+  const { schemaText, fieldMapping, vectorField = 'embedding' } = options;
+  const rejected = [];
+
+  // Metadata, ancestors included, must be present and agree with the chunk's document
+  const derived = deriveChunkMetadata(chunks, entities, { schemaText, fieldMapping, requirePresent: true });
+  rejected.push(...derived.errors.map(({ id, message }) => ({ id, error: message })));
+
+  // The most common embedding length, so one stray vector cannot size the index
+  const lengths = new Map();
+  for (const chunk of chunks.filter(chunk => Array.isArray(chunk[vectorField]))) {
+    lengths.set(chunk[vectorField].length, (lengths.get(chunk[vectorField].length) || 0) + 1);
+  }
+  const dimensions = [...lengths].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+
+  const ready = [];
+  for (const chunk of derived.chunks) {
+    const vector = chunk[vectorField];
+    if (!Array.isArray(vector) || vector.length === 0 || !vector.every(Number.isFinite)) {
+      rejected.push({ id: chunk.id, error: `has no ${vectorField} (run embed.js first)` });
+    } else if (vector.length !== dimensions) {
+      rejected.push({ id: chunk.id, error: `${vectorField} has ${vector.length} dimensions, expected ${dimensions}` });
+    } else {
+      ready.push(chunk);
+    }
+  }
+
+  const docIdsOf = ids => new Set(chunks.filter(chunk => ids.has(chunk.id ?? '(no id)') && chunk.doc_id).map(chunk => chunk.doc_id));
+  const revokedDocIds = docIdsOf(new Set(derived.errors.map(({ id }) => id)));
+  const heldDocIds = new Set([...docIdsOf(new Set(rejected.map(({ id }) => id)))].filter(docId => !revokedDocIds.has(docId)));
+  const documents = [];
+  for (const [docId, docChunks] of groupBy(ready, chunk => chunk.doc_id)) {
+    if (revokedDocIds.has(docId)) {
+      rejected.push(...docChunks.map(chunk => ({ id: chunk.id, error: `revoked: document ${docId} has chunks whose metadata is wrong` })));
+      continue;
+    }
+    if (heldDocIds.has(docId)) {
+      rejected.push(...docChunks.map(chunk => ({ id: chunk.id, error: `held back: document ${docId} has chunks that cannot be indexed` })));
+      continue;
+    }
+    const docHash = hashDocument(docChunks, vectorField);
+    documents.push(...docChunks.map(chunk => ({ id: chunk.id, body: { ...chunk, doc_hash: docHash } })));
+  }
+
+  return { documents, rejected, heldDocIds, revokedDocIds, dimensions };
+}
+
+/**
+ * Hash a document's chunks
+ *
+ * Covers the chunk text, the metadata derived from the Document entity and
+ * the embedding model, so a change to any of them re-indexes the document.
+ * The vectors themselves follow from the text and the model.
+ *
+ * @param {Object[]} chunks - The document's chunks
+ * @param {string} vectorField - Field holding the embedding (left out)
+ * @returns {string} Content hash (sha256:...)
+ */
+export function hashDocument(chunks, vectorField = 'embedding') {
+  const content = [...chunks]
+    .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    .map(({ [vectorField]: vector, doc_hash: docHash, ...chunk }) => chunk);
+  return hashContent(canonicalJson(content));
+}
+
+/**
+ * Work out which chunks to index and which to delete
+ *
+ * Compares each document's hash with the chunks already in the index. A
+ * changed document is re-indexed whole, and its chunks whose ids no longer
+ * exist (q3-plan#4 after the document shrank to three chunks) are deleted,
+ * as are the chunks of documents no longer in the input and of revoked
+ * documents.
+ *
+ * @param {Array<{id: string, body: Object}>} documents - Documents from prepareChunks
+ * @param {Array<{id: string, source: Object}>} existing - Chunks in the index ({ doc_id, doc_hash })
+ * @param {Object} options - Options
+ * @param {Set<string>} options.heldDocIds - Documents held back, whose chunks are left alone
+ * @param {Set<string>} options.revokedDocIds - Documents whose chunks are deleted, even with keepMissing
+ * @param {boolean} options.force - Re-index unchanged documents too
+ * @param {boolean} options.keepMissing - Keep documents that are not in the input
+ * @returns {{index: Array<{id: string, body: Object}>, delete: string[], changes: Object[]}}
+ *   Documents to index, chunk ids to delete, and per document its status and
+ *   the chunk ids added, updated, removed and unchanged
+ */
+export function planIngest(documents, existing, options = {}) {
+  const { heldDocIds = new Set(), revokedDocIds = new Set(), force = false, keepMissing = false } = options;
+  const existingByDoc = groupBy(existing, chunk => chunk.source?.doc_id);
+
+  const plan = { index: [], delete: [], changes: [] };
+  for (const [docId, docChunks] of groupBy(documents, document => document.body.doc_id)) {
+    const previous = existingByDoc.get(docId) || [];
+    const previousIds = new Set(previous.map(chunk => chunk.id));
+    const ids = docChunks.map(document => document.id);
+    const unchanged = !force
+      && previous.length === docChunks.length
+      && previous.every(chunk => chunk.source.doc_hash === docChunks[0].body.doc_hash)
+      && ids.every(id => previousIds.has(id));
+
+    if (unchanged) {
+      plan.changes.push({ docId, status: 'unchanged', added: [], updated: [], removed: [], unchanged: ids });
+      continue;
+    }
+    const removed = [...previousIds].filter(id => !ids.includes(id));
+    plan.index.push(...docChunks);
+    plan.delete.push(...removed);
+    plan.changes.push({
+      docId,
+      status: previous.length === 0 ? 'added' : 'updated',
+      added: ids.filter(id => !previousIds.has(id)),
+      updated: ids.filter(id => previousIds.has(id)),
+      removed,
+      unchanged: []
+    });
+  }
+
+  const inputDocIds = new Set(documents.map(document => document.body.doc_id));
+  for (const [docId, previous] of existingByDoc) {
+    if (inputDocIds.has(docId) || heldDocIds.has(docId)) {
+      continue;
+    }
+    const revoked = revokedDocIds.has(docId);
+    if (revoked || !keepMissing) {
+      const removed = previous.map(chunk => chunk.id);
+      plan.delete.push(...removed);
+      plan.changes.push({ docId, status: revoked ? 'revoked' : 'removed', added: [], updated: [], removed, unchanged: [] });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Group items by a key, keeping first-seen order
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    groups.set(key, [...(groups.get(key) || []), item]);
+  }
+  return groups;
+}
+
+/**
+ * One line per document that changed, and the totals
+ */
+function printChanges(changes, indexed, deleted) {
+  const count = (ids, done) => ids.filter(id => done.has(id)).length;
+  const totals = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const lines = [];
+  for (const change of changes) {
+    const added = count(change.added, indexed);
+    const updated = count(change.updated, indexed);
+    const removed = count(change.removed, deleted);
+    totals.added += added;
+    totals.updated += updated;
+    totals.removed += removed;
+    totals.unchanged += change.unchanged.length;
+    if (change.status !== 'unchanged') {
+      lines.push(`  ${change.docId} (${change.status}): ${added} added, ${updated} updated, ${removed} removed`);
+    }
+  }
+
+  console.log(`\nChanges:`);
+  console.log(lines.length > 0 ? lines.join('\n') : '  (none)');
+  console.log(`  Chunks: ${totals.added} added, ${totals.updated} updated, ${totals.removed} removed, ${totals.unchanged} unchanged`);
+  return totals;
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log(`Loading chunks from ${options.chunks}...`);
+    const chunks = readJsonl(options.chunks);
+    const entities = readJson(options.entities);
+    const schemaText = readFileSync(options.schema, 'utf-8');
+    const fieldMapping = loadFieldMapping(options.mapping);
+
+    const { documents, rejected, heldDocIds, revokedDocIds, dimensions } = prepareChunks(chunks, entities, {
+      schemaText,
+      fieldMapping,
+      vectorField: options.vectorField
+    });
+    if (dimensions === null) {
+      throw new Error(`No chunk has an ${options.vectorField} to index (run embed.js first)`);
+    }
+    const indexBody = buildIndexMapping({ schemaText, fieldMapping, dimensions, vectorField: options.vectorField });
+    console.log(`  ${documents.length} of ${chunks.length} chunk(s) ready (${dimensions} dimensions)`);
+
+    const failed = rejected.map(({ id, error }) => ({ id, stage: 'check', status: null, error }));
+    let plan;
+    let indexed = [];
+    let deleted = [];
+
+    if (options.dryRun) {
+      // Without the index, every document counts as new
+      plan = planIngest(documents, [], { heldDocIds, revokedDocIds });
+      console.log(`\nIndex mapping for ${options.index}:`);
+      console.log(JSON.stringify(indexBody, null, 2));
+    } else {
+      const client = createOpenSearchClient({
+        node: options.node,
+        serverless: options.serverless,
+        region: options.region
+      });
+
+      if (await indexExists(client, options.index)) {
+        console.log(`\nIndex ${options.index} exists`);
+      } else {
+        console.log(`\nCreating index ${options.index}...`);
+        await createIndex(client, options.index, indexBody);
+      }
+
+      const idEntry = fieldMapping.entityTypes[CHUNK_TYPE].id;
+      const existing = await listDocuments(client, options.index, {
+        fields: ['doc_id', 'doc_hash'],
+        sortField: typeof idEntry === 'string' ? idEntry : idEntry?.field ?? 'id'
+      });
+      plan = planIngest(documents, existing, {
+        heldDocIds,
+        revokedDocIds,
+        force: options.force,
+        keepMissing: options.keepMissing
+      });
+      const bulkOptions = { batchSize: options.batchSize, retries: options.retries };
+
+      console.log(`Indexing ${plan.index.length} chunk(s) of changed documents...`);
+      const indexResult = await bulkIndex(client, options.index, plan.index, {
+        ...bulkOptions,
+        onBatch: (done, total) => console.log(`  ${done}/${total} sent`)
+      });
+      indexed = indexResult.indexed;
+      failed.push(...indexResult.failed.map(failure => ({ ...failure, stage: 'bulk' })));
+
+      // Delete only after the new version is in, so a document never goes missing
+      if (plan.delete.length > 0) {
+        console.log(`Deleting ${plan.delete.length} stale chunk(s)...`);
+        const deleteResult = await bulkDelete(client, options.index, plan.delete, bulkOptions);
+        deleted = deleteResult.deleted;
+        failed.push(...deleteResult.failed.map(failure => ({ ...failure, stage: 'delete' })));
+      }
+    }
+
+    const totals = options.dryRun
+      ? printChanges(plan.changes, new Set(plan.index.map(document => document.id)), new Set())
+      : printChanges(plan.changes, new Set(indexed), new Set(deleted));
+
+    if (failed.length > 0) {
+      console.error(`\nNot indexed or deleted:`);
+      for (const { id, stage, status, error } of failed) {
+        console.error(`  ✗ ${id} (${stage}${status ? ` ${status}` : ''}): ${error}`);
+      }
+    }
+    if (options.report) {
+      writeJson(options.report, { index: options.index, totals, changes: plan.changes, indexed, deleted, failed });
+      console.log(`\nReport written to ${options.report}`);
+    }
+
+    if (options.dryRun) {
+      console.log(`\n✓ Dry run: ${plan.index.length} chunk(s) would be indexed, ${rejected.length} rejected`);
+    } else {
+      console.log(`\n${failed.length === 0 ? '✓' : '✗'} ${indexed.length} chunk(s) indexed into ${options.index}, ${deleted.length} deleted, ${failed.length} failed`);
+    }
+    if (failed.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error indexing chunks:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
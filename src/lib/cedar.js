@@ -8,7 +8,8 @@ import { readFileSync, readdirSync } from 'fs';
 import { resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { initCedar, Schema, PolicySet, Entities, Authorizer } from '@cedar-policy/cedar-wasm';
+import { initCedar, Schema, Entities, Authorizer } from '@cedar-policy/cedar-wasm';
+import { defaultLinksPath, readPolicySet, toCedarPolicySet } from './policy-set.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -40,6 +41,9 @@ export function loadSchema(schemaPath = resolve(PROJECT_ROOT, 'cedar/schema.ceda
 /**
  * Load all Cedar policies from a directory
  * 
+ * Templates are returned with the static policies; see loadPolicySet for
+ * their links.
+ * 
  * @param {string} policiesDir - Directory containing .cedar policy files
  * @returns {string[]} Array of policy text strings
  */
@@ -60,12 +64,19 @@ export function loadPolicies(policiesDir = resolve(PROJECT_ROOT, 'cedar/policies
 /**
  * Load Cedar policy set from directory
  * 
+ * Static policies and templates come from the directory's .cedar files and
+ * template links from linksPath (see policy-set.js).
+ * 
  * @param {string} policiesDir - Directory containing .cedar policy files
- * @returns {PolicySet} Cedar policy set
+ * @param {string|null} linksPath - Template links file (default: template-links.json beside policiesDir, if present)
+ * @returns {{staticPolicies: string, templates: Object, templateLinks: Object[]}} Cedar policy set
  */
-export function loadPolicySet(policiesDir = resolve(PROJECT_ROOT, 'cedar/policies')) {
-  const policyTexts = loadPolicies(policiesDir);
-  return PolicySet.fromPolicies(policyTexts);
+export function loadPolicySet(
+  policiesDir = resolve(PROJECT_ROOT, 'cedar/policies'),
+  linksPath = defaultLinksPath(policiesDir)
+) {
+  const { policiesText, templateLinks } = readPolicySet(policiesDir, linksPath);
+  return toCedarPolicySet(policiesText, templateLinks);
 }
 
 /**
@@ -92,6 +103,7 @@ export function loadEntities(
  * @param {Object} options - Configuration options
  * @param {string} options.schemaPath - Path to schema file
  * @param {string} options.policiesDir - Directory containing policies
+ * @param {string} options.linksPath - Template links file
  * @param {string} options.entitiesPath - Path to entities file
  * @returns {Authorizer} Cedar authorizer
  */
@@ -99,7 +111,7 @@ export async function createAuthorizer(options = {}) {
   await initializeCedar();
   
   const schema = loadSchema(options.schemaPath);
-  const policySet = loadPolicySet(options.policiesDir);
+  const policySet = loadPolicySet(options.policiesDir, options.linksPath);
   const entities = loadEntities(options.entitiesPath, schema);
   
   return new Authorizer(schema, policySet, entities);
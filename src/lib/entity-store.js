@@ -0,0 +1,323 @@
+/**
+ * Entity Stores
+ *
+ * Entity providers look up Cedar entities (Cedar JSON entity format:
+ * { uid, attrs, parents }) by UID, so partial evaluation can load just the
+ * entities a request touches instead of the whole directory. Every provider
+ * has the same shape:
+ *
+ *   {
+ *     name,                         // description for log output
+ *     getEntities(uids),            // Promise<Object[]> for UID strings (Type::"id"); unknown UIDs are skipped
+ *     getAllEntities(),             // Promise<Object[]> with every entity
+ *     streamEntities(),             // AsyncIterable<Object> over every entity, read a few at a time
+ *     close()
+ *   }
+ *
+ * Implementations:
+ * - JSON file:      an array of entities (cedar/entities.json)
+ * - JSONL directory: *.jsonl files with one entity per line
+ * - SQLite file:    a table `entities (uid TEXT PRIMARY KEY, entity TEXT NOT NULL)`
+ *                   with the UID string and the entity's JSON (needs node:sqlite)
+ */
+
+import { closeSync, createReadStream, openSync, readdirSync, readFileSync, readSync, statSync } from 'fs';
+import { extname, resolve } from 'path';
+import { createInterface } from 'readline';
+
+const SQLITE_EXTENSIONS = new Set(['.db', '.sqlite', '.sqlite3']);
+
+// SQLite's default limit on bound parameters is 999
+const SQLITE_BATCH_SIZE = 500;
+
+// Rows per query when streaming a SQLite store
+const SQLITE_PAGE_SIZE = 1000;
+
+/**
+ * Open the entity provider for a path
+ *
+ * A directory is read as JSONL, a .db/.sqlite/.sqlite3 file as SQLite and
+ * anything else as a JSON file.
+ *
+ * @param {string} location - Path to the entity store
+ * @returns {Promise<Object>} Entity provider
+ */
+export async function openEntityProvider(location) {
+  if (statSync(location).isDirectory()) {
+    return createJsonlDirectoryProvider(location);
+  }
+  if (SQLITE_EXTENSIONS.has(extname(location).toLowerCase())) {
+    return createSqliteProvider(location);
+  }
+  return createJsonFileProvider(location);
+}
+
+/**
+ * Entity provider over a JSON file holding an array of entities
+ *
+ * The file is parsed once, on first use.
+ *
+ * @param {string} filePath - Path to the entities JSON file
+ * @returns {Object} Entity provider
+ */
+export function createJsonFileProvider(filePath) {
+  let index = null;
+
+  const load = () => {
+    if (!index) {
+      const entities = JSON.parse(readFileSync(filePath, 'utf-8'));
+      if (!Array.isArray(entities)) {
+        throw new Error(`${filePath} must contain an array of entities`);
+      }
+      index = new Map(entities.map(entity => [formatEntityUid(entity.uid), entity]));
+    }
+    return index;
+  };
+
+  return {
+    name: `JSON file ${filePath}`,
+    async getEntities(uids) {
+      const entities = load();
+      return uids.map(uid => entities.get(uid)).filter(Boolean);
+    },
+    async getAllEntities() {
+      return [...load().values()];
+    },
+    async *streamEntities() {
+      yield* load().values();
+    },
+    close() {}
+  };
+}
+
+/**
+ * Entity provider over a directory of JSONL files (one entity per line)
+ *
+ * The first lookup scans the files once and records where each entity's
+ * line is; lookups then read only the lines they need. The index is kept in
+ * memory only, so the directory is never written to.
+ *
+ * @param {string} dirPath - Directory containing *.jsonl files
+ * @returns {Object} Entity provider
+ */
+export function createJsonlDirectoryProvider(dirPath) {
+  const files = readdirSync(dirPath)
+    .filter(file => file.endsWith('.jsonl'))
+    .sort()
+    .map(file => resolve(dirPath, file));
+  let index = null;
+
+  const buildIndex = () => {
+    if (!index) {
+      index = new Map();
+      for (const file of files) {
+        const content = readFileSync(file);
+        let start = 0;
+        while (start < content.length) {
+          let end = content.indexOf(0x0a, start);
+          if (end === -1) {
+            end = content.length;
+          }
+          const line = content.toString('utf-8', start, end).trim();
+          if (line) {
+            index.set(formatEntityUid(JSON.parse(line).uid), { file, start, end });
+          }
+          start = end + 1;
+        }
+      }
+    }
+    return index;
+  };
+
+  const readEntity = ({ file, start, end }) => {
+    const buffer = Buffer.alloc(end - start);
+    const fd = openSync(file, 'r');
+    try {
+      readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      closeSync(fd);
+    }
+    return JSON.parse(buffer.toString('utf-8'));
+  };
+
+  async function* streamEntities() {
+    for (const file of files) {
+      const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (line.trim()) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+  }
+
+  return {
+    name: `JSONL directory ${dirPath} (${files.length} file(s))`,
+    async getEntities(uids) {
+      const locations = buildIndex();
+      return uids.map(uid => locations.get(uid)).filter(Boolean).map(readEntity);
+    },
+    async getAllEntities() {
+      const entities = [];
+      for await (const entity of streamEntities()) {
+        entities.push(entity);
+      }
+      return entities;
+    },
+    streamEntities,
+    close() {}
+  };
+}
+
+/**
+ * Entity provider over a SQLite database
+ *
+ * Uses the built-in node:sqlite module (Node.js 22.5+), loaded only when a
+ * SQLite store is opened.
+ *
+ * @param {string} dbPath - Path to the SQLite file
+ * @returns {Promise<Object>} Entity provider
+ */
+export async function createSqliteProvider(dbPath) {
+  let sqlite;
+  try {
+    sqlite = await import('node:sqlite');
+  } catch {
+    throw new Error(`Cannot open ${dbPath}: SQLite entity stores need Node.js 22.5 or later (node:sqlite)`);
+  }
+  const db = new sqlite.DatabaseSync(dbPath, { readOnly: true });
+
+  return {
+    name: `SQLite file ${dbPath}`,
+    async getEntities(uids) {
+      const entities = [];
+      for (let i = 0; i < uids.length; i += SQLITE_BATCH_SIZE) {
+        const batch = uids.slice(i, i + SQLITE_BATCH_SIZE);
+        const placeholders = batch.map(() => '?').join(', ');
+        const rows = db.prepare(`SELECT entity FROM entities WHERE uid IN (${placeholders})`).all(...batch);
+        entities.push(...rows.map(row => JSON.parse(row.entity)));
+      }
+      return entities;
+    },
+    async getAllEntities() {
+      return db.prepare('SELECT entity FROM entities').all().map(row => JSON.parse(row.entity));
+    },
+    async *streamEntities() {
+      // Page through the primary key rather than holding every row
+      const page = db.prepare('SELECT uid, entity FROM entities WHERE uid > ? ORDER BY uid LIMIT ?');
+      let after = '';
+      for (;;) {
+        const rows = page.all(after, SQLITE_PAGE_SIZE);
+        for (const row of rows) {
+          yield JSON.parse(row.entity);
+        }
+        if (rows.length < SQLITE_PAGE_SIZE) {
+          return;
+        }
+        after = rows[rows.length - 1].uid;
+      }
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Load the entities partial evaluation needs for a request
+ *
+ * Starting from the root entities (the principal, any entity the context
+ * refers to and any entity the policies name), collects:
+ * - each root and all of its ancestors, for `principal in ...`
+ * - the entities its attributes reference (tenant, teams), and their
+ *   ancestors, up to `depth` references away
+ *
+ * Referenced entities that are not in the store are left out, as Cedar
+ * allows for entity references.
+ *
+ * @param {Object} provider - Entity provider
+ * @param {string[]} roots - UID strings of the root entities
+ * @param {Object} options - Options
+ * @param {number} options.depth - How many attribute references to follow (default: 1)
+ * @returns {Promise<Object[]>} Entities in the slice
+ */
+export async function loadEntitySlice(provider, roots, options = {}) {
+  const { depth = 1 } = options;
+  const slice = new Map();
+  // Largest remaining reference depth each entity has been expanded with
+  const expanded = new Map();
+  let frontier = new Map(roots.map(uid => [uid, depth]));
+
+  while (frontier.size > 0) {
+    const missing = [...frontier.keys()].filter(uid => !slice.has(uid));
+    for (const entity of await provider.getEntities(missing)) {
+      slice.set(formatEntityUid(entity.uid), entity);
+    }
+
+    const next = new Map();
+    const enqueue = (uid, remaining) => {
+      if ((expanded.get(uid) ?? -1) < remaining && (next.get(uid) ?? -1) < remaining) {
+        next.set(uid, remaining);
+      }
+    };
+
+    for (const [uid, remaining] of frontier) {
+      const entity = slice.get(uid);
+      if (!entity || (expanded.get(uid) ?? -1) >= remaining) {
+        continue;
+      }
+      expanded.set(uid, remaining);
+      for (const parent of entity.parents || []) {
+        enqueue(formatEntityUid(parent), 0);
+      }
+      if (remaining > 0) {
+        for (const reference of collectEntityReferences(entity.attrs || {})) {
+          enqueue(reference, remaining - 1);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return [...slice.values()];
+}
+
+/**
+ * Collect the UIDs of entities referenced in a Cedar JSON value
+ *
+ * Entity references are { __entity: { type, id } } or, as the schema
+ * allows, plain { type, id } objects.
+ *
+ * @param {*} value - Cedar JSON value (attributes, context)
+ * @returns {string[]} UID strings
+ */
+export function collectEntityReferences(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(collectEntityReferences);
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  if (value.__entity) {
+    return [formatEntityUid(value.__entity)];
+  }
+  if (value.__extn) {
+    return [];
+  }
+  const keys = Object.keys(value);
+  if (keys.length === 2 && typeof value.type === 'string' && typeof value.id === 'string') {
+    return [formatEntityUid(value)];
+  }
+  return Object.values(value).flatMap(collectEntityReferences);
+}
+
+/**
+ * Format an entity reference as a Cedar UID string
+ *
+ * @param {{type: string, id: string}|{__entity: {type: string, id: string}}} uid - Entity reference
+ * @returns {string} UID such as Platform::Folder::"planning"
+ */
+export function formatEntityUid(uid) {
+  const { type, id } = uid.__entity || uid;
+  return `${type}::${JSON.stringify(id)}`;
+}
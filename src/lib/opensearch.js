@@ -5,8 +5,13 @@
  */
 
 import { Client } from '@opensearch-project/opensearch';
-import { defaultProvider } from '@aws-sdk/credential-providers';
+import { fromNodeProviderChain } from '@aws-sdk/credential-providers';
 import { AwsSigv4Signer } from '@opensearch-project/opensearch/aws';
+import { filterMatchesNothing } from '../compile/mapping.js';
+import { sleep } from './util.js';
+
+// Bulk item statuses worth another attempt (throttling, unavailable shards)
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
 
 /**
  * Create an OpenSearch client
@@ -28,18 +33,22 @@ export function createOpenSearchClient(options = {}) {
     password = process.env.OPENSEARCH_PASSWORD
   } = options;
 
-  const clientConfig = {
+  let clientConfig = {
     node: node
   };
 
   // Configure authentication
   if (serverless) {
-    // OpenSearch Serverless uses AWS SigV4
-    clientConfig.auth = {
-      credentials: defaultProvider(),
-      region: region
+    // OpenSearch Serverless uses AWS SigV4, signed for the 'aoss' service
+    const credentials = fromNodeProviderChain();
+    clientConfig = {
+      ...AwsSigv4Signer({
+        region: region,
+        service: 'aoss',
+        getCredentials: () => credentials()
+      }),
+      ...clientConfig
     };
-    clientConfig.connectionClass = AwsSigv4Signer;
   } else if (username && password) {
     // Basic auth for self-managed OpenSearch
     clientConfig.auth = {
@@ -96,7 +105,7 @@ export function buildVectorSearchQuery(options = {}) {
 
   // Add authorization filter if provided
   if (filter) {
-    query.query.bool.filter = filter.bool || filter;
+    query.query.bool.filter = [filter];
   }
 
   return query;
@@ -108,28 +117,29 @@ export function buildVectorSearchQuery(options = {}) {
  * @param {Client} client - OpenSearch client
  * @param {string} index - Index name
  * @param {Object} queryBody - Query body from buildVectorSearchQuery
- * @returns {Promise<Object>} Search results
+ * @returns {Promise<Object>} Search results (`skipped: true`, with no hits, when
+ *   the authorization filter cannot match anything and no query was sent)
  */
 export async function executeVectorSearch(client, index, queryBody) {
-  try {
-    const response = await client.search({
-      index: index,
-      body: queryBody
-    });
-
-    return {
-      hits: response.body.hits.hits.map(hit => ({
-        id: hit._id,
-        score: hit._score,
-        source: hit._source
-      })),
-      total: response.body.hits.total.value || response.body.hits.total,
-      maxScore: response.body.hits.max_score
-    };
-  } catch (error) {
-    console.error('OpenSearch query error:', error);
-    throw error;
+  // The authorization filter admits no chunks: don't query at all
+  if ((queryBody.query?.bool?.filter || []).some(filterMatchesNothing)) {
+    return { hits: [], total: 0, maxScore: null, skipped: true };
   }
+
+  const response = await client.search({
+    index: index,
+    body: queryBody
+  });
+
+  return {
+    hits: response.body.hits.hits.map(hit => ({
+      id: hit._id,
+      score: hit._score,
+      source: hit._source
+    })),
+    total: response.body.hits.total.value || response.body.hits.total,
+    maxScore: response.body.hits.max_score
+  };
 }
 
 /**
@@ -142,18 +152,13 @@ export async function executeVectorSearch(client, index, queryBody) {
  * @returns {Promise<Object>} Index response
  */
 export async function indexDocument(client, index, id, document) {
-  try {
-    const response = await client.index({
-      index: index,
-      id: id,
-      body: document
-    });
+  const response = await client.index({
+    index: index,
+    id: id,
+    body: document
+  });
 
-    return response;
-  } catch (error) {
-    console.error('OpenSearch index error:', error);
-    throw error;
-  }
+  return response;
 }
 
 /**
@@ -175,4 +180,171 @@ export async function indexExists(client, index) {
   }
 }
 
+/**
+ * Create an index
+ * 
+ * @param {Client} client - OpenSearch client
+ * @param {string} index - Index name
+ * @param {Object} body - Index settings and mappings
+ * @returns {Promise<Object>} Create response
+ */
+export async function createIndex(client, index, body) {
+  const response = await client.indices.create({
+    index: index,
+    body: body
+  });
+
+  return response;
+}
+
+/**
+ * Index documents with the bulk API
+ * 
+ * Documents are sent in batches. A batch whose request fails, and items
+ * rejected with a retryable status (429, 502, 503, 504), are retried with
+ * exponential backoff; other rejected items are reported as failed.
+ * 
+ * @param {Client} client - OpenSearch client
+ * @param {string} index - Index name
+ * @param {Array<{id: string, body: Object}>} documents - Documents to index
+ * @param {Object} options - Bulk options
+ * @param {number} options.batchSize - Documents per bulk request (default: 100)
+ * @param {number} options.retries - Retries per batch after the first attempt (default: 3)
+ * @param {number} options.retryDelayMs - Delay before the first retry, doubled for each further one (default: 500)
+ * @param {Function} options.onBatch - Called with (done, total) after each batch
+ * @returns {Promise<{indexed: string[], failed: Array<{id: string, status: number|null, error: string}>}>}
+ *   Ids indexed, and the documents that could not be indexed and why
+ */
+export async function bulkIndex(client, index, documents, options = {}) {
+  const operations = documents.map(document => ({ action: 'index', id: document.id, body: document.body }));
+  const { done, failed } = await runBulk(client, index, operations, options);
+  return { indexed: done, failed };
+}
+
+/**
+ * Delete documents by id with the bulk API
+ * 
+ * Retries as bulkIndex does. A document that is already gone counts as deleted.
+ * 
+ * @param {Client} client - OpenSearch client
+ * @param {string} index - Index name
+ * @param {string[]} ids - Ids of the documents to delete
+ * @param {Object} options - Bulk options (see bulkIndex)
+ * @returns {Promise<{deleted: string[], failed: Array<{id: string, status: number|null, error: string}>}>}
+ *   Ids deleted, and the documents that could not be deleted and why
+ */
+export async function bulkDelete(client, index, ids, options = {}) {
+  const operations = ids.map(id => ({ action: 'delete', id }));
+  const { done, failed } = await runBulk(client, index, operations, options);
+  return { deleted: done, failed };
+}
+
+/**
+ * List every document in an index
+ * 
+ * Pages through the index in sort order with search_after, which works on
+ * OpenSearch Serverless (unlike scroll).
+ * 
+ * @param {Client} client - OpenSearch client
+ * @param {string} index - Index name
+ * @param {Object} options - Listing options
+ * @param {string[]} options.fields - Source fields to return (default: all)
+ * @param {string} options.sortField - Keyword field that is unique per document
+ * @param {number} options.pageSize - Documents per request (default: 1000)
+ * @returns {Promise<Array<{id: string, source: Object}>>} Documents, or none if the index does not exist
+ */
+export async function listDocuments(client, index, options = {}) {
+  const { fields = null, sortField, pageSize = 1000 } = options;
+
+  if (!await indexExists(client, index)) {
+    return [];
+  }
+
+  const documents = [];
+  let searchAfter = null;
+  for (;;) {
+    const body = {
+      size: pageSize,
+      query: { match_all: {} },
+      sort: [{ [sortField]: 'asc' }]
+    };
+    if (fields) {
+      body._source = fields;
+    }
+    if (searchAfter) {
+      body.search_after = searchAfter;
+    }
+
+    const response = await client.search({ index: index, body: body });
+    const hits = response.body.hits.hits;
+    documents.push(...hits.map(hit => ({ id: hit._id, source: hit._source })));
+    if (hits.length < pageSize) {
+      return documents;
+    }
+    searchAfter = hits[hits.length - 1].sort;
+  }
+}
+
+/**
+ * Send bulk operations in batches, retrying failed requests and throttled items
+ */
+async function runBulk(client, index, operations, options) {
+  const {
+    batchSize = 100,
+    retries = 3,
+    retryDelayMs = 500,
+    onBatch = null
+  } = options;
+
+  const done = [];
+  const failed = [];
+
+  for (let start = 0; start < operations.length; start += batchSize) {
+    let pending = operations.slice(start, start + batchSize);
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const lastAttempt = attempt >= retries;
+      if (attempt > 0) {
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+
+      let items;
+      try {
+        const response = await client.bulk({
+          body: pending.flatMap(operation => {
+            const action = { [operation.action]: { _index: index, _id: operation.id } };
+            return operation.action === 'delete' ? [action] : [action, operation.body];
+          })
+        });
+        items = response.body.items;
+      } catch (error) {
+        if (!lastAttempt) {
+          continue;
+        }
+        const status = error.meta?.statusCode ?? error.statusCode ?? null;
+        failed.push(...pending.map(operation => ({ id: operation.id, status, error: error.message })));
+        break;
+      }
+
+      const retry = [];
+      items.forEach((item, i) => {
+        const operation = pending[i];
+        const result = item[operation.action];
+        if (!result.error || (operation.action === 'delete' && result.status === 404)) {
+          done.push(operation.id);
+        } else if (RETRYABLE_STATUSES.has(result.status) && !lastAttempt) {
+          retry.push(operation);
+        } else {
+          failed.push({ id: operation.id, status: result.status, error: `${result.error.type}: ${result.error.reason}` });
+        }
+      });
+      pending = retry;
+    }
 
+    if (onBatch) {
+      onBatch(Math.min(start + batchSize, operations.length), operations.length);
+    }
+  }
+
+  return { done, failed };
+}
@@ -0,0 +1,246 @@
+/**
+ * Policy Sets
+ *
+ * Loads the Cedar policy set the tools evaluate: every .cedar file in a
+ * policies directory, plus an optional links file that instantiates the
+ * templates among them.
+ *
+ * A template is a policy with slots (?principal, ?resource) in its scope. Links
+ * name it by its @id annotation, so every template needs one:
+ *
+ *   @id("doc-share")
+ *   permit(principal == ?principal, action, resource in ?resource);
+ *
+ * The links file (by default template-links.json beside the policies
+ * directory, e.g. cedar/template-links.json) is a JSON array of links in
+ * cedar-wasm's TemplateLink shape:
+ *
+ *   [{
+ *     "templateId": "doc-share",
+ *     "newId": "share-planning-jack",
+ *     "values": {
+ *       "?principal": { "type": "Platform::Customer", "id": "jack" },
+ *       "?resource": { "type": "Platform::Folder", "id": "planning" }
+ *     }
+ *   }]
+ *
+ * A policy set travels as its text (static policies and templates together,
+ * as Cedar allows) and its links. cedar-wasm takes templates and links as
+ * they are (toCedarPolicySet); the js evaluator and the Cedar CLI evaluate
+ * each link as the static policy it stands for (linkPolicySetText). A
+ * template without links applies to nothing.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { tokenize } from '../compile/cedar-parser.js';
+import { formatEntityUid } from './entity-store.js';
+
+/**
+ * Read a policy set from a directory of .cedar files and a links file
+ *
+ * @param {string} policiesDir - Directory containing .cedar policy and template files
+ * @param {string|null} linksPath - Template links JSON file, or null for none
+ * @returns {{policiesText: string, templateLinks: Object[]}} Policy set text and template links
+ * @throws {Error} If a file cannot be read or a link does not match its template
+ */
+export function readPolicySet(policiesDir, linksPath = null) {
+  const policiesText = readdirSync(policiesDir)
+    .filter(file => file.endsWith('.cedar'))
+    .sort()
+    .map(file => readFileSync(resolve(policiesDir, file), 'utf-8'))
+    .join('\n\n');
+  const templateLinks = linksPath ? readTemplateLinks(linksPath) : [];
+
+  // Fail at load time rather than on the first request
+  checkTemplateLinks(splitPolicySet(policiesText), templateLinks);
+
+  return { policiesText, templateLinks };
+}
+
+/**
+ * The default links file of a policies directory, if it has one
+ *
+ * @param {string} policiesDir - Policies directory
+ * @returns {string|null} Path of template-links.json beside the directory, or null when there is none
+ */
+export function defaultLinksPath(policiesDir) {
+  const linksPath = resolve(dirname(resolve(policiesDir)), 'template-links.json');
+  return existsSync(linksPath) ? linksPath : null;
+}
+
+/**
+ * Read a template links file
+ *
+ * @param {string} filePath - Path to the links JSON file
+ * @returns {Object[]} Template links ({ templateId, newId, values })
+ * @throws {Error} If the file is not an array of links
+ */
+export function readTemplateLinks(filePath) {
+  if (!existsSync(filePath)) {
+    throw new Error(`Template links file not found: ${filePath}`);
+  }
+  const links = JSON.parse(readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(links)) {
+    throw new Error(`${filePath} must contain an array of template links`);
+  }
+  links.forEach((link, index) => {
+    if (typeof link?.templateId !== 'string' || typeof link.newId !== 'string'
+      || !link.values || typeof link.values !== 'object') {
+      throw new Error(`${filePath}: link ${index} needs a templateId, a newId and values`);
+    }
+  });
+  return links;
+}
+
+/**
+ * Split policy set text into its policies and templates
+ *
+ * @param {string} policiesText - Cedar policy set text
+ * @returns {Array<{text: string, id: string|null, template: boolean, slots: string[], bodyStart: number, idRange: Object, slotRanges: Object[]}>}
+ *   Each policy's source text (with the comments before it), @id annotation,
+ *   whether it is a template, its slots, and where in the text the policy
+ *   itself, the @id value and the slots start
+ */
+export function splitPolicySet(policiesText) {
+  const policies = [];
+  let start = 0;
+  let current = { id: null, bodyStart: null, idRange: null, slotRanges: [] };
+
+  const tokens = tokenize(policiesText);
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    current.bodyStart ??= token.pos - start;
+    if (token.type === 'punct' && token.value === '@' && next?.value === 'id' && tokens[index + 3]?.type === 'string') {
+      const value = tokens[index + 3];
+      current.id = value.value;
+      // String tokens span the quotes around their raw body
+      current.idRange = { start: value.pos - start, end: value.pos + value.raw.length + 2 - start };
+    } else if (token.type === 'punct' && token.value === '?' && next?.type === 'ident') {
+      current.slotRanges.push({ name: `?${next.value}`, start: token.pos - start, end: next.pos + next.value.length - start });
+    } else if (token.type === 'punct' && token.value === ';') {
+      const slots = [...new Set(current.slotRanges.map(slot => slot.name))];
+      policies.push({ text: policiesText.slice(start, token.pos + 1), template: slots.length > 0, slots, ...current });
+      start = token.pos + 1;
+      current = { id: null, bodyStart: null, idRange: null, slotRanges: [] };
+    }
+  });
+
+  return policies;
+}
+
+/**
+ * Build the policy set cedar-wasm's isAuthorized and isAuthorizedPartial take
+ *
+ * Static policies stay one text, so cedar-wasm names them policy0, policy1, ...
+ * in order; templates are keyed by their @id.
+ *
+ * @param {string} policiesText - Cedar policy set text
+ * @param {Object[]} templateLinks - Template links
+ * @returns {{staticPolicies: string, templates: Object, templateLinks: Object[]}} cedar-wasm PolicySet
+ */
+export function toCedarPolicySet(policiesText, templateLinks = []) {
+  const policies = splitPolicySet(policiesText);
+  checkTemplateLinks(policies, templateLinks);
+  return {
+    staticPolicies: policies.filter(policy => !policy.template).map(policy => policy.text).join(''),
+    templates: Object.fromEntries(policies.filter(policy => policy.template).map(policy => [policy.id, policy.text])),
+    templateLinks
+  };
+}
+
+/**
+ * Replace the templates in a policy set by their links, as static policies
+ *
+ * Each link becomes a copy of its template (without the comments before it)
+ * with the slots filled in and `@id` set to the link's newId.
+ *
+ * @param {string} policiesText - Cedar policy set text
+ * @param {Object[]} templateLinks - Template links
+ * @returns {string} Policy set text without templates
+ */
+export function linkPolicySetText(policiesText, templateLinks = []) {
+  const policies = splitPolicySet(policiesText);
+  if (!policies.some(policy => policy.template)) {
+    return policiesText;
+  }
+  checkTemplateLinks(policies, templateLinks);
+
+  const staticText = policies.filter(policy => !policy.template).map(policy => policy.text).join('');
+  const linkedTexts = templateLinks.map(link => {
+    const template = policies.find(policy => policy.template && policy.id === link.templateId);
+    const replacements = [
+      { ...template.idRange, text: JSON.stringify(link.newId) },
+      ...template.slotRanges.map(slot => ({ ...slot, text: formatEntityUid(link.values[slot.name]) }))
+    ].sort((a, b) => b.start - a.start);
+
+    // Replace from the end so earlier ranges keep their positions
+    let text = template.text;
+    for (const { start, end, text: replacement } of replacements) {
+      text = text.slice(0, start) + replacement + text.slice(end);
+    }
+    return text.slice(template.bodyStart).trim();
+  });
+
+  return [staticText.trimEnd(), ...linkedTexts].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Template links by newId
+ *
+ * @param {Object[]} templateLinks - Template links
+ * @returns {Map<string, {id: string, values: Object}>} Template id and linked values (as UID strings) per link
+ */
+export function templateLinkIndex(templateLinks = []) {
+  return new Map(templateLinks.map(link => [link.newId, {
+    id: link.templateId,
+    values: Object.fromEntries(Object.entries(link.values).map(([slot, uid]) => [slot, formatEntityUid(uid)]))
+  }]));
+}
+
+/**
+ * Check that every link names a template, fills exactly its slots and has a
+ * policy id of its own
+ */
+function checkTemplateLinks(policies, templateLinks) {
+  const templates = new Map();
+  const ids = new Set();
+  for (const policy of policies) {
+    if (policy.template) {
+      if (!policy.id) {
+        throw new Error(`Template has no @id annotation, so links cannot name it:\n${policy.text.trim()}`);
+      }
+      if (templates.has(policy.id)) {
+        throw new Error(`Duplicate template id '${policy.id}'`);
+      }
+      templates.set(policy.id, policy);
+    } else if (policy.id) {
+      ids.add(policy.id);
+    }
+  }
+
+  for (const link of templateLinks) {
+    const template = templates.get(link.templateId);
+    if (!template) {
+      throw new Error(`Template link '${link.newId}' names unknown template '${link.templateId}'`);
+    }
+    if (ids.has(link.newId) || templates.has(link.newId)) {
+      throw new Error(`Template link id '${link.newId}' is already used by a policy`);
+    }
+    ids.add(link.newId);
+
+    const given = Object.keys(link.values);
+    const missing = template.slots.filter(slot => !given.includes(slot));
+    const extra = given.filter(slot => !template.slots.includes(slot));
+    if (missing.length > 0 || extra.length > 0) {
+      throw new Error(`Template link '${link.newId}' must fill ${template.slots.join(' and ')} of '${link.templateId}'`
+        + (extra.length > 0 ? ` (got ${extra.join(', ')})` : ''));
+    }
+    for (const slot of given) {
+      const uid = link.values[slot]?.__entity || link.values[slot];
+      if (typeof uid?.type !== 'string' || typeof uid.id !== 'string') {
+        throw new Error(`Template link '${link.newId}': ${slot} must be an entity UID ({ "type", "id" })`);
+      }
+    }
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Residual Cache
+ *
+ * Caches partial evaluation results (residual documents, or the filters
+ * compiled from them) so a query does not re-run TPE for every question.
+ *
+ * An entry lives in a slot named by what the request asks: the kind of
+ * value, principal, action, resource type, context hash and engine. It is
+ * stamped with a fingerprint of what the answer was computed from: the
+ * policy set, the schema and the principal's entity slice (its attributes,
+ * ancestors and referenced entities). A lookup whose fingerprint differs
+ * finds the entry stale, drops it and misses, so editing a policy or a
+ * user's teams invalidates exactly the entries that depended on them.
+ *
+ * Stores hold entries by slot key and have the same shape:
+ *
+ *   {
+ *     name,               // description for log output
+ *     get(key),           // Promise<Object|undefined>
+ *     set(key, entry),    // Promise<void>
+ *     delete(key),        // Promise<void>
+ *     clear(),            // Promise<void>
+ *     close()             // Promise<void>; writes pending changes
+ *   }
+ *
+ * Implementations:
+ * - memory: a Map, least recently used entries evicted past maxEntries
+ * - file:   a JSON file, read on open and written on flush/close
+ */
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { ensureDir } from './util.js';
+import { formatEntityUid } from './entity-store.js';
+import { canonicalJson, hashContent, hashPolicySet } from './residual-format.js';
+
+const CACHE_FILE_FORMAT = 'cedar-rag-residual-cache';
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * Open a cache store
+ *
+ * @param {string|null} location - 'memory' (or null) for an in-memory store, otherwise a file path
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Memory store capacity (default: 10000)
+ * @returns {Object} Cache store
+ */
+export function openCacheStore(location, options = {}) {
+  if (!location || location === 'memory') {
+    return createMemoryCacheStore(options);
+  }
+  return createFileCacheStore(location);
+}
+
+/**
+ * In-memory cache store
+ *
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted (default: 10000)
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore(options = {}) {
+  const { maxEntries = 10000 } = options;
+  const entries = new Map();
+
+  return {
+    name: `memory (up to ${maxEntries} entries)`,
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry !== undefined) {
+        // Re-insert so Map order is least recently used first
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    async close() {}
+  };
+}
+
+/**
+ * Cache store backed by a local JSON file
+ *
+ * The file is read when the store is created and rewritten (via a temporary
+ * file and rename) by flush() and close() when anything changed, so a batch
+ * of lookups costs one write.
+ *
+ * @param {string} filePath - Path to the cache file
+ * @returns {Object} Cache store, with an extra flush()
+ */
+export function createFileCacheStore(filePath) {
+  let entries = new Map();
+  if (existsSync(filePath)) {
+    const content = JSON.parse(readFileSync(filePath, 'utf-8'));
+    if (content.format !== CACHE_FILE_FORMAT) {
+      throw new Error(`${filePath} is not a residual cache file`);
+    }
+    // A cache written by a newer version is discarded rather than misread
+    if (content.version === CACHE_FILE_VERSION) {
+      entries = new Map(Object.entries(content.entries || {}));
+    }
+  }
+  let dirty = false;
+
+  const flush = async () => {
+    if (!dirty) {
+      return;
+    }
+    ensureDir(dirname(filePath));
+    const tmpPath = `${filePath}.tmp`;
+    const content = { format: CACHE_FILE_FORMAT, version: CACHE_FILE_VERSION, entries: Object.fromEntries(entries) };
+    writeFileSync(tmpPath, JSON.stringify(content), 'utf-8');
+    renameSync(tmpPath, filePath);
+    dirty = false;
+  };
+
+  return {
+    name: `file ${filePath} (${entries.size} entries)`,
+    async get(key) {
+      return entries.get(key);
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+      dirty = true;
+    },
+    async delete(key) {
+      dirty = entries.delete(key) || dirty;
+    },
+    async clear() {
+      dirty = dirty || entries.size > 0;
+      entries.clear();
+    },
+    flush,
+    close: flush
+  };
+}
+
+/**
+ * Compute the slot key and fingerprint of a request
+ *
+ * @param {Object} request - Cached request
+ * @param {string} request.kind - What is cached, e.g. 'residual' or 'filter:opensearch' (default: 'residual')
+ * @param {string} request.principal - Principal UID
+ * @param {string} request.action - Action UID
+ * @param {string} request.resourceType - Resource entity type
+ * @param {Object|null} request.context - Request context (Cedar JSON), null when left unknown
+ * @param {string} request.engine - Partial evaluation engine
+ * @param {string} request.policiesText - Policy set text
+ * @param {Object[]} request.templateLinks - Template links (optional)
+ * @param {string} request.schemaText - Cedar schema text
+ * @param {Object[]} request.entities - The principal's entity slice
+ * @returns {{key: string, fingerprint: string, inputs: Object}} Slot key, fingerprint and the hashes behind it
+ */
+export function residualCacheKey(request) {
+  const contextHash = request.context === null ? null : hashContent(canonicalJson(request.context || {}));
+  const key = JSON.stringify([
+    request.kind || 'residual',
+    request.principal,
+    request.action,
+    request.resourceType,
+    contextHash,
+    request.engine || 'auto'
+  ]);
+
+  // Order the slice by UID so the same entities hash the same however they were loaded
+  const entities = [...(request.entities || [])]
+    .map(entity => [formatEntityUid(entity.uid), entity])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, entity]) => entity);
+  const inputs = {
+    policySetHash: hashPolicySet(request.policiesText || '', request.templateLinks),
+    schemaHash: hashContent(request.schemaText || ''),
+    entitiesHash: hashContent(canonicalJson(entities))
+  };
+
+  return { key, fingerprint: hashContent(canonicalJson(inputs)), inputs };
+}
+
+/**
+ * Create a residual cache over a store
+ *
+ * @param {Object} store - Cache store (see openCacheStore)
+ * @returns {Object} Cache with get, set, getOrCompute, invalidate, stats and close
+ */
+export function createResidualCache(store) {
+  const counters = { hits: 0, misses: 0, stale: 0, writes: 0 };
+
+  const lookup = async request => {
+    const { key, fingerprint } = residualCacheKey(request);
+    const entry = await store.get(key);
+    if (entry && entry.fingerprint === fingerprint) {
+      counters.hits++;
+      return { hit: true, value: entry.value };
+    }
+    if (entry) {
+      counters.stale++;
+      await store.delete(key);
+    }
+    counters.misses++;
+    return { hit: false, value: undefined };
+  };
+
+  const set = async (request, value) => {
+    const { key, fingerprint, inputs } = residualCacheKey(request);
+    await store.set(key, { fingerprint, inputs, value, storedAt: new Date().toISOString() });
+    counters.writes++;
+  };
+
+  return {
+    store,
+
+    /**
+     * Cached value for a request, or undefined when missing or stale
+     */
+    async get(request) {
+      return (await lookup(request)).value;
+    },
+
+    set,
+
+    /**
+     * Cached value for a request, computing and storing it on a miss
+     *
+     * @returns {Promise<{value: *, hit: boolean}>}
+     */
+    async getOrCompute(request, compute) {
+      const cached = await lookup(request);
+      if (cached.hit) {
+        return cached;
+      }
+      const value = await compute();
+      await set(request, value);
+      return { value, hit: false };
+    },
+
+    /**
+     * Drop the entry for a request whatever its fingerprint
+     */
+    async invalidate(request) {
+      await store.delete(residualCacheKey(request).key);
+    },
+
+    /**
+     * Hit/miss counters since the cache was created; stale lookups also count as misses
+     */
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return { ...counters, lookups, hitRate: lookups === 0 ? 0 : counters.hits / lookups };
+    },
+
+    close() {
+      return store.close();
+    }
+  };
+}
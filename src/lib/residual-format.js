@@ -0,0 +1,219 @@
+/**
+ * Residual Document Format
+ *
+ * partial-eval.js writes residuals as a versioned JSON document so that
+ * downstream tools read the residual conditions as data instead of parsing
+ * Cedar text:
+ *
+ *   {
+ *     "format": "cedar-rag-residual",
+ *     "version": 1,
+ *     "decision": "ALLOW" | "DENY" | "UNKNOWN",
+ *     "principal": "Platform::Customer::\"kate\"",
+ *     "action": "Platform::Action::\"view\"",
+ *     "resourceType": "Platform::Chunk",
+ *     "inputs": {
+ *       "principal", "action", "resourceType",
+ *       "contextHash": "sha256:...",       // of the canonical context JSON; null when the
+ *                                          // context was left unknown
+ *       "policySetHash": "sha256:...",     // of the policy set text and template links
+ *       "engine": "wasm" | "js" | "cli"
+ *     },
+ *     "residuals": [{
+ *       "id": "tenant-scope",
+ *       "effect": "permit" | "forbid",
+ *       "annotations": { "id": "tenant-scope" },
+ *       "condition": { ... },              // Cedar JSON (EST) expression
+ *       "conditionText": "...",            // the same condition in Cedar syntax, for display
+ *       "template": {                      // only for template-linked policies, whose id
+ *         "id": "doc-share",               // is the link's newId
+ *         "values": { "?principal": "Platform::Customer::\"jack\"", ... }
+ *       }
+ *     }],
+ *     "errors": [{ "policyId", "message" }],
+ *     "evaluatedAt": "2025-01-01T00:00:00.000Z"
+ *   }
+ *
+ * A policy's residual condition is what must hold of the resource for the
+ * policy to apply: `true` when it applies to every resource, `false` when it
+ * applies to none. Readers must reject versions newer than they know.
+ *
+ * A batch run writes one residual document per principal and action and an
+ * index of them (format "cedar-rag-residual-index") listing each pair's file
+ * and decision, the shared input hashes, and the pairs that failed.
+ */
+
+import { createHash } from 'crypto';
+import { toCedarText } from '../compile/cedar-parser.js';
+import { astToEst, estToAst } from '../compile/cedar-est.js';
+
+export const RESIDUAL_FORMAT = 'cedar-rag-residual';
+export const RESIDUAL_FORMAT_VERSION = 1;
+export const RESIDUAL_INDEX_FORMAT = 'cedar-rag-residual-index';
+
+/**
+ * Build a residual document
+ *
+ * @param {Object} result - Partial evaluation request and result
+ * @param {string} result.principal - Principal UID
+ * @param {string} result.action - Action UID
+ * @param {string} result.resourceType - Resource entity type
+ * @param {Object|null} result.context - Request context (Cedar JSON), null when left unknown
+ * @param {string} result.policiesText - Policy set text
+ * @param {Object[]} result.templateLinks - Template links (optional)
+ * @param {string} result.engine - Engine that produced the result
+ * @param {string} result.decision - 'ALLOW', 'DENY' or 'UNKNOWN'
+ * @param {Object[]} result.policies - Per-policy { id, effect, annotations, condition (AST), template? }
+ * @param {Object[]} result.errors - Policies that errored ({ policyId, message })
+ * @returns {Object} Residual document
+ */
+export function createResidualDocument(result) {
+  return {
+    format: RESIDUAL_FORMAT,
+    version: RESIDUAL_FORMAT_VERSION,
+    decision: result.decision,
+    principal: result.principal,
+    action: result.action,
+    resourceType: result.resourceType,
+    inputs: {
+      principal: result.principal,
+      action: result.action,
+      resourceType: result.resourceType,
+      contextHash: result.context === null ? null : hashContent(canonicalJson(result.context || {})),
+      policySetHash: hashPolicySet(result.policiesText, result.templateLinks),
+      engine: result.engine
+    },
+    residuals: result.policies.map(policy => ({
+      id: policy.id,
+      effect: policy.effect,
+      annotations: policy.annotations || {},
+      condition: astToEst(policy.condition),
+      conditionText: toCedarText(policy.condition),
+      ...(policy.template ? { template: policy.template } : {})
+    })),
+    errors: result.errors || [],
+    evaluatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Build the index of a batch of residual documents
+ *
+ * @param {Object} batch - Batch run
+ * @param {string} batch.resourceType - Resource entity type
+ * @param {Object|null} batch.context - Request context shared by every pair, null when left unknown
+ * @param {string} batch.policiesText - Policy set text
+ * @param {Object[]} batch.templateLinks - Template links (optional)
+ * @param {string} batch.engine - Engine requested for the batch
+ * @param {Array<{principal: string, action: string, file: string, residual: Object}>} batch.entries - Written residuals
+ * @param {Array<{principal: string, action: string, error: string}>} batch.failures - Pairs that failed
+ * @returns {Object} Residual index document
+ */
+export function createResidualIndex(batch) {
+  const decisions = { ALLOW: 0, DENY: 0, UNKNOWN: 0 };
+  for (const entry of batch.entries) {
+    decisions[entry.residual.decision] = (decisions[entry.residual.decision] || 0) + 1;
+  }
+
+  return {
+    format: RESIDUAL_INDEX_FORMAT,
+    version: RESIDUAL_FORMAT_VERSION,
+    resourceType: batch.resourceType,
+    inputs: {
+      contextHash: batch.context === null ? null : hashContent(canonicalJson(batch.context || {})),
+      policySetHash: hashPolicySet(batch.policiesText, batch.templateLinks),
+      engine: batch.engine
+    },
+    summary: {
+      pairs: batch.entries.length + batch.failures.length,
+      failed: batch.failures.length,
+      decisions
+    },
+    residuals: batch.entries.map(entry => ({
+      principal: entry.principal,
+      action: entry.action,
+      file: entry.file,
+      decision: entry.residual.decision,
+      residualPolicies: entry.residual.residuals.length,
+      errors: entry.residual.errors.length
+    })),
+    failures: batch.failures,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a value is a residual document
+ *
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True when the value declares the residual format
+ */
+export function isResidualDocument(value) {
+  return Boolean(value && typeof value === 'object' && value.format === RESIDUAL_FORMAT);
+}
+
+/**
+ * Read the per-policy conditions of a residual document
+ *
+ * A forbid that errored during evaluation has the condition `false` but
+ * might apply to the resource, so its condition carries the error: the
+ * compilers treat it as untranslatable and fail closed.
+ *
+ * @param {Object} document - Residual document
+ * @returns {Array<{expr: Object, type: string, id: string, error?: string}>} Condition AST, effect and id
+ *   per policy, and the error of an errored forbid
+ * @throws {Error} If the document's version is not supported
+ */
+export function residualDocumentConditions(document) {
+  if (!Number.isInteger(document.version) || document.version > RESIDUAL_FORMAT_VERSION) {
+    throw new Error(`Unsupported residual format version ${document.version} (this tool reads up to ${RESIDUAL_FORMAT_VERSION})`);
+  }
+  const errors = new Map((document.errors || []).map(error => [error.policyId, error.message]));
+  return (document.residuals || []).map(residual => ({
+    expr: estToAst(residual.condition),
+    type: residual.effect,
+    id: residual.id,
+    ...(residual.effect === 'forbid' && errors.has(residual.id) ? { error: errors.get(residual.id) } : {})
+  }));
+}
+
+/**
+ * SHA-256 of a string, as "sha256:<hex>"
+ *
+ * @param {string} content - Content to hash
+ * @returns {string} Hash
+ */
+export function hashContent(content) {
+  return `sha256:${createHash('sha256').update(content, 'utf-8').digest('hex')}`;
+}
+
+/**
+ * Hash of a policy set: its text, and its template links when it has any
+ *
+ * @param {string} policiesText - Policy set text
+ * @param {Object[]} templateLinks - Template links
+ * @returns {string} Hash
+ */
+export function hashPolicySet(policiesText, templateLinks = []) {
+  if (!templateLinks || templateLinks.length === 0) {
+    return hashContent(policiesText);
+  }
+  return hashContent(`${policiesText}\n${canonicalJson(templateLinks)}`);
+}
+
+/**
+ * JSON with object keys sorted, so equal values hash the same
+ *
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON text
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
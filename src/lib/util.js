@@ -68,6 +68,20 @@ export function ensureDir(dirPath) {
   }
 }
 
+/**
+ * Read a request context file
+ * 
+ * The file holds either the context object itself or a request (as in
+ * examples/requests) whose \`context\` is used.
+ * 
+ * @param {string} filePath - Path to JSON file
+ * @returns {Object} Context (Cedar JSON record)
+ */
+export function readRequestContext(filePath) {
+  const value = readJson(filePath);
+  return value.principal !== undefined && value.context !== undefined ? value.context : value;
+}
+
 /**
  * Extract entity ID from Cedar entity reference
  * 
@@ -0,0 +1,361 @@
+/**
+ * Partial Evaluation Engines
+ *
+ * Runs type-aware partial evaluation for a request with a known principal,
+ * action and context and a symbolic resource of a given type, and returns
+ * the residual as a versioned JSON document (see lib/residual-format.js).
+ *
+ * Three engines produce it:
+ * - wasm: @cedar-policy/cedar-wasm's isAuthorizedPartial, in process
+ * - js:   the JavaScript evaluator in evaluator.js, in process
+ * - cli:  the `cedar tpe` command (a Cedar CLI built with --features tpe)
+ *
+ * 'auto' uses wasm when the installed cedar-wasm exposes partial evaluation
+ * and js otherwise, so no Rust toolchain is needed. A request whose context
+ * is null leaves `context` unknown, which only the js engine supports; the
+ * residual then keeps its context conditions for the compiler to bind
+ * (residual-to-filter.js --context). Each engine yields the
+ * decision and, per policy, its id, effect, annotations and residual
+ * condition AST.
+ *
+ * Template links (see lib/policy-set.js) are evaluated as policies named by
+ * their newId: wasm is given the templates and links, js and cli the linked
+ * policies as static text. Residuals of linked policies record their template.
+ */
+
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { spawnSync } from 'child_process';
+import * as cedar from '@cedar-policy/cedar-wasm/nodejs';
+import { parseExpression, parsePolicies, policyCondition } from '../compile/cedar-parser.js';
+import { estPolicyToAst } from '../compile/cedar-est.js';
+import { buildEntityStore, EvaluationError, jsonToAst, partiallyEvaluate } from './evaluator.js';
+import { formatEntityUid } from '../lib/entity-store.js';
+import { createResidualDocument } from '../lib/residual-format.js';
+import { linkPolicySetText, templateLinkIndex, toCedarPolicySet } from '../lib/policy-set.js';
+
+export const ENGINES = ['auto', 'wasm', 'js', 'cli'];
+
+const WASM_DECISIONS = { allow: 'ALLOW', deny: 'DENY' };
+
+// Last policy set parsed, so a batch of requests parses the policies once
+let parsedPolicySet = { text: null, templateLinks: null };
+
+/**
+ * Partially evaluate a policy set for one principal and action
+ *
+ * @param {Object} request - Evaluation request
+ * @param {string} request.principal - Principal UID (e.g. 'Platform::Customer::"kate"')
+ * @param {string} request.action - Action UID (e.g. 'Platform::Action::"view"')
+ * @param {string} request.resourceType - Resource entity type (e.g. 'Platform::Chunk')
+ * @param {Object|null} request.context - Request context (Cedar JSON), or null to leave it unknown
+ * @param {string} request.schemaText - Cedar schema text
+ * @param {string} request.policiesText - Cedar policy set text (static policies and templates)
+ * @param {Object[]} request.templateLinks - Template links (optional)
+ * @param {Object[]} request.entities - Entities (Cedar JSON)
+ * @param {Object} options - Options
+ * @param {string} options.engine - 'auto' (default), 'wasm', 'js' or 'cli'
+ * @param {string} options.tmpDir - Scratch directory for the cli engine
+ * @returns {{residual: Object, engine: string, errors: Array<{policyId: string, message: string}>}}
+ *   Residual document, the engine that produced it, and policies that errored
+ */
+export function partiallyEvaluatePolicies(request, options = {}) {
+  const deferContext = request.context === null;
+  const engine = options.engine === 'auto' || !options.engine
+    ? (typeof cedar.isAuthorizedPartial === 'function' && !deferContext ? 'wasm' : 'js')
+    : options.engine;
+
+  if (deferContext && engine !== 'js') {
+    throw new Error(`The ${engine} engine needs a known context; only the js engine can leave it unknown`);
+  }
+
+  let result;
+  switch (engine) {
+    case 'wasm':
+      result = evaluateWithWasm(request);
+      break;
+    case 'js':
+      result = evaluateWithJs(request);
+      break;
+    case 'cli':
+      result = evaluateWithCli(request, options);
+      break;
+    default:
+      throw new Error(`Unknown engine '${engine}' (expected ${ENGINES.join(', ')})`);
+  }
+
+  const links = templateLinkIndex(request.templateLinks);
+  const policies = result.policies.map(policy =>
+    (links.has(policy.id) ? { ...policy, template: links.get(policy.id) } : policy));
+
+  return {
+    residual: createResidualDocument({ ...request, ...result, policies, engine }),
+    engine,
+    errors: result.errors
+  };
+}
+
+/**
+ * Partial evaluation with cedar-wasm's isAuthorizedPartial
+ *
+ * The resource is passed as unknown. cedar-wasm only returns residuals for
+ * policies that may still apply and names them policy0, policy1, ... in
+ * policy set order (template links by their newId), so every other policy
+ * is reported as `false` to match the CLI, which lists them all.
+ */
+function evaluateWithWasm(request) {
+  const { policies, cedarPolicySet, staticCount } = parsePolicySet(request.policiesText, request.templateLinks);
+  const answer = cedar.isAuthorizedPartial({
+    principal: parseUid(request.principal),
+    action: parseUid(request.action),
+    resource: null,
+    context: request.context || {},
+    schema: request.schemaText,
+    policies: cedarPolicySet,
+    entities: request.entities
+  });
+
+  if (answer.type === 'failure') {
+    throw new Error(`Partial evaluation failed: ${answer.errors.map(error => error.message).join('; ')}`);
+  }
+
+  const { decision, residuals, errored } = answer.response;
+  const errors = [];
+  const residualPolicies = policies.map((policy, index) => {
+    const wasmId = index < staticCount ? `policy${index}` : policy.id;
+    const id = policy.id ?? wasmId;
+    if (errored.includes(wasmId)) {
+      errors.push({ policyId: id, message: 'evaluation error' });
+    }
+    const condition = residuals[wasmId]
+      ? policyCondition(estPolicyToAst(residuals[wasmId], wasmId))
+      : { op: 'value', value: false };
+    return { id, effect: policy.effect, annotations: policy.annotations || {}, condition };
+  });
+
+  return {
+    decision: WASM_DECISIONS[decision] ?? 'UNKNOWN',
+    policies: residualPolicies,
+    errors
+  };
+}
+
+/**
+ * Partial evaluation with the JavaScript evaluator
+ */
+function evaluateWithJs(request) {
+  const env = {
+    principal: parseUid(request.principal, true),
+    action: parseUid(request.action, true),
+    context: request.context === null ? { op: 'var', name: 'context' } : jsonToAst(request.context || {}),
+    entities: buildEntityStore(request.entities),
+    resourceType: request.resourceType
+  };
+
+  const errors = [];
+  const evaluated = parsePolicySet(request.policiesText, request.templateLinks).policies.map((policy, index) => {
+    const id = policy.id ?? `policy${index}`;
+    let condition;
+    try {
+      condition = partiallyEvaluate(policyCondition(policy), env);
+    } catch (error) {
+      if (!(error instanceof EvaluationError)) {
+        throw error;
+      }
+      // A policy whose condition errors does not apply
+      errors.push({ policyId: id, message: error.message });
+      condition = { op: 'value', value: false };
+    }
+    return { id, effect: policy.effect, annotations: policy.annotations || {}, condition };
+  });
+
+  return {
+    decision: decide(evaluated),
+    policies: evaluated,
+    errors
+  };
+}
+
+/**
+ * Link and parse a policy set, reusing the previous result when the text and
+ * links are unchanged
+ *
+ * `policies` are the static policies in order followed by one per link;
+ * `staticCount` says where the links start.
+ */
+function parsePolicySet(policiesText, templateLinks = []) {
+  if (parsedPolicySet.text !== policiesText || parsedPolicySet.templateLinks !== templateLinks) {
+    const linkedText = linkPolicySetText(policiesText, templateLinks);
+    const policies = parsePolicies(linkedText);
+    parsedPolicySet = {
+      text: policiesText,
+      templateLinks,
+      linkedText,
+      policies,
+      staticCount: policies.length - (linkedText === policiesText ? 0 : templateLinks.length),
+      cedarPolicySet: toCedarPolicySet(policiesText, templateLinks)
+    };
+  }
+  return parsedPolicySet;
+}
+
+/**
+ * Decide a request from its residual conditions, as the CLI does
+ *
+ * DENY when a forbid holds or no permit can hold, ALLOW when a permit holds
+ * and no forbid can, UNKNOWN when the answer depends on the resource.
+ */
+function decide(evaluated) {
+  const isConstant = (condition, value) => condition.op === 'value' && condition.value === value;
+  const forbids = evaluated.filter(policy => policy.effect === 'forbid');
+  const permits = evaluated.filter(policy => policy.effect === 'permit');
+
+  if (forbids.some(policy => isConstant(policy.condition, true))) {
+    return 'DENY';
+  }
+  if (permits.every(policy => isConstant(policy.condition, false))) {
+    return 'DENY';
+  }
+  if (forbids.every(policy => isConstant(policy.condition, false))
+    && permits.some(policy => isConstant(policy.condition, true))) {
+    return 'ALLOW';
+  }
+  return 'UNKNOWN';
+}
+
+/**
+ * Partial evaluation with the Cedar CLI (`cedar tpe`)
+ */
+function evaluateWithCli(request, options) {
+  const principal = parseUid(request.principal);
+  const tmpDir = options.tmpDir || resolve(process.cwd(), '.tmp');
+  mkdirSync(tmpDir, { recursive: true });
+
+  const tmpSchema = resolve(tmpDir, 'schema.cedarschema');
+  const tmpPolicies = resolve(tmpDir, 'policies.cedar');
+  const tmpEntities = resolve(tmpDir, 'entities.json');
+  const tmpContext = resolve(tmpDir, 'context.json');
+
+  try {
+    writeFileSync(tmpSchema, request.schemaText, 'utf-8');
+    writeFileSync(tmpPolicies, parsePolicySet(request.policiesText, request.templateLinks).linkedText, 'utf-8');
+    writeFileSync(tmpEntities, JSON.stringify(request.entities, null, 2), 'utf-8');
+    writeFileSync(tmpContext, JSON.stringify(request.context || {}, null, 2), 'utf-8');
+
+    // Use spawnSync so the quoted action UID is passed as a single argument
+    const result = spawnSync(
+      'cedar',
+      [
+        'tpe',
+        '--schema', tmpSchema,
+        '--entities', tmpEntities,
+        '--principal-type', principal.type,
+        '--principal-eid', principal.id,
+        '--action', request.action,
+        '--resource-type', request.resourceType,
+        '--policies', tmpPolicies,
+        '--context', tmpContext,
+        '--error-format', 'human'
+      ],
+      {
+        encoding: 'utf-8',
+        maxBuffer: 10 * 1024 * 1024
+      }
+    );
+
+    if (result.error) {
+      throw new Error(`Cedar CLI not available (${result.error.message}). Build it with: cargo build --release --bin cedar --features tpe`);
+    }
+    if (result.status !== 0) {
+      const errorMsg = result.stderr || result.stdout || 'Unknown error';
+      throw new Error(`Cedar CLI exited with status ${result.status}: ${errorMsg}`);
+    }
+
+    return { ...parseCliOutput(result.stdout), errors: [] };
+  } finally {
+    rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Parse `cedar tpe` output: the decision (ALLOW/DENY/UNKNOWN) followed by
+ * the residual policies in Cedar syntax
+ */
+function parseCliOutput(cliOutput) {
+  const lines = cliOutput.split('\n');
+  const decision = lines.find(line => line.match(/^(ALLOW|DENY|UNKNOWN)$/)) || 'UNKNOWN';
+  const firstPolicy = lines.findIndex(line => /^(@|permit\s*\(|forbid\s*\()/.test(line.trim()));
+  const policyText = firstPolicy === -1 ? '' : lines.slice(firstPolicy).join('\n');
+
+  const policies = parsePolicies(policyText).map((policy, index) => ({
+    id: policy.id ?? `policy${index}`,
+    effect: policy.effect,
+    annotations: policy.annotations || {},
+    condition: policyCondition(policy)
+  }));
+
+  return { decision, policies };
+}
+
+/**
+ * Parse an entity UID string (Platform::Customer::"kate")
+ *
+ * @param {string} uid - Entity UID in Cedar syntax
+ * @param {boolean} asAst - Return the AST node instead of { type, id }
+ * @returns {{type: string, id: string}} Entity type and id
+ */
+export function parseUid(uid, asAst = false) {
+  let node;
+  try {
+    node = parseExpression(uid);
+  } catch {
+    node = null;
+  }
+  if (node?.op !== 'entity') {
+    throw new Error(`Invalid entity UID: ${uid} (expected e.g. Platform::Customer::"kate")`);
+  }
+  return asAst ? node : { type: node.type, id: node.id };
+}
+
+/**
+ * The entities a policy set names as literals
+ *
+ * A policy can read these without reaching them from the principal (e.g.
+ * `Platform::Folder::"hr".tenant`), so partial evaluation loads them along
+ * with the principal's slice. Template links add the entities they fill
+ * their slots with.
+ *
+ * @param {string} policiesText - Cedar policy set text
+ * @param {Object[]} templateLinks - Template links
+ * @returns {string[]} UID strings, each once
+ */
+export function policyEntityReferences(policiesText, templateLinks = []) {
+  const uids = new Set(expressionEntityReferences(parsePolicies(policiesText).map(policyCondition)));
+  for (const link of templateLinks) {
+    for (const uid of Object.values(link.values)) {
+      uids.add(formatEntityUid(uid));
+    }
+  }
+  return [...uids];
+}
+
+/**
+ * The entities an expression names as literals
+ *
+ * @param {Object|Object[]} expr - Expression AST, or several
+ * @returns {string[]} UID strings, each once
+ */
+export function expressionEntityReferences(expr) {
+  const uids = new Set();
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node?.op === 'entity') {
+      uids.add(formatEntityUid(node));
+    } else if (node && typeof node === 'object') {
+      Object.values(node).forEach(visit);
+    }
+  };
+  visit(expr);
+  return [...uids];
+}
@@ -0,0 +1,658 @@
+/**
+ * JavaScript Partial Evaluator
+ *
+ * Evaluates parsed Cedar policies (see compile/cedar-parser.js) with the
+ * principal, action, context and entity store known and `resource` left
+ * symbolic. Each policy condition is reduced to a residual expression AST:
+ * every subexpression that does not depend on the resource is replaced by
+ * its value, and what remains is the part a retrieval filter has to check.
+ *
+ * Known values are themselves AST literals (value, entity, set, record and
+ * extension constructor calls), so evaluation is a fold over the AST that
+ * stops wherever `resource` is reached.
+ *
+ * Errors follow Cedar: a policy whose condition errors (a missing
+ * attribute, a type mismatch, an overflow) does not apply. An error that is
+ * only reached when a resource-dependent guard holds (`resource.x && ...`)
+ * cannot be raised yet, so it is left in the residual as `error()`.
+ */
+
+import { cannotError } from '../compile/simplify.js';
+
+const TRUE = { op: 'value', value: true };
+const FALSE = { op: 'value', value: false };
+
+const LONG_MIN = -(2n ** 63n);
+const LONG_MAX = 2n ** 63n - 1n;
+
+// Extension constructors whose calls on literal arguments are values
+const EXTENSION_CONSTRUCTORS = new Set(['ip', 'decimal', 'datetime', 'duration']);
+
+const DURATION_UNITS = { d: 86400000, h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+/**
+ * Raised when a known part of a policy fails to evaluate
+ */
+export class EvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EvaluationError';
+  }
+}
+
+/**
+ * Index entities (Cedar JSON entity format) by UID
+ *
+ * @param {Object[]} entities - Entities ({ uid, attrs, parents, tags })
+ * @returns {Map<string, {attrs: Object, parents: string[], tags: Object}>} Entity store keyed by UID string
+ */
+export function buildEntityStore(entities) {
+  const store = new Map();
+  for (const entity of entities) {
+    const uid = uidKey(jsonToAst(entity.uid, true));
+    store.set(uid, {
+      attrs: mapValues(entity.attrs || {}, value => jsonToAst(value)),
+      parents: (entity.parents || []).map(parent => uidKey(jsonToAst(parent, true))),
+      tags: mapValues(entity.tags || {}, value => jsonToAst(value))
+    });
+  }
+  return store;
+}
+
+/**
+ * Convert a Cedar JSON value (entity attribute or context) into an AST literal
+ *
+ * Entity references may be written as { __entity: { type, id } } or, as the
+ * schema allows, as a plain { type, id } object.
+ *
+ * @param {*} value - Cedar JSON value
+ * @param {boolean} isEntity - Treat a { type, id } object as an entity reference
+ * @returns {Object} AST literal
+ */
+export function jsonToAst(value, isEntity = false) {
+  if (value === null || value === undefined) {
+    throw new EvaluationError('Cedar values cannot be null');
+  }
+  if (Array.isArray(value)) {
+    return { op: 'set', elements: value.map(element => jsonToAst(element)) };
+  }
+  if (typeof value === 'object') {
+    if (value.__entity) {
+      return { op: 'entity', type: value.__entity.type, id: value.__entity.id };
+    }
+    if (value.__extn) {
+      const args = value.__extn.args ?? [value.__extn.arg];
+      return { op: 'call', fn: value.__extn.fn, args: args.map(arg => jsonToAst(arg)) };
+    }
+    const keys = Object.keys(value);
+    if (isEntity || (keys.length === 2 && typeof value.type === 'string' && typeof value.id === 'string')) {
+      return { op: 'entity', type: value.type, id: value.id };
+    }
+    return { op: 'record', attrs: mapValues(value, attr => jsonToAst(attr)) };
+  }
+  return { op: 'value', value };
+}
+
+/**
+ * Partially evaluate one expression
+ *
+ * @param {Object} expr - Expression AST
+ * @param {Object} env - Evaluation environment
+ * @param {Object} env.principal - Principal entity AST
+ * @param {Object} env.action - Action entity AST
+ * @param {Object} env.context - Context record AST
+ * @param {Map} env.entities - Entity store from buildEntityStore
+ * @param {string} env.resourceType - Resource entity type, used to decide `resource is T`
+ * @returns {Object} Residual expression AST (a literal when fully known)
+ * @throws {EvaluationError} When a known part of the expression fails
+ */
+export function partiallyEvaluate(expr, env) {
+  switch (expr.op) {
+    case 'value':
+    case 'entity':
+      return expr;
+
+    case 'var':
+      switch (expr.name) {
+        case 'principal': return env.principal;
+        case 'action': return env.action;
+        case 'context': return env.context;
+        default: return expr;
+      }
+
+    case 'slot':
+      throw new EvaluationError(`Slot ${expr.name} is not linked`);
+
+    case '&&':
+    case '||':
+      return evaluateJunction(expr, env);
+
+    case '!': {
+      const arg = partiallyEvaluate(expr.arg, env);
+      return isLiteral(arg) ? bool(!asBoolean(arg)) : { op: '!', arg };
+    }
+
+    case 'neg': {
+      const arg = partiallyEvaluate(expr.arg, env);
+      return isLiteral(arg) ? long(-BigInt(asLong(arg))) : { op: 'neg', arg };
+    }
+
+    case 'if-then-else': {
+      const condition = partiallyEvaluate(expr.if, env);
+      if (isLiteral(condition)) {
+        return partiallyEvaluate(asBoolean(condition) ? expr.then : expr.else, env);
+      }
+      return {
+        op: 'if-then-else',
+        if: condition,
+        then: guarded(expr.then, env),
+        else: guarded(expr.else, env)
+      };
+    }
+
+    case 'set':
+      return { op: 'set', elements: expr.elements.map(element => partiallyEvaluate(element, env)) };
+
+    case 'record':
+      return { op: 'record', attrs: mapValues(expr.attrs, attr => partiallyEvaluate(attr, env)) };
+
+    case '.': {
+      const left = partiallyEvaluate(expr.left, env);
+      if (!isLiteral(left)) {
+        return { op: '.', left, attr: expr.attr };
+      }
+      const attrs = attributesOf(left, env);
+      if (!Object.hasOwn(attrs, expr.attr)) {
+        throw new EvaluationError(`${describe(left)} does not have the attribute \`${expr.attr}\``);
+      }
+      return attrs[expr.attr];
+    }
+
+    case 'has': {
+      const left = partiallyEvaluate(expr.left, env);
+      if (!isLiteral(left)) {
+        return { op: 'has', left, attr: expr.attr };
+      }
+      if (left.op === 'entity' && !env.entities.has(uidKey(left))) {
+        return FALSE;
+      }
+      return bool(Object.hasOwn(attributesOf(left, env), expr.attr));
+    }
+
+    case 'is': {
+      const left = partiallyEvaluate(expr.left, env);
+      const ancestor = expr.in && partiallyEvaluate(expr.in, env);
+      if (isResource(left) && env.resourceType) {
+        // The resource type is fixed by the request, as in type-aware partial evaluation
+        if (expr.entityType !== env.resourceType) {
+          return FALSE;
+        }
+        return ancestor ? { op: 'in', left, right: ancestor } : TRUE;
+      }
+      if (isLiteral(left) && (!ancestor || isLiteral(ancestor))) {
+        const typeMatches = asEntity(left).type === expr.entityType;
+        return typeMatches && ancestor ? evaluateIn(left, ancestor, env) : bool(typeMatches);
+      }
+      return ancestor
+        ? { op: 'is', left, entityType: expr.entityType, in: ancestor }
+        : { op: 'is', left, entityType: expr.entityType };
+    }
+
+    case 'in': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (isLiteral(left) && isLiteral(right)) {
+        return evaluateIn(left, right, env);
+      }
+      return { op: 'in', left, right };
+    }
+
+    case '==':
+    case '!=': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (isLiteral(left) && isLiteral(right)) {
+        const equal = canonical(left) === canonical(right);
+        return bool(expr.op === '==' ? equal : !equal);
+      }
+      return { op: expr.op, left, right };
+    }
+
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (isLiteral(left) && isLiteral(right)) {
+        return bool(compare(expr.op, orderable(left), orderable(right)));
+      }
+      return { op: expr.op, left, right };
+    }
+
+    case '+':
+    case '-':
+    case '*': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (isLiteral(left) && isLiteral(right)) {
+        const [a, b] = [BigInt(asLong(left)), BigInt(asLong(right))];
+        return long(expr.op === '+' ? a + b : expr.op === '-' ? a - b : a * b);
+      }
+      return { op: expr.op, left, right };
+    }
+
+    case 'contains':
+    case 'containsAll':
+    case 'containsAny': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (isLiteral(left) && isLiteral(right)) {
+        const members = new Set(asSet(left).map(canonical));
+        if (expr.op === 'contains') {
+          return bool(members.has(canonical(right)));
+        }
+        const others = asSet(right).map(canonical);
+        return bool(expr.op === 'containsAll'
+          ? others.every(value => members.has(value))
+          : others.some(value => members.has(value)));
+      }
+      return { op: expr.op, left, right };
+    }
+
+    case 'isEmpty': {
+      const arg = partiallyEvaluate(expr.arg, env);
+      return isLiteral(arg) ? bool(asSet(arg).length === 0) : { op: 'isEmpty', arg };
+    }
+
+    case 'getTag':
+    case 'hasTag': {
+      const left = partiallyEvaluate(expr.left, env);
+      const right = partiallyEvaluate(expr.right, env);
+      if (!isLiteral(left) || !isLiteral(right)) {
+        return { op: expr.op, left, right };
+      }
+      const entity = env.entities.get(uidKey(asEntity(left)));
+      const tag = asString(right);
+      if (expr.op === 'hasTag') {
+        return bool(Boolean(entity) && Object.hasOwn(entity.tags, tag));
+      }
+      if (!entity || !Object.hasOwn(entity.tags, tag)) {
+        throw new EvaluationError(`${describe(left)} does not have the tag \`${tag}\``);
+      }
+      return entity.tags[tag];
+    }
+
+    case 'like': {
+      const left = partiallyEvaluate(expr.left, env);
+      return isLiteral(left) ? bool(matchesPattern(asString(left), expr.pattern)) : { op: 'like', left, pattern: expr.pattern };
+    }
+
+    case 'call': {
+      const args = expr.args.map(arg => partiallyEvaluate(arg, env));
+      if (args.every(isLiteral)) {
+        return evaluateCall(expr.fn, args);
+      }
+      return { op: 'call', fn: expr.fn, args };
+    }
+
+    default:
+      throw new EvaluationError(`Cannot evaluate ${expr.op} expressions`);
+  }
+}
+
+/**
+ * Substitute a request context into a residual condition
+ *
+ * For residuals computed with the context unknown: the context's values
+ * replace `context` and the condition is evaluated again, leaving only what
+ * depends on the resource. A condition that errors (reading a context
+ * attribute the request does not have, say) becomes an error() call, which
+ * the compiler reports like any other untranslatable fragment.
+ *
+ * @param {Object} expr - Residual condition AST
+ * @param {Object} context - Request context (Cedar JSON)
+ * @returns {Object} Condition AST with the context bound
+ */
+export function bindContext(expr, context) {
+  const env = {
+    principal: { op: 'var', name: 'principal' },
+    action: { op: 'var', name: 'action' },
+    context: jsonToAst(context),
+    entities: new Map()
+  };
+  try {
+    return partiallyEvaluate(expr, env);
+  } catch (error) {
+    if (!(error instanceof EvaluationError)) {
+      throw error;
+    }
+    return { op: 'call', fn: 'error', args: [] };
+  }
+}
+
+/**
+ * Whether an AST node is a fully known value
+ *
+ * @param {Object} node - Expression AST
+ * @returns {boolean} True for literals, entities, and sets/records/extension values of literals
+ */
+export function isLiteral(node) {
+  switch (node.op) {
+    case 'value':
+    case 'entity':
+      return true;
+    case 'set':
+      return node.elements.every(isLiteral);
+    case 'record':
+      return Object.values(node.attrs).every(isLiteral);
+    case 'call':
+      return EXTENSION_CONSTRUCTORS.has(node.fn) && node.args.every(isLiteral);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate `&&`/`||` left to right with Cedar's short-circuiting
+ *
+ * Known operands that decide the result end evaluation; known operands
+ * that don't are dropped. Once a resource-dependent operand has been seen,
+ * later operands only run if it does not short-circuit, so their errors are
+ * deferred into the residual. For the same reason `resource.x || true` is
+ * only true when `resource.x` cannot error (a missing attribute, a
+ * non-boolean); otherwise it stays in the residual.
+ */
+function evaluateJunction(expr, env) {
+  const absorbing = expr.op === '||';
+  const residuals = [];
+
+  for (const arg of expr.args) {
+    const value = residuals.length > 0 ? guarded(arg, env) : partiallyEvaluate(arg, env);
+    if (isLiteral(value)) {
+      if (asBoolean(value) === absorbing) {
+        // `resource has x && false` is false, `resource has x || true` is true
+        if (residuals.every(cannotError)) {
+          return bool(absorbing);
+        }
+        // Operands after this one are never evaluated
+        return { op: expr.op, args: [...residuals, bool(absorbing)] };
+      }
+      continue;
+    }
+    residuals.push(value);
+  }
+
+  if (residuals.length === 0) {
+    return bool(!absorbing);
+  }
+  return residuals.length === 1 ? residuals[0] : { op: expr.op, args: residuals };
+}
+
+/**
+ * Evaluate an expression that only runs when a resource-dependent guard holds
+ */
+function guarded(expr, env) {
+  try {
+    return partiallyEvaluate(expr, env);
+  } catch (error) {
+    if (error instanceof EvaluationError) {
+      return { op: 'call', fn: 'error', args: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * `entity in entity` or `entity in [entities]`, following the parents graph
+ */
+function evaluateIn(left, right, env) {
+  const targets = right.op === 'set' ? right.elements.map(asEntity) : [asEntity(right)];
+  const wanted = new Set(targets.map(uidKey));
+  const seen = new Set();
+  const queue = [uidKey(asEntity(left))];
+
+  while (queue.length > 0) {
+    const uid = queue.shift();
+    if (wanted.has(uid)) {
+      return TRUE;
+    }
+    if (!seen.has(uid)) {
+      seen.add(uid);
+      queue.push(...(env.entities.get(uid)?.parents || []));
+    }
+  }
+  return FALSE;
+}
+
+/**
+ * Evaluate an extension function or method call on known arguments
+ */
+function evaluateCall(fn, args) {
+  if (EXTENSION_CONSTRUCTORS.has(fn)) {
+    // Validate the literal now so a malformed one errors like Cedar's would
+    extensionValue({ op: 'call', fn, args });
+    return { op: 'call', fn, args };
+  }
+
+  const [receiver, ...rest] = args;
+  const COMPARE_METHODS = { lessThan: '<', lessThanOrEqual: '<=', greaterThan: '>', greaterThanOrEqual: '>=' };
+  if (COMPARE_METHODS[fn]) {
+    return bool(compare(COMPARE_METHODS[fn], orderable(receiver), orderable(rest[0])));
+  }
+
+  const value = extensionValue(receiver);
+  switch (fn) {
+    case 'toDate':
+      return datetimeLiteral(value.value - mod(value.value, DURATION_UNITS.d));
+    case 'toTime':
+      return durationLiteral(mod(value.value, DURATION_UNITS.d));
+    case 'offset':
+      return datetimeLiteral(value.value + extensionValue(rest[0]).value);
+    case 'durationSince':
+      return durationLiteral(value.value - extensionValue(rest[0]).value);
+    case 'toDays': case 'toHours': case 'toMinutes': case 'toSeconds': case 'toMilliseconds': {
+      const unit = { toDays: 'd', toHours: 'h', toMinutes: 'm', toSeconds: 's', toMilliseconds: 'ms' }[fn];
+      return long(BigInt(Math.trunc(value.value / DURATION_UNITS[unit])));
+    }
+    default:
+      throw new EvaluationError(`Extension function ${fn}() is not supported by the JavaScript evaluator`);
+  }
+}
+
+/**
+ * Decode an extension value into { fn, value } (decimals and datetimes as numbers)
+ */
+function extensionValue(node) {
+  if (node.op !== 'call' || !EXTENSION_CONSTRUCTORS.has(node.fn)) {
+    throw new EvaluationError(`Expected an extension value, got ${describe(node)}`);
+  }
+  const text = asString(node.args[0]);
+  switch (node.fn) {
+    case 'decimal': {
+      const match = text.match(/^(-?\d+)\.(\d{1,4})$/);
+      if (!match) {
+        throw new EvaluationError(`Invalid decimal literal "${text}"`);
+      }
+      const sign = match[1].startsWith('-') ? -1 : 1;
+      return { fn: 'decimal', value: Number(match[1]) * 10000 + sign * Number(match[2].padEnd(4, '0')) };
+    }
+    case 'datetime': {
+      const value = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?(Z|[+-]\d{4}))?$/.test(text)
+        ? Date.parse(text.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'))
+        : NaN;
+      if (Number.isNaN(value)) {
+        throw new EvaluationError(`Invalid datetime literal "${text}"`);
+      }
+      return { fn: 'datetime', value };
+    }
+    case 'duration': {
+      const match = text.match(/^(-?)((?:\d+(?:d|h|ms|m|s))+)$/);
+      if (!match) {
+        throw new EvaluationError(`Invalid duration literal "${text}"`);
+      }
+      const total = [...match[2].matchAll(/(\d+)(d|h|ms|m|s)/g)]
+        .reduce((sum, [, amount, unit]) => sum + Number(amount) * DURATION_UNITS[unit], 0);
+      return { fn: 'duration', value: match[1] ? -total : total };
+    }
+    default:
+      // ip addresses are only compared for equality
+      return { fn: node.fn, value: text };
+  }
+}
+
+function datetimeLiteral(ms) {
+  return { op: 'call', fn: 'datetime', args: [{ op: 'value', value: new Date(ms).toISOString() }] };
+}
+
+function durationLiteral(ms) {
+  return { op: 'call', fn: 'duration', args: [{ op: 'value', value: `${ms}ms` }] };
+}
+
+/**
+ * Comparable value of a Long, decimal, datetime or duration
+ */
+function orderable(node) {
+  if (node.op === 'value') {
+    return { fn: 'long', value: asLong(node) };
+  }
+  const value = extensionValue(node);
+  if (value.fn === 'ip') {
+    throw new EvaluationError('ip addresses cannot be ordered');
+  }
+  return value;
+}
+
+function compare(op, left, right) {
+  if (left.fn !== right.fn) {
+    throw new EvaluationError(`Cannot compare a ${left.fn} with a ${right.fn}`);
+  }
+  const COMPARISONS = { '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b };
+  return COMPARISONS[op](left.value, right.value);
+}
+
+/**
+ * Match a string against a Cedar `like` pattern (Wildcard / { Literal } elements)
+ */
+function matchesPattern(text, pattern) {
+  const source = pattern
+    .map(elem => elem === 'Wildcard' ? '.*' : elem.Literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 's').test(text);
+}
+
+/**
+ * Attributes of a known entity or record
+ */
+function attributesOf(node, env) {
+  if (node.op === 'record') {
+    return node.attrs;
+  }
+  const entity = env.entities.get(uidKey(asEntity(node)));
+  if (!entity) {
+    throw new EvaluationError(`Entity ${describe(node)} does not exist`);
+  }
+  return entity.attrs;
+}
+
+/**
+ * Whether a residual node is `resource` (the only unknown in a request)
+ */
+function isResource(node) {
+  return node.op === 'var' && node.name === 'resource';
+}
+
+/**
+ * Canonical string for value equality (sets unordered, records by key)
+ */
+function canonical(node) {
+  switch (node.op) {
+    case 'set':
+      return `[${[...new Set(node.elements.map(canonical))].sort().join(',')}]`;
+    case 'record':
+      return `{${Object.keys(node.attrs).sort().map(key => `${JSON.stringify(key)}:${canonical(node.attrs[key])}`).join(',')}}`;
+    case 'entity':
+      return `${node.type}::${JSON.stringify(node.id)}`;
+    case 'call': {
+      const { fn, value } = extensionValue(node);
+      return `${fn}(${JSON.stringify(value)})`;
+    }
+    default:
+      return JSON.stringify(node.value);
+  }
+}
+
+/**
+ * Entity UID string (Type::"id"), the key of the entity store
+ *
+ * @param {{type: string, id: string}} entity - Entity AST or UID
+ * @returns {string} UID string
+ */
+export function uidKey(entity) {
+  return `${entity.type}::${JSON.stringify(entity.id)}`;
+}
+
+function describe(node) {
+  return node.op === 'entity' ? uidKey(node) : canonical(node);
+}
+
+function bool(value) {
+  return value ? TRUE : FALSE;
+}
+
+function long(value) {
+  if (value < LONG_MIN || value > LONG_MAX) {
+    throw new EvaluationError('Integer overflow');
+  }
+  // Longs are JavaScript numbers in the AST, which hold integers exactly up to 2^53
+  if (!Number.isSafeInteger(Number(value))) {
+    throw new EvaluationError(`Integer ${value} is too large for the JavaScript evaluator to represent exactly`);
+  }
+  return { op: 'value', value: Number(value) };
+}
+
+function asBoolean(node) {
+  if (node.op !== 'value' || typeof node.value !== 'boolean') {
+    throw new EvaluationError(`Expected a boolean, got ${describe(node)}`);
+  }
+  return node.value;
+}
+
+function asLong(node) {
+  if (node.op !== 'value' || !Number.isInteger(node.value)) {
+    throw new EvaluationError(`Expected a Long, got ${describe(node)}`);
+  }
+  if (!Number.isSafeInteger(node.value)) {
+    throw new EvaluationError(`Integer ${node.value} is too large for the JavaScript evaluator to represent exactly`);
+  }
+  return node.value;
+}
+
+function asString(node) {
+  if (node.op !== 'value' || typeof node.value !== 'string') {
+    throw new EvaluationError(`Expected a string, got ${describe(node)}`);
+  }
+  return node.value;
+}
+
+function asEntity(node) {
+  if (node.op !== 'entity') {
+    throw new EvaluationError(`Expected an entity, got ${describe(node)}`);
+  }
+  return node;
+}
+
+function asSet(node) {
+  if (node.op !== 'set') {
+    throw new EvaluationError(`Expected a set, got ${describe(node)}`);
+  }
+  return node.elements;
+}
+
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
@@ -7,17 +7,40 @@
  * but an abstract resource. Returns a residual policy describing which
  * resource attributes still matter for access.
  * 
- * NOTE: Partial evaluation (TPE) may not be directly available in the
- * Cedar WASM API. This script demonstrates the expected interface.
- * For actual TPE, you may need to use the Cedar CLI or implement a
- * custom solution based on Cedar's authorization API.
+ * Evaluation runs in process, with cedar-wasm's partial evaluator or the
+ * JavaScript evaluator (see engines.js); the Cedar CLI's `cedar tpe` can
+ * be selected with --engine cli. All engines write the same residual format.
+ *
+ * Batch mode (--principals or --principal-where, with --out-dir) loads the
+ * schema, policies and entity store once and writes one residual per
+ * principal and action, plus an index.json summarising them.
+ *
+ * The context (--context) is checked against the schema's context type for
+ * each action. With --defer-context it is left unknown instead: residuals
+ * keep their context conditions, and residual-to-filter.js binds a
+ * request's context when compiling.
+ *
+ * With --cache, residuals are kept in a residual cache (see
+ * lib/residual-cache.js) and only recomputed when the policies, schema or
+ * principal's entity slice change.
+ *
+ * Policy templates in the policies directory are instantiated by the links
+ * in --links (default: template-links.json beside the policies directory,
+ * when present; see lib/policy-set.js).
  */
 
-import { readFileSync, writeFileSync, mkdirSync, readdirSync, rmSync } from 'fs';
-import { dirname, resolve } from 'path';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { execSync, spawnSync } from 'child_process';
 import * as cedar from '@cedar-policy/cedar-wasm/nodejs';
+import { ENGINES, expressionEntityReferences, parseUid, partiallyEvaluatePolicies, policyEntityReferences } from './engines.js';
+import { buildEntityStore, EvaluationError, isLiteral, partiallyEvaluate } from './evaluator.js';
+import { parseExpression } from '../compile/cedar-parser.js';
+import { collectEntityReferences, formatEntityUid, loadEntitySlice, openEntityProvider } from '../lib/entity-store.js';
+import { createResidualIndex } from '../lib/residual-format.js';
+import { createResidualCache, openCacheStore } from '../lib/residual-cache.js';
+import { defaultLinksPath, readPolicySet, toCedarPolicySet } from '../lib/policy-set.js';
+import { readRequestContext } from '../lib/util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -28,12 +51,21 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     principal: null,
-    action: null,
+    principals: null,
+    principalWhere: null,
+    actions: [],
     context: null,
+    deferContext: false,
     resourceType: null,
     out: null,
+    outDir: null,
+    engine: 'auto',
+    cache: null,
+    allEntities: false,
+    sliceDepth: 1,
     schema: resolve(PROJECT_ROOT, 'cedar/schema.cedarschema'),
     policies: resolve(PROJECT_ROOT, 'cedar/policies'),
+    links: null,
     entities: resolve(PROJECT_ROOT, 'cedar/entities.json')
   };
 
@@ -44,14 +76,23 @@ function parseArgs() {
       case '-p':
         options.principal = args[++i];
         break;
+      case '--principals':
+        options.principals = args[++i];
+        break;
+      case '--principal-where':
+        options.principalWhere = args[++i];
+        break;
       case '--action':
       case '-a':
-        options.action = args[++i];
+        options.actions.push(args[++i]);
         break;
       case '--context':
       case '-c':
         options.context = args[++i];
         break;
+      case '--defer-context':
+        options.deferContext = true;
+        break;
       case '--resource-type':
       case '-r':
         options.resourceType = args[++i];
@@ -60,15 +101,34 @@ function parseArgs() {
       case '-o':
         options.out = args[++i];
         break;
+      case '--out-dir':
+        options.outDir = args[++i];
+        break;
+      case '--engine':
+      case '-e':
+        options.engine = args[++i];
+        break;
+      case '--cache':
+        options.cache = args[++i];
+        break;
       case '--schema':
         options.schema = args[++i];
         break;
       case '--policies':
         options.policies = args[++i];
         break;
+      case '--links':
+        options.links = args[++i];
+        break;
       case '--entities':
         options.entities = args[++i];
         break;
+      case '--all-entities':
+        options.allEntities = true;
+        break;
+      case '--slice-depth':
+        options.sliceDepth = Number.parseInt(args[++i], 10);
+        break;
       case '--help':
       case '-h':
         printHelp();
@@ -81,9 +141,49 @@ function parseArgs() {
   }
 
   // Validate required arguments
-  if (!options.principal || !options.action || !options.resourceType || !options.out) {
-    console.error('Error: Missing required arguments');
-    printHelp();
+  options.batch = Boolean(options.principals || options.principalWhere);
+  if (options.batch) {
+    if (options.principal || options.out) {
+      console.error('Error: --principal and --out cannot be combined with --principals or --principal-where');
+      process.exit(1);
+    }
+    if (options.principals && options.principalWhere) {
+      console.error('Error: use either --principals or --principal-where, not both');
+      process.exit(1);
+    }
+    if (options.actions.length === 0 || !options.resourceType || !options.outDir) {
+      console.error('Error: Missing required arguments');
+      printHelp();
+      process.exit(1);
+    }
+  } else {
+    if (!options.principal || options.actions.length === 0 || !options.resourceType || !options.out) {
+      console.error('Error: Missing required arguments');
+      printHelp();
+      process.exit(1);
+    }
+    if (options.actions.length > 1) {
+      console.error('Error: several --action options need batch mode (--principals or --principal-where with --out-dir)');
+      process.exit(1);
+    }
+  }
+
+  if (!Number.isInteger(options.sliceDepth) || options.sliceDepth < 0) {
+    console.error('Error: --slice-depth must be a non-negative integer');
+    process.exit(1);
+  }
+
+  if (!ENGINES.includes(options.engine)) {
+    console.error(`Error: --engine must be one of ${ENGINES.join(', ')}, got '${options.engine}'`);
+    process.exit(1);
+  }
+
+  if (options.deferContext && options.context) {
+    console.error('Error: --defer-context cannot be combined with --context');
+    process.exit(1);
+  }
+  if (options.deferContext && !['auto', 'js'].includes(options.engine)) {
+    console.error('Error: --defer-context needs the js engine');
     process.exit(1);
   }
 
@@ -100,11 +200,29 @@ Required:
   --resource-type, -r <type>       Resource type (e.g., 'Platform::Chunk')
   --out, -o <file>                 Output file for residual policy
 
+Batch mode (instead of --principal and --out):
+  --principals <file>              Principal UIDs, one per line (or a JSON array)
+  --principal-where <expr>         Cedar expression over \`principal\` selecting principals
+                                   from the entity store
+  --action, -a <action>            Repeat for each action to evaluate
+  --out-dir <dir>                  Directory for one residual per principal and action,
+                                   plus index.json
+
 Optional:
-  --context, -c <file>             JSON file with request context
+  --context, -c <file>             JSON file with request context (or a request file with a
+                                   "context" object, as in examples/requests)
+  --defer-context                  Leave the context unknown; bind it later with
+                                   residual-to-filter.js --context (js engine)
+  --engine, -e <engine>            auto (default), wasm, js or cli (see below)
+  --cache <file>                   Residual cache file; unchanged requests reuse their residual
   --schema <file>                  Cedar schema file (default: cedar/schema.cedarschema)
   --policies <dir>                 Policies directory (default: cedar/policies)
-  --entities <file>                Entities file (default: cedar/entities.json)
+  --links <file>                   Template links for the templates in the policies directory
+                                   (default: template-links.json beside it, if present)
+  --entities <path>                Entity store: JSON file, directory of JSONL files,
+                                   or SQLite .db/.sqlite file (default: cedar/entities.json)
+  --all-entities                   Load the whole entity store instead of the principal's slice
+  --slice-depth <n>                Attribute references to follow from the principal (default: 1)
   --help, -h                       Show this help message
 
 Example:
@@ -113,27 +231,288 @@ Example:
     --action 'Platform::Action::"ask"' \\
     --resource-type Platform::Chunk \\
     --out out/residual-kate.json
+
+Batch example:
+  node src/tpe/partial-eval.js \\
+    --principal-where 'principal is Platform::Customer && principal.tenant == Platform::Tenant::"custco"' \\
+    --action 'Platform::Action::"view"' \\
+    --action 'Platform::Action::"ask"' \\
+    --resource-type Platform::Chunk \\
+    --out-dir out/residuals
+
+Engines:
+  wasm   @cedar-policy/cedar-wasm partial evaluation (in process)
+  js     JavaScript partial evaluator over the parsed policies (in process)
+  cli    Cedar CLI \`cedar tpe\` (build with: cargo build --release --bin cedar --features tpe)
+  auto   wasm when the installed cedar-wasm supports it, otherwise js
 `);
 }
 
-// Load all Cedar policy files from a directory
-function loadPolicies(policiesDir) {
-  const policies = [];
-  
-  try {
-    const files = readdirSync(policiesDir);
-    for (const file of files) {
-      if (file.endsWith('.cedar')) {
-        const policyText = readFileSync(resolve(policiesDir, file), 'utf-8');
-        policies.push(policyText);
+/**
+ * Read a list of principal UIDs
+ *
+ * A .json file holds an array of UID strings or { type, id } references;
+ * any other file has one UID per line, with blank lines and # comments
+ * skipped.
+ *
+ * @param {string} filePath - Path to the list
+ * @returns {string[]} Principal UIDs in Cedar syntax
+ */
+export function readPrincipalList(filePath) {
+  const content = readFileSync(filePath, 'utf-8');
+  if (extname(filePath).toLowerCase() === '.json') {
+    const principals = JSON.parse(content);
+    if (!Array.isArray(principals)) {
+      throw new Error(`${filePath} must contain an array of principal UIDs`);
+    }
+    return principals.map(principal => (typeof principal === 'string' ? principal : formatEntityUid(principal)));
+  }
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Select the principals an expression holds for
+ *
+ * The expression is evaluated for every entity in the store with that
+ * entity as `principal`; entities for which it is true are selected and
+ * those where it errors (a missing attribute, say) are not. It may only
+ * refer to `principal` and the entity hierarchy.
+ *
+ * The store is streamed, and each entity is evaluated with its slice (see
+ * entity-store.js) and the entities the expression names. Slice entities are
+ * kept between principals, since most of them (tenants, teams) are shared.
+ *
+ * @param {Object} provider - Entity provider
+ * @param {string} where - Cedar expression (e.g. 'principal is Platform::Customer')
+ * @param {Object} options - Options
+ * @param {number} options.depth - Attribute references to follow from each entity (default: 1)
+ * @returns {Promise<string[]>} Principal UIDs in Cedar syntax
+ * @throws {Error} If the expression refers to the action, resource or context
+ */
+export async function selectPrincipals(provider, where, options = {}) {
+  const expr = parseExpression(where);
+  const references = expressionEntityReferences(expr);
+  const selected = [];
+
+  // Entities looked up so far (null when not in the store)
+  const known = new Map();
+  const lookup = async uids => {
+    const missing = uids.filter(uid => !known.has(uid));
+    for (const uid of missing) {
+      known.set(uid, null);
+    }
+    for (const entity of await provider.getEntities(missing)) {
+      known.set(formatEntityUid(entity.uid), entity);
+    }
+    return uids.map(uid => known.get(uid)).filter(Boolean);
+  };
+
+  for await (const entity of provider.streamEntities()) {
+    const uid = formatEntityUid(entity.uid);
+    // The streamed entity itself needs no lookup
+    const sliceProvider = {
+      getEntities: async uids => [
+        ...(uids.includes(uid) ? [entity] : []),
+        ...await lookup(uids.filter(other => other !== uid))
+      ]
+    };
+    const slice = await loadEntitySlice(sliceProvider, [uid, ...references], { depth: options.depth });
+    const env = {
+      principal: parseUid(uid, true),
+      action: { op: 'var', name: 'action' },
+      context: { op: 'var', name: 'context' },
+      entities: buildEntityStore(slice)
+    };
+    let result;
+    try {
+      result = partiallyEvaluate(expr, env);
+    } catch (error) {
+      if (error instanceof EvaluationError) {
+        continue;
       }
+      throw error;
+    }
+    if (!isLiteral(result)) {
+      throw new Error(`--principal-where may only refer to principal: ${where}`);
+    }
+    if (result.op === 'value' && result.value === true) {
+      selected.push(uid);
     }
-  } catch (err) {
-    console.error(`Error reading policies from ${policiesDir}:`, err.message);
+  }
+  return selected;
+}
+
+/**
+ * File name for a principal/action residual, e.g.
+ * Platform.Customer.kate--view.json for Platform::Customer::"kate" and
+ * Platform::Action::"view"
+ *
+ * @param {string} principal - Principal UID
+ * @param {string} action - Action UID
+ * @param {Set<string>} used - File names already taken; the result is added
+ * @returns {string} File name, unique within `used`
+ */
+export function residualFileName(principal, action, used) {
+  const { type, id } = parseUid(principal);
+  const safe = text => text.replace(/::/g, '.').replace(/[^A-Za-z0-9._-]/g, '_');
+  const base = `${safe(type)}.${safe(id)}--${safe(parseUid(action).id)}`;
+
+  let name = `${base}.json`;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}.json`;
+  }
+  used.add(name);
+  return name;
+}
+
+// Load the entities one principal's evaluation needs (see entity-store.js),
+// with the entities the context and the policies name
+async function loadRequestEntities(provider, principal, context, policyReferences, options) {
+  if (options.allEntities) {
+    return provider.getAllEntities();
+  }
+  return loadEntitySlice(provider, [
+    formatEntityUid(parseUid(principal)),
+    ...collectEntityReferences(context),
+    ...policyReferences
+  ], {
+    depth: options.sliceDepth
+  });
+}
+
+// Partially evaluate one request, through the residual cache when there is one
+async function evaluateRequest(request, options, cache) {
+  const compute = () => partiallyEvaluatePolicies(request, {
+    engine: options.engine,
+    tmpDir: resolve(PROJECT_ROOT, '.tmp')
+  }).residual;
+
+  if (!cache) {
+    return { residual: compute(), cached: false };
+  }
+  const { value, hit } = await cache.getOrCompute({ ...request, engine: options.engine }, compute);
+  return { residual: value, cached: hit };
+}
+
+// Print the residual cache's hit/miss counts
+function printCacheStats(cache) {
+  const { hits, misses, stale, hitRate } = cache.stats();
+  console.log(`  Cache: ${hits} hit(s), ${misses} miss(es) (${stale} stale), ${(hitRate * 100).toFixed(1)}% hit rate`);
+}
+
+// Check a context against the schema's context type for each action
+function checkContext(context, schemaText, actions) {
+  for (const action of actions) {
+    const contextParseResult = cedar.checkParseContext({ context, schema: schemaText, action: parseUid(action) });
+    if (contextParseResult.type === 'failure') {
+      throw new Error(`Context is not valid for ${action}: ${contextParseResult.errors.map(error => error.message).join('; ')}`);
+    }
+  }
+}
+
+// Check entities against the schema
+function checkEntities(entities, schemaText) {
+  const entitiesParseResult = cedar.checkParseEntities({ entities, schema: schemaText });
+  if (entitiesParseResult.type === 'failure') {
+    throw new Error(`Entities parse error: ${JSON.stringify(entitiesParseResult.errors)}`);
+  }
+}
+
+// Evaluate every principal and action pair and write the residuals and index
+async function runBatch(provider, cache, inputs, options) {
+  const { schemaText, policiesText, templateLinks, context } = inputs;
+  const policyReferences = policyEntityReferences(policiesText, templateLinks);
+
+  let principals;
+  if (options.principals) {
+    principals = readPrincipalList(options.principals);
+    console.log(`  Principals: ${principals.length} from ${options.principals}`);
+  } else {
+    principals = await selectPrincipals(provider, options.principalWhere, { depth: options.sliceDepth });
+    console.log(`  Principals: ${principals.length} where ${options.principalWhere}`);
+  }
+
+  // With --all-entities every pair shares one load of the store
+  const allEntities = options.allEntities ? await provider.getAllEntities() : null;
+  if (allEntities) {
+    checkEntities(allEntities, schemaText);
+  }
+
+  mkdirSync(options.outDir, { recursive: true });
+  const usedNames = new Set(['index.json']);
+  const entries = [];
+  const failures = [];
+
+  console.log(`\nPerforming partial evaluation for ${principals.length} principal(s) × ${options.actions.length} action(s):`);
+  for (const principal of principals) {
+    let entities = allEntities;
+    try {
+      if (!entities) {
+        entities = await loadRequestEntities(provider, principal, context, policyReferences, options);
+        checkEntities(entities, schemaText);
+      }
+      // A listed principal missing from the store would only get an empty scope
+      const principalUid = formatEntityUid(parseUid(principal));
+      if (!entities.some(entity => formatEntityUid(entity.uid) === principalUid)) {
+        throw new Error(`${principal} is not in the entity store`);
+      }
+    } catch (error) {
+      for (const action of options.actions) {
+        failures.push({ principal, action, error: error.message });
+      }
+      console.error(`  ✗ ${principal}: ${error.message}`);
+      continue;
+    }
+
+    for (const action of options.actions) {
+      try {
+        const { residual, cached } = await evaluateRequest({
+          principal,
+          action,
+          resourceType: options.resourceType,
+          context,
+          schemaText,
+          policiesText,
+          templateLinks,
+          entities
+        }, options, cache);
+
+        const file = residualFileName(principal, action, usedNames);
+        writeFileSync(resolve(options.outDir, file), JSON.stringify(residual, null, 2), 'utf-8');
+        entries.push({ principal, action, file, residual });
+        console.log(`  ${principal} ${action}: ${residual.decision}${cached ? ' (cached)' : ''} → ${file}`);
+      } catch (error) {
+        failures.push({ principal, action, error: error.message });
+        console.error(`  ✗ ${principal} ${action}: ${error.message}`);
+      }
+    }
+  }
+
+  const index = createResidualIndex({
+    resourceType: options.resourceType,
+    context,
+    policiesText,
+    templateLinks,
+    engine: options.engine,
+    entries,
+    failures
+  });
+  const indexPath = resolve(options.outDir, 'index.json');
+  writeFileSync(indexPath, JSON.stringify(index, null, 2), 'utf-8');
+
+  const { decisions } = index.summary;
+  console.log(`\n✓ ${entries.length} residual(s) written to ${options.outDir} (ALLOW ${decisions.ALLOW}, DENY ${decisions.DENY}, UNKNOWN ${decisions.UNKNOWN})`);
+  console.log(`✓ Index written to ${indexPath}`);
+  if (cache) {
+    printCacheStats(cache);
+  }
+  if (failures.length > 0) {
+    console.error(`✗ ${failures.length} pair(s) failed; see failures in the index`);
     process.exit(1);
   }
-  
-  return policies;
 }
 
 // Main execution
@@ -151,38 +530,65 @@ async function main() {
       throw new Error(`Schema parse error: ${JSON.stringify(schemaParseResult.errors)}`);
     }
 
-    // Load policies
+    // Load policies, templates and template links
     console.log(`  Policies: ${options.policies}`);
-    const policyTexts = loadPolicies(options.policies);
-    // Combine policies into a single string (Cedar can parse multiple policies from one string)
-    const combinedPolicies = policyTexts.join('\n\n');
-    const policySet = {
-      staticPolicies: combinedPolicies
-    };
-    const policySetParseResult = cedar.checkParsePolicySet(policySet);
+    const linksPath = options.links || defaultLinksPath(options.policies);
+    const { policiesText, templateLinks } = readPolicySet(options.policies, linksPath);
+    if (linksPath) {
+      console.log(`  Template links: ${linksPath} (${templateLinks.length})`);
+    }
+    const policySetParseResult = cedar.checkParsePolicySet(toCedarPolicySet(policiesText, templateLinks));
     if (policySetParseResult.type === 'failure') {
       throw new Error(`Policy set parse error: ${JSON.stringify(policySetParseResult.errors)}`);
     }
 
-    // Load entities
+    // Load context if provided; null leaves it unknown
+    let context = {};
+    if (options.deferContext) {
+      context = null;
+      console.log('  Context: deferred');
+    } else {
+      if (options.context) {
+        console.log(`  Context: ${options.context}`);
+        context = readRequestContext(options.context);
+      }
+      checkContext(context, schemaText, options.actions);
+    }
+
+    // Load entities: by default only the principal's slice (see entity-store.js),
+    // with the entities the context and the policies name
     console.log(`  Entities: ${options.entities}`);
-    const entitiesJson = readFileSync(options.entities, 'utf-8');
-    const entities = JSON.parse(entitiesJson);
-    const entitiesParseResult = cedar.checkParseEntities({ entities, schema: schemaText });
-    if (entitiesParseResult.type === 'failure') {
-      throw new Error(`Entities parse error: ${JSON.stringify(entitiesParseResult.errors)}`);
+    const provider = await openEntityProvider(options.entities);
+
+    let cache = null;
+    if (options.cache) {
+      cache = createResidualCache(openCacheStore(options.cache));
+      console.log(`  Cache: ${cache.store.name}`);
     }
 
-    // Load context if provided
-    let context = {};
-    if (options.context) {
-      const contextText = readFileSync(options.context, 'utf-8');
-      context = JSON.parse(contextText);
+    if (options.batch) {
+      try {
+        await runBatch(provider, cache, { schemaText, policiesText, templateLinks, context }, options);
+      } finally {
+        provider.close();
+        await cache?.close();
+      }
+      return;
     }
 
+    let entities;
+    try {
+      entities = await loadRequestEntities(provider, options.principal, context,
+        policyEntityReferences(policiesText, templateLinks), options);
+    } finally {
+      provider.close();
+    }
+    console.log(`    ${entities.length} entit${entities.length === 1 ? 'y' : 'ies'} loaded from ${provider.name}`);
+    checkEntities(entities, schemaText);
+
     // Parse principal and action
     const principal = options.principal;
-    const action = options.action;
+    const action = options.actions[0];
     const resourceType = options.resourceType;
 
     console.log(`\nPerforming partial evaluation:`);
@@ -193,196 +599,36 @@ async function main() {
       console.log(`  Context: ${JSON.stringify(context, null, 2)}`);
     }
 
-    // Try to use Cedar CLI for actual partial evaluation
-    // If CLI is not available, fall back to mock residual
     let residual;
-    let usedCli = false;
-
+    let cached;
     try {
-      // Check if Cedar CLI is available
-      execSync('cedar --version', { stdio: 'ignore' });
-      
-      console.log('\nAttempting to use Cedar CLI for type-aware partial evaluation (TPE)...');
-      
-      // Parse principal and resource type from the strings
-      // Format: "Platform::Customer::\"kate\"" -> type: "Platform::Customer", eid: "kate"
-      const principalMatch = principal.match(/^([^:]+::[^:]+)::"([^"]+)"$/);
-      const resourceTypeMatch = resourceType.match(/^([^:]+::[^:]+)$/);
-      
-      if (!principalMatch || !resourceTypeMatch) {
-        throw new Error('Unable to parse principal or resource type format');
-      }
-      
-      const principalType = principalMatch[1];
-      const principalEid = principalMatch[2];
-      const resourceTypeName = resourceTypeMatch[1];
-      
-      // Prepare temporary files for Cedar CLI
-      const tmpDir = resolve(PROJECT_ROOT, '.tmp');
-      mkdirSync(tmpDir, { recursive: true });
-      
-      const tmpSchema = resolve(tmpDir, 'schema.cedarschema');
-      const tmpPolicies = resolve(tmpDir, 'policies.cedar');
-      const tmpEntities = resolve(tmpDir, 'entities.json');
-      const tmpContext = resolve(tmpDir, 'context.json');
-      
-      // Write temporary files
-      writeFileSync(tmpSchema, schemaText, 'utf-8');
-      writeFileSync(tmpPolicies, combinedPolicies, 'utf-8');
-      writeFileSync(tmpEntities, JSON.stringify(entities, null, 2), 'utf-8');
-      writeFileSync(tmpContext, JSON.stringify(context, null, 2), 'utf-8');
-      
-      // Build Cedar CLI TPE command
-      // Use array form to properly handle quoting
-      const tpeArgs = [
-        'cedar', 'tpe',
-        '--schema', tmpSchema,
-        '--entities', tmpEntities,
-        '--principal-type', principalType,
-        '--principal-eid', principalEid,
-        '--action', action,
-        '--resource-type', resourceTypeName,
-        '--policies', tmpPolicies,
-        '--context', tmpContext,
-        '--error-format', 'human'
-      ];
-      
-      try {
-        // Use spawnSync to properly handle arguments with quotes
-        const result = spawnSync(
-          'cedar',
-          [
-            'tpe',
-            '--schema', tmpSchema,
-            '--entities', tmpEntities,
-            '--principal-type', principalType,
-            '--principal-eid', principalEid,
-            '--action', action,
-            '--resource-type', resourceTypeName,
-            '--policies', tmpPolicies,
-            '--context', tmpContext,
-            '--error-format', 'human'
-          ],
-          {
-            encoding: 'utf-8',
-            maxBuffer: 10 * 1024 * 1024
-          }
-        );
-        
-        if (result.error) {
-          throw result.error;
-        }
-        
-        if (result.status !== 0) {
-          const errorMsg = result.stderr || result.stdout || 'Unknown error';
-          throw new Error(`Cedar CLI exited with status ${result.status}: ${errorMsg}`);
-        }
-        
-        const cliOutput = result.stdout;
-        
-        // Parse CLI output (text format with residual policies)
-        // The output contains residual policies in Cedar syntax
-        // Format: Decision (ALLOW/DENY/UNKNOWN) followed by policy residuals
-        const lines = cliOutput.split('\n');
-        const decision = lines.find(line => line.match(/^(ALLOW|DENY|UNKNOWN)$/)) || 'UNKNOWN';
-        const residualPolicies = [];
-        let currentPolicy = null;
-        let inPolicy = false;
-        
-        for (const line of lines) {
-          // Look for policy ID markers
-          if (line.match(/^@id\(/)) {
-            if (currentPolicy) {
-              residualPolicies.push(currentPolicy);
-            }
-            const idMatch = line.match(/^@id\("([^"]+)"\)/);
-            currentPolicy = {
-              id: idMatch ? idMatch[1] : null,
-              text: line + '\n',
-              type: null
-            };
-            inPolicy = true;
-          } else if (inPolicy && currentPolicy) {
-            currentPolicy.text += line + '\n';
-            // Detect policy type
-            if (line.trim().startsWith('permit(')) {
-              currentPolicy.type = 'permit';
-            } else if (line.trim().startsWith('forbid(')) {
-              currentPolicy.type = 'forbid';
-            }
-            // End of policy (semicolon on its own line or empty line after policy)
-            if (line.trim() === '};' || (line.trim() === '' && currentPolicy.type)) {
-              inPolicy = false;
-            }
-          }
-        }
-        if (currentPolicy) {
-          residualPolicies.push(currentPolicy);
-        }
-        
-        // Structure the residual output
-        residual = {
-          decision: decision,
-          principal: principal,
-          action: action,
-          resourceType: resourceType,
-          residuals: residualPolicies,
-          _fromCli: true
-        };
-        
-        usedCli = true;
-        console.log(`✓ Successfully used Cedar CLI for type-aware partial evaluation`);
-        console.log(`  Decision: ${decision}`);
-        console.log(`  Residual policies: ${residualPolicies.length}`);
-      } catch (cliError) {
-        // CLI might not support tpe or command failed
-        const stderr = cliError.stderr?.toString() || '';
-        const stdout = cliError.stdout?.toString() || '';
-        const errorMsg = stderr || cliError.message || 'Unknown error';
-        console.log('  Cedar CLI available but TPE command failed, using fallback');
-        console.log(`  Error: ${errorMsg.substring(0, 300)}`);
-        if (stdout) {
-          console.log(`  Output: ${stdout.substring(0, 200)}`);
-        }
-      } finally {
-        // Clean up temporary directory
-        try {
-          rmSync(tmpDir, { recursive: true, force: true });
-        } catch (cleanupError) {
-          // Ignore cleanup errors
-        }
-      }
-    } catch (cliCheckError) {
-      // Cedar CLI not available
-      console.log('\nCedar CLI not found. Using mock residual.');
-      console.log('  To use actual TPE, install Cedar CLI: https://github.com/cedar-policy/cedar');
-      console.log('  Build with: cargo build --release --bin cedar --features tpe');
+      ({ residual, cached } = await evaluateRequest({
+        principal,
+        action,
+        resourceType,
+        context,
+        schemaText,
+        policiesText,
+        templateLinks,
+        entities
+      }, options, cache));
+    } finally {
+      await cache?.close();
     }
 
-    // Fallback to mock residual if CLI wasn't used
-    if (!usedCli) {
-      console.log('\n⚠️  Using mock residual (Cedar CLI not available or TPE not supported)');
-      console.log('   For actual TPE results, install Cedar CLI or use Cedar service.\n');
-      
-      // Create a mock residual based on the policies
-      // In a real implementation, this would be generated by Cedar TPE
-      residual = {
-        principal: principal,
-        action: action,
-        resourceType: resourceType,
-        conditions: [
-          {
-            type: 'permit',
-            expr: `resource.tenant == principal.tenant && resource.customer_readers_team != null && principal.teams.contains(resource.customer_readers_team)`
-          },
-          {
-            type: 'forbid',
-            expr: `resource.classification == "confidential"`
-          }
-        ],
-        note: 'This is a mock residual. Install Cedar CLI for actual TPE results.',
-        _mock: true
-      };
+    console.log(cached
+      ? `\n✓ Residual from cache (evaluated ${residual.evaluatedAt} with the ${residual.inputs.engine} engine)`
+      : `\n✓ Partial evaluation done with the ${residual.inputs.engine} engine`);
+    console.log(`  Decision: ${residual.decision}`);
+    console.log(`  Residual policies: ${residual.residuals.length}`);
+    if (cache) {
+      printCacheStats(cache);
+    }
+    for (const error of residual.errors) {
+      const forbid = residual.residuals.some(policy => policy.id === error.policyId && policy.effect === 'forbid');
+      console.warn(forbid
+        ? `  ⚠️  forbid ${error.policyId} errored (${error.message}); filters compiled from this residual fail closed`
+        : `  ⚠️  ${error.policyId} errored and does not apply: ${error.message}`);
     }
 
     // Ensure output directory exists
@@ -395,11 +641,6 @@ async function main() {
     const residualJson = JSON.stringify(residual, null, 2);
     writeFileSync(options.out, residualJson, 'utf-8');
     console.log(`✓ Residual policy written to ${options.out}`);
-    
-    if (!usedCli) {
-      console.log(`\n  To get actual TPE results, install Cedar CLI:`);
-      console.log(`  https://github.com/cedar-policy/cedar`);
-    }
 
   } catch (error) {
     console.error('Error during partial evaluation:', error);
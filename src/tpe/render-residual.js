@@ -1,5 +1,535 @@
-// TODO: Implement
-// This file exists to show where residual policy rendering/formatting happens in the architecture.
-// Optional utility for pretty-printing or formatting Cedar residual policies for debugging.
+#!/usr/bin/env node
 
+/**
+ * Residual Renderer
+ *
+ * Prints a residual (any format residual-to-filter.js accepts) for people
+ * reviewing what a principal can reach:
+ * - cedar:   each residual policy as Cedar, simplified, with the policies
+ *            that no longer apply listed separately
+ * - tree:    the access condition as an indented boolean tree
+ * - english: a plain-English explanation ("kate may see chunks where tenant
+ *            is custco AND ..., EXCEPT chunks where classification is
+ *            confidential (policy classification-limit)")
+ *
+ * With --filter, the compiled OpenSearch filter is printed beside the first
+ * view shown.
+ */
 
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { toCedarText } from '../compile/cedar-parser.js';
+import { sameExpression, simplifyExpression } from '../compile/simplify.js';
+import { DEFAULT_FIELD_MAPPING_PATH, loadFieldMapping, toExpressionAst } from '../compile/mapping.js';
+import { compileToOpenSearchFilter, extractResidualConditions } from '../compile/residual-to-filter.js';
+import { ensureDir, readRequestContext } from '../lib/util.js';
+
+const FORMATS = ['cedar', 'tree', 'english', 'all'];
+
+// How the explanation words each action ("kate may see chunks ...")
+const ACTION_VERBS = { view: 'see', ask: 'ask about' };
+
+const TRUE = { op: 'value', value: true };
+
+const ENGLISH_COMPARISONS = {
+  '==': 'is',
+  '!=': 'is not',
+  '<': 'is less than',
+  '<=': 'is at most',
+  '>': 'is greater than',
+  '>=': 'is at least'
+};
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    residual: null,
+    format: 'all',
+    filter: false,
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    context: null,
+    out: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--residual':
+      case '-r':
+        options.residual = args[++i];
+        break;
+      case '--format':
+      case '-f':
+        options.format = args[++i];
+        break;
+      case '--filter':
+        options.filter = true;
+        break;
+      case '--mapping':
+      case '-m':
+        options.mapping = args[++i];
+        break;
+      case '--context':
+      case '-c':
+        options.context = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  if (!options.residual) {
+    console.error('Error: Missing required argument --residual');
+    printHelp();
+    process.exit(1);
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    console.error(`Error: --format must be one of ${FORMATS.join(', ')}, got '${options.format}'`);
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node render-residual.js [options]
+
+Required:
+  --residual, -r <file>    Residual JSON file (e.g. from partial-eval.js)
+
+Optional:
+  --format, -f <format>    cedar, tree, english or all (default: all)
+  --filter                 Show the compiled OpenSearch filter beside the first view
+  --mapping, -m <file>     Attribute-to-field mapping JSON for --filter
+                           (default: field-mapping.json)
+  --context, -c <file>     Request context to bind into a --defer-context residual
+  --out, -o <file>         Write the rendering to a file instead of stdout
+  --help, -h               Show this help message
+
+Example:
+  node src/tpe/render-residual.js --residual out/residual-kate.json --filter
+`);
+}
+
+/**
+ * Read a residual into the policies to render
+ *
+ * Conditions are simplified, and `resource is T` tests for the residual's
+ * own resource type are dropped since they always hold.
+ *
+ * @param {Object} residual - Residual in any format accepted by residual-to-filter.js
+ * @param {Object} options - Options
+ * @param {Object} options.context - Request context to bind into the conditions
+ * @param {boolean} options.useDecision - Apply the TPE decision as the compiler does (default: true)
+ * @returns {Object} { principal, action, resourceType, decision, permits, forbids, inapplicable, errors }
+ */
+export function readResidual(residual, options = {}) {
+  const extracted = extractResidualConditions(residual, { context: options.context, useDecision: options.useDecision });
+  const resourceType = extracted.options.resourceType ?? residual?.resourceType ?? null;
+
+  const permits = [];
+  const forbids = [];
+  const inapplicable = [];
+  for (const condition of extracted.conditions) {
+    const expr = simplifyExpression(dropResourceTypeTests(toExpressionAst(condition?.text ?? condition), resourceType));
+    const policy = { id: condition?.id ?? null, effect: condition?.type === 'forbid' ? 'forbid' : 'permit', expr };
+    if (expr.op === 'value' && expr.value === false) {
+      inapplicable.push(policy);
+    } else if (policy.effect === 'forbid') {
+      forbids.push(policy);
+    } else {
+      permits.push(policy);
+    }
+  }
+
+  return {
+    principal: residual?.principal ?? null,
+    action: residual?.action ?? null,
+    resourceType,
+    decision: extracted.decision,
+    permits,
+    forbids,
+    inapplicable,
+    errors: residual?.errors ?? []
+  };
+}
+
+/**
+ * Replace `resource is T` (for the residual's resource type) with true
+ */
+function dropResourceTypeTests(expr, resourceType) {
+  switch (expr.op) {
+    case 'is':
+      return expr.left.op === 'var' && expr.left.name === 'resource' && expr.entityType === resourceType && !expr.in
+        ? TRUE
+        : expr;
+    case '&&':
+    case '||':
+      return { ...expr, args: expr.args.map(arg => dropResourceTypeTests(arg, resourceType)) };
+    case '!':
+      return { ...expr, arg: dropResourceTypeTests(expr.arg, resourceType) };
+    default:
+      return expr;
+  }
+}
+
+/**
+ * Render the policies as Cedar
+ *
+ * @param {Object} view - Result of readResidual
+ * @returns {string[]} Lines
+ */
+export function renderCedar(view) {
+  const lines = [`// Decision: ${view.decision}`];
+  for (const policy of [...view.permits, ...view.forbids]) {
+    lines.push('');
+    if (policy.id) {
+      lines.push(`@id(${JSON.stringify(policy.id)})`);
+    }
+    if (policy.expr.op === 'value' && policy.expr.value === true) {
+      lines.push(`${policy.effect}(principal, action, resource);`);
+    } else {
+      lines.push(`${policy.effect}(principal, action, resource) when {`);
+      lines.push(`  ${toCedarText(policy.expr)}`);
+      lines.push('};');
+    }
+  }
+  if (view.inapplicable.length > 0) {
+    lines.push('', `// Do not apply: ${view.inapplicable.map(policy => policy.id ?? '(unnamed)').join(', ')}`);
+  }
+  return lines;
+}
+
+/**
+ * Render the access condition as an indented boolean tree
+ *
+ * The root is "ANY permit AND NOT ANY forbid", as Cedar decides: a chunk is
+ * reachable when some permit holds and no forbid does.
+ *
+ * @param {Object} view - Result of readResidual
+ * @returns {string[]} Lines
+ */
+export function renderTree(view) {
+  const permitNode = {
+    label: 'ANY of (permit)',
+    children: view.permits.map(policy => policyNode(policy))
+  };
+  if (permitNode.children.length === 0) {
+    permitNode.children.push({ label: 'nothing: no permit applies', children: [] });
+  }
+  const root = { label: `ALLOW ${resourceNoun(view.resourceType)} where`, children: [permitNode] };
+  if (view.forbids.length > 0) {
+    root.label = `ALLOW ${resourceNoun(view.resourceType)} where ALL of`;
+    root.children.push({
+      label: 'NONE of (forbid)',
+      children: view.forbids.map(policy => policyNode(policy))
+    });
+  }
+  return [root.label, ...treeLines(root.children, '')];
+}
+
+function policyNode(policy) {
+  const name = policy.id ?? '(unnamed)';
+  const node = expressionNode(policy.expr);
+  return { label: `${name}: ${node.label}`, children: node.children };
+}
+
+function expressionNode(expr) {
+  switch (expr.op) {
+    case '&&':
+      return { label: 'ALL of', children: expr.args.map(expressionNode) };
+    case '||':
+      return { label: 'ANY of', children: expr.args.map(expressionNode) };
+    case '!': {
+      const inner = expressionNode(expr.arg);
+      return { label: `NOT ${inner.label}`, children: inner.children };
+    }
+    default:
+      return { label: toCedarText(expr), children: [] };
+  }
+}
+
+function treeLines(nodes, indent) {
+  const lines = [];
+  nodes.forEach((node, index) => {
+    const last = index === nodes.length - 1;
+    lines.push(`${indent}${last ? '└─ ' : '├─ '}${node.label}`);
+    lines.push(...treeLines(node.children, `${indent}${last ? '   ' : '│  '}`));
+  });
+  return lines;
+}
+
+/**
+ * Explain the residual in plain English
+ *
+ * @param {Object} view - Result of readResidual
+ * @returns {string[]} Lines
+ */
+export function renderExplanation(view) {
+  const who = view.principal ? entityName(view.principal) : 'The principal';
+  const actionId = view.action ? entityName(view.action) : null;
+  const verb = actionId ? ACTION_VERBS[actionId] ?? actionId : 'access';
+  const noun = resourceNoun(view.resourceType);
+
+  const lines = [];
+  if (view.permits.length === 0) {
+    lines.push(`${who} may ${verb} no ${noun} (decision ${view.decision}).`);
+  } else {
+    const unconditional = view.permits.some(policy => policy.expr.op === 'value' && policy.expr.value === true);
+    const permits = groupPolicies(view.permits);
+    let sentence = unconditional
+      ? `${who} may ${verb} all ${noun}`
+      : `${who} may ${verb} ${noun} where ${permits.map(group => describePolicies(group, permits.length > 1)).join(' OR ')}`;
+    if (view.forbids.length > 0) {
+      const forbids = groupPolicies(view.forbids);
+      sentence += `, EXCEPT ${forbids.map(group => `${noun} where ${describePolicies(group, false)}`).join(', or ')}`;
+    }
+    lines.push(`${sentence}.`);
+  }
+
+  for (const error of view.errors) {
+    lines.push(view.inapplicable.some(policy => policy.id === error.policyId && policy.effect === 'forbid')
+      ? `Forbid ${error.policyId} errored during evaluation (${error.message}), so filters compiled from this residual fail closed.`
+      : `Policy ${error.policyId} errored during evaluation and does not apply: ${error.message}.`);
+  }
+  return lines;
+}
+
+// Group policies with the same condition so it is explained once
+function groupPolicies(policies) {
+  const groups = [];
+  for (const policy of policies) {
+    const group = groups.find(candidate => sameExpression(candidate[0].expr, policy.expr));
+    if (group) {
+      group.push(policy);
+    } else {
+      groups.push([policy]);
+    }
+  }
+  return groups;
+}
+
+function describePolicies(group, bracket) {
+  const text = describeExpression(group[0].expr, bracket ? 'policy' : null);
+  const ids = group.map(policy => policy.id).filter(Boolean);
+  if (ids.length === 0) {
+    return text;
+  }
+  return `${text} (${ids.length === 1 ? 'policy' : 'policies'} ${ids.join(', ')})`;
+}
+
+/**
+ * Word a condition: `resource.customer_readers_team == Team::"x"` reads as
+ * "customer readers team is x"
+ */
+function describeExpression(expr, parent = null) {
+  switch (expr.op) {
+    case '&&':
+    case '||': {
+      const text = expr.args.map(arg => describeExpression(arg, expr.op)).join(expr.op === '&&' ? ' AND ' : ' OR ');
+      return parent && parent !== expr.op ? `(${text})` : text;
+    }
+    case '!':
+      return `NOT ${describeExpression(expr.arg, '!')}`;
+    case 'value':
+      return expr.value === true ? 'always' : expr.value === false ? 'never' : describeValue(expr);
+    case '==':
+    case '!=':
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      const [subject, object] = orderOperands(expr.left, expr.right);
+      return `${describeValue(subject)} ${ENGLISH_COMPARISONS[expr.op]} ${describeValue(object)}`;
+    }
+    case 'contains':
+      if (expr.left.op === 'set') {
+        return `${describeValue(expr.right)} is ${describeOneOf(expr.left)}`;
+      }
+      return `${describeValue(expr.left)} includes ${describeValue(expr.right)}`;
+    case 'containsAny':
+      return `${describeValue(expr.left)} includes any of ${describeList(expr.right)}`;
+    case 'containsAll':
+      return `${describeValue(expr.left)} includes all of ${describeList(expr.right)}`;
+    case 'in':
+      return expr.right.op === 'set'
+        ? `${describeValue(expr.left)} is in ${describeOneOf(expr.right)}`
+        : `${describeValue(expr.left)} is in ${describeValue(expr.right)}`;
+    case 'has':
+      return `${describeValue(expr.left)} has ${humanize(expr.attr)}`;
+    case 'is':
+      return `${describeValue(expr.left)} is a ${expr.entityType.split('::').pop()}`;
+    case 'like':
+      return `${describeValue(expr.left)} matches ${toCedarText(expr).split(' like ').pop()}`;
+    case '.':
+    case 'var':
+      return describeValue(expr);
+    default:
+      return toCedarText(expr);
+  }
+}
+
+// Put the resource side of a comparison first
+function orderOperands(left, right) {
+  return mentionsResource(right) && !mentionsResource(left) ? [right, left] : [left, right];
+}
+
+function mentionsResource(expr) {
+  return /\bresource\b/.test(toCedarText(expr));
+}
+
+function describeValue(expr) {
+  switch (expr.op) {
+    case 'var':
+      return expr.name === 'resource' ? 'the chunk' : expr.name;
+    case '.': {
+      const path = [];
+      let node = expr;
+      while (node.op === '.') {
+        path.unshift(node.attr);
+        node = node.left;
+      }
+      const prefix = node.op === 'var' && node.name === 'resource' ? '' : `${describeValue(node)}'s `;
+      return `${prefix}${path.map(humanize).join(' ')}`;
+    }
+    case 'entity':
+      return expr.id;
+    case 'value':
+      return typeof expr.value === 'string' ? expr.value : String(expr.value);
+    case 'set':
+      return describeList(expr);
+    default:
+      return toCedarText(expr);
+  }
+}
+
+function describeOneOf(set) {
+  return set.elements.length === 1 ? describeValue(set.elements[0]) : `one of ${describeList(set)}`;
+}
+
+function describeList(expr) {
+  return expr.op === 'set' ? expr.elements.map(describeValue).join(', ') : describeValue(expr);
+}
+
+function humanize(attr) {
+  return attr.replace(/_/g, ' ');
+}
+
+// "Platform::Customer::\"kate\"" → "kate"
+function entityName(uid) {
+  const match = uid.match(/::"((?:[^"\\]|\\.)*)"$/);
+  return match ? JSON.parse(`"${match[1]}"`) : uid;
+}
+
+// "Platform::Chunk" → "chunks"
+function resourceNoun(resourceType) {
+  return resourceType ? `${resourceType.split('::').pop().toLowerCase()}s` : 'resources';
+}
+
+/**
+ * Place two blocks of lines next to each other
+ *
+ * @param {string[]} left - Left column lines
+ * @param {string[]} right - Right column lines
+ * @returns {string[]} Combined lines
+ */
+export function sideBySide(left, right) {
+  const width = Math.max(0, ...left.map(line => line.length));
+  const rows = Math.max(left.length, right.length);
+  const lines = [];
+  for (let i = 0; i < rows; i++) {
+    lines.push(`${(left[i] ?? '').padEnd(width)} │ ${right[i] ?? ''}`.trimEnd());
+  }
+  return lines;
+}
+
+/**
+ * Render a residual in the requested formats
+ *
+ * @param {Object} residual - Residual in any format accepted by residual-to-filter.js
+ * @param {Object} options - Options
+ * @param {string} options.format - 'cedar', 'tree', 'english' or 'all' (default)
+ * @param {boolean} options.filter - Show the compiled OpenSearch filter beside the first view
+ * @param {Object} options.fieldMapping - Field mapping for the filter
+ * @param {Object} options.context - Request context to bind into the residual
+ * @returns {string} Rendering
+ */
+export function renderResidual(residual, options = {}) {
+  const { format = 'all' } = options;
+  const view = readResidual(residual, options);
+  const sections = [];
+  const add = (title, lines) => sections.push([title, '─'.repeat(title.length), ...lines].join('\n'));
+
+  let filterLines = null;
+  if (options.filter) {
+    const filter = compileToOpenSearchFilter(residual, {
+      fieldMapping: options.fieldMapping,
+      context: options.context,
+      onUnsupported: 'match_none'
+    });
+    filterLines = ['// OpenSearch filter', ...JSON.stringify(filter, null, 2).split('\n')];
+  }
+  // The filter goes beside the first section only
+  const withFilter = lines => {
+    if (!filterLines) {
+      return lines;
+    }
+    const combined = sideBySide(lines, filterLines);
+    filterLines = null;
+    return combined;
+  };
+
+  if (format === 'cedar' || format === 'all') {
+    add('Residual policies (Cedar)', withFilter(renderCedar(view)));
+  }
+  if (format === 'tree' || format === 'all') {
+    add('Access condition', withFilter(renderTree(view)));
+  }
+  if (format === 'english' || format === 'all') {
+    add('Explanation', withFilter(renderExplanation(view)));
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    const residual = JSON.parse(readFileSync(options.residual, 'utf-8'));
+    const rendering = renderResidual(residual, {
+      format: options.format,
+      filter: options.filter,
+      fieldMapping: options.filter ? loadFieldMapping(options.mapping) : undefined,
+      context: options.context ? readRequestContext(options.context) : null
+    });
+
+    if (options.out) {
+      ensureDir(dirname(options.out));
+      writeFileSync(options.out, rendering, 'utf-8');
+      console.log(`✓ Rendering written to ${options.out}`);
+    } else {
+      process.stdout.write(rendering);
+    }
+  } catch (error) {
+    console.error('Error rendering residual:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * Scope Diff
+ *
+ * Compares two authorization scopes, to answer "why can alice see this but
+ * kate can't?" or "what changes if we merge this policy change?". The two
+ * sides are either:
+ * - two residual files (--residual A --residual B)
+ * - two principals under the same policies (--principal A --principal B)
+ * - one principal under two policy directories (--policies A --policies B)
+ *   or two sets of template links (--links A --links B)
+ *
+ * Both residuals are normalised as for render-residual.js (simplified, with
+ * the resource type test dropped) and compared policy by policy: a policy
+ * whose condition only holds on one side is added or removed, and a changed
+ * condition is reported as the top-level constraints (conjuncts) removed and
+ * added. With --chunks, both residuals are also applied to the chunk
+ * metadata to list the chunks that move into or out of scope.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { toCedarText } from '../compile/cedar-parser.js';
+import { sameExpression } from '../compile/simplify.js';
+import { DEFAULT_FIELD_MAPPING_PATH, loadFieldMapping } from '../compile/mapping.js';
+import { compileToPredicate } from '../compile/residual-to-filter.js';
+import { ENGINES, parseUid, partiallyEvaluatePolicies, policyEntityReferences } from './engines.js';
+import { readResidual } from './render-residual.js';
+import { collectEntityReferences, formatEntityUid, loadEntitySlice, openEntityProvider } from '../lib/entity-store.js';
+import { defaultLinksPath, readPolicySet } from '../lib/policy-set.js';
+import { readJsonl, readRequestContext, writeJson } from '../lib/util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+// Parse command-line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    residuals: [],
+    principals: [],
+    policies: [],
+    links: [],
+    action: 'Platform::Action::"view"',
+    resourceType: 'Platform::Chunk',
+    context: null,
+    engine: 'auto',
+    chunks: null,
+    mapping: DEFAULT_FIELD_MAPPING_PATH,
+    json: null,
+    schema: resolve(PROJECT_ROOT, 'cedar/schema.cedarschema'),
+    entities: resolve(PROJECT_ROOT, 'cedar/entities.json')
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--residual':
+      case '-r':
+        options.residuals.push(args[++i]);
+        break;
+      case '--principal':
+      case '-p':
+        options.principals.push(args[++i]);
+        break;
+      case '--policies':
+        options.policies.push(args[++i]);
+        break;
+      case '--links':
+        options.links.push(args[++i]);
+        break;
+      case '--action':
+      case '-a':
+        options.action = args[++i];
+        break;
+      case '--resource-type':
+        options.resourceType = args[++i];
+        break;
+      case '--context':
+      case '-c':
+        options.context = args[++i];
+        break;
+      case '--engine':
+      case '-e':
+        options.engine = args[++i];
+        break;
+      case '--chunks':
+        options.chunks = args[++i];
+        break;
+      case '--mapping':
+      case '-m':
+        options.mapping = args[++i];
+        break;
+      case '--json':
+        options.json = args[++i];
+        break;
+      case '--schema':
+        options.schema = args[++i];
+        break;
+      case '--entities':
+        options.entities = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${arg}`);
+        printHelp();
+        process.exit(1);
+    }
+  }
+
+  // Exactly one of the three ways to name the two sides
+  if (options.residuals.length === 2 && options.principals.length === 0 && options.policies.length === 0) {
+    options.mode = 'residuals';
+  } else if (options.residuals.length === 0 && options.principals.length === 2
+    && options.policies.length <= 1 && options.links.length <= 1) {
+    options.mode = 'principals';
+  } else if (options.residuals.length === 0 && options.principals.length === 1
+    && options.policies.length <= 2 && options.links.length <= 2
+    && Math.max(options.policies.length, options.links.length) === 2) {
+    options.mode = 'policies';
+  } else {
+    console.error('Error: give two --residual files, two --principal UIDs, or one --principal with two --policies directories or two --links files');
+    printHelp();
+    process.exit(1);
+  }
+
+  if (!ENGINES.includes(options.engine)) {
+    console.error(`Error: --engine must be one of ${ENGINES.join(', ')}, got '${options.engine}'`);
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+Usage: node scope-diff.js [options]
+
+Sides (one of):
+  --residual, -r <file>      Twice: compare two residual files
+  --principal, -p <uid>      Twice: compare two principals under the same policies
+  --principal <uid> --policies <dir> --policies <dir>
+                             Compare one principal under two policy directories
+  --principal <uid> --links <file> --links <file>
+                             Compare one principal under two sets of template links
+
+Optional:
+  --action, -a <action>      Action to evaluate (default: Platform::Action::"view")
+  --resource-type <type>     Resource type (default: Platform::Chunk)
+  --context, -c <file>       Request context for evaluation, or to bind into
+                             --defer-context residuals
+  --engine, -e <engine>      Partial evaluation engine: auto (default), wasm, js or cli
+  --policies <dir>           Policies for both principals (default: cedar/policies)
+  --links <file>             Template links for both sides (default: template-links.json
+                             beside each policies directory, if present)
+  --schema <file>            Cedar schema file (default: cedar/schema.cedarschema)
+  --entities <path>          Entity store (default: cedar/entities.json)
+  --chunks <file>            Chunk metadata JSONL (e.g. data/chunks.jsonl); list the
+                             chunks that move into or out of scope
+  --mapping, -m <file>       Attribute-to-field mapping JSON for --chunks
+  --json <file>              Also write the diff as JSON
+  --help, -h                 Show this help message
+
+Examples:
+  node src/tpe/scope-diff.js \\
+    --principal 'Platform::Employee::"alice"' \\
+    --principal 'Platform::Customer::"kate"' \\
+    --chunks data/chunks.jsonl
+
+  node src/tpe/scope-diff.js --principal 'Platform::Customer::"kate"' \\
+    --policies cedar/policies --policies ../policy-pr/cedar/policies
+
+  node src/tpe/scope-diff.js --principal 'Platform::Customer::"jack"' \\
+    --links cedar/template-links.json --links ../policy-pr/cedar/template-links.json
+`);
+}
+
+/**
+ * Partially evaluate one side of the diff
+ */
+async function evaluateSide(principal, policiesDir, linksPath, shared) {
+  const { policiesText, templateLinks } = readPolicySet(policiesDir, linksPath ?? defaultLinksPath(policiesDir));
+  const entities = await loadEntitySlice(shared.provider, [
+    formatEntityUid(parseUid(principal)),
+    ...collectEntityReferences(shared.context),
+    ...policyEntityReferences(policiesText, templateLinks)
+  ]);
+  const { residual } = partiallyEvaluatePolicies({
+    principal,
+    action: shared.action,
+    resourceType: shared.resourceType,
+    context: shared.context,
+    schemaText: shared.schemaText,
+    policiesText,
+    templateLinks,
+    entities
+  }, {
+    engine: shared.engine,
+    tmpDir: resolve(PROJECT_ROOT, '.tmp')
+  });
+  return residual;
+}
+
+/**
+ * Compare two residuals policy by policy
+ *
+ * @param {Object} before - Residual A (any format accepted by residual-to-filter.js)
+ * @param {Object} after - Residual B
+ * @param {Object} options - Options
+ * @param {Object} options.context - Request context to bind into the residuals
+ * @returns {{decision: {before: string, after: string}, policies: Object[]}} Per-policy entries:
+ *   { id, effect, status: 'added'|'removed'|'changed'|'unchanged', before, after, removed, added }
+ *   where before/after are Cedar text (null when the policy does not apply) and
+ *   removed/added list the constraints that differ
+ */
+export function diffResiduals(before, after, options = {}) {
+  const beforeView = readResidual(before, { context: options.context, useDecision: false });
+  const afterView = readResidual(after, { context: options.context, useDecision: false });
+  const left = policiesById(beforeView);
+  const right = policiesById(afterView);
+
+  const policies = [];
+  for (const key of new Set([...left.keys(), ...right.keys()])) {
+    const a = left.get(key);
+    const b = right.get(key);
+    const aExpr = a?.applies ? a.expr : null;
+    const bExpr = b?.applies ? b.expr : null;
+    if (!aExpr && !bExpr) {
+      continue;
+    }
+
+    let status;
+    if (!aExpr) {
+      status = 'added';
+    } else if (!bExpr) {
+      status = 'removed';
+    } else {
+      status = sameExpression(aExpr, bExpr) ? 'unchanged' : 'changed';
+    }
+
+    const aConstraints = aExpr ? conjuncts(aExpr) : [];
+    const bConstraints = bExpr ? conjuncts(bExpr) : [];
+    const missingFrom = (constraints, others) => constraints
+      .filter(constraint => !others.some(other => sameExpression(constraint, other)))
+      .map(constraint => toCedarText(constraint));
+
+    policies.push({
+      id: (a ?? b).id,
+      effect: (a ?? b).effect,
+      status,
+      before: aExpr && toCedarText(aExpr),
+      after: bExpr && toCedarText(bExpr),
+      removed: status === 'unchanged' ? [] : missingFrom(aConstraints, bConstraints),
+      added: status === 'unchanged' ? [] : missingFrom(bConstraints, aConstraints)
+    });
+  }
+
+  return {
+    decision: { before: beforeView.decision, after: afterView.decision },
+    policies
+  };
+}
+
+// Index a rendered residual's policies by id (or effect and position when unnamed)
+function policiesById(view) {
+  const policies = new Map();
+  const add = (policy, applies) => {
+    let key = policy.id ?? `(unnamed ${policy.effect})`;
+    for (let n = 2; policies.has(key); n++) {
+      key = `${policy.id ?? `(unnamed ${policy.effect})`} #${n}`;
+    }
+    policies.set(key, { ...policy, id: policy.id ?? key, applies });
+  };
+  view.permits.forEach(policy => add(policy, true));
+  view.forbids.forEach(policy => add(policy, true));
+  view.inapplicable.forEach(policy => add(policy, false));
+  return policies;
+}
+
+function conjuncts(expr) {
+  return expr.op === '&&' ? expr.args.flatMap(conjuncts) : [expr];
+}
+
+/**
+ * Chunks that one residual authorizes and the other does not
+ *
+ * @param {Object} before - Residual A
+ * @param {Object} after - Residual B
+ * @param {Object[]} chunks - Chunk metadata
+ * @param {Object} options - Compilation options (fieldMapping, context)
+ * @returns {{entered: string[], left: string[]}} Chunk ids only B authorizes, and only A authorizes
+ */
+export function diffChunks(before, after, chunks, options = {}) {
+  const inBefore = compileToPredicate(before, options);
+  const inAfter = compileToPredicate(after, options);
+  return {
+    entered: chunks.filter(chunk => inAfter(chunk) && !inBefore(chunk)).map(chunk => chunk.id),
+    left: chunks.filter(chunk => inBefore(chunk) && !inAfter(chunk)).map(chunk => chunk.id)
+  };
+}
+
+/**
+ * Format a diff for the terminal
+ *
+ * @param {Object} diff - { labels, decision, policies, chunks }
+ * @returns {string[]} Lines
+ */
+export function formatDiff(diff) {
+  const lines = [
+    `A: ${diff.labels.before}`,
+    `B: ${diff.labels.after}`,
+    '',
+    `Decision: ${diff.decision.before}${diff.decision.before === diff.decision.after ? ' (unchanged)' : ` → ${diff.decision.after}`}`,
+    ''
+  ];
+
+  const changed = diff.policies.filter(policy => policy.status !== 'unchanged');
+  if (changed.length === 0) {
+    lines.push('No policy constraints differ.');
+  }
+  for (const policy of changed) {
+    lines.push(`${policy.status.padEnd(8)} ${policy.effect} ${policy.id}`);
+    for (const constraint of policy.removed) {
+      lines.push(`  - ${constraint}`);
+    }
+    for (const constraint of policy.added) {
+      lines.push(`  + ${constraint}`);
+    }
+  }
+  const unchanged = diff.policies.filter(policy => policy.status === 'unchanged');
+  if (unchanged.length > 0) {
+    lines.push(`unchanged: ${unchanged.map(policy => policy.id).join(', ')}`);
+  }
+
+  if (diff.chunks) {
+    lines.push('', `Chunks (${diff.chunks.source}):`);
+    if (diff.chunks.entered.length === 0 && diff.chunks.left.length === 0) {
+      lines.push('  no chunk changes scope');
+    }
+    for (const id of diff.chunks.entered) {
+      lines.push(`  + ${id} (only B)`);
+    }
+    for (const id of diff.chunks.left) {
+      lines.push(`  - ${id} (only A)`);
+    }
+  }
+  return lines;
+}
+
+// Main execution
+async function main() {
+  const options = parseArgs();
+
+  try {
+    const context = options.context ? readRequestContext(options.context) : null;
+    let before;
+    let after;
+    let labels;
+
+    if (options.mode === 'residuals') {
+      [before, after] = options.residuals.map(file => JSON.parse(readFileSync(file, 'utf-8')));
+      labels = { before: options.residuals[0], after: options.residuals[1] };
+    } else {
+      const provider = await openEntityProvider(options.entities);
+      try {
+        const shared = {
+          provider,
+          action: options.action,
+          resourceType: options.resourceType,
+          context: context ?? {},
+          schemaText: readFileSync(options.schema, 'utf-8'),
+          engine: options.engine
+        };
+        if (options.mode === 'principals') {
+          const policiesDir = options.policies[0] ?? resolve(PROJECT_ROOT, 'cedar/policies');
+          before = await evaluateSide(options.principals[0], policiesDir, options.links[0], shared);
+          after = await evaluateSide(options.principals[1], policiesDir, options.links[0], shared);
+          labels = { before: options.principals[0], after: options.principals[1] };
+        } else {
+          // A single --policies or --links applies to both sides
+          const side = index => ({
+            policiesDir: options.policies[index] ?? options.policies[0] ?? resolve(PROJECT_ROOT, 'cedar/policies'),
+            linksPath: options.links[index] ?? options.links[0]
+          });
+          const describe = ({ policiesDir, linksPath }) => (options.policies.length === 2
+            ? relative(process.cwd(), resolve(policiesDir))
+            : relative(process.cwd(), resolve(linksPath)));
+          const [beforeSide, afterSide] = [side(0), side(1)];
+          before = await evaluateSide(options.principals[0], beforeSide.policiesDir, beforeSide.linksPath, shared);
+          after = await evaluateSide(options.principals[0], afterSide.policiesDir, afterSide.linksPath, shared);
+          labels = {
+            before: `${options.principals[0]} with ${describe(beforeSide)}`,
+            after: `${options.principals[0]} with ${describe(afterSide)}`
+          };
+        }
+      } finally {
+        provider.close();
+      }
+    }
+
+    // Evaluation already substituted the context; residual files may still need it bound
+    const bindContext = options.mode === 'residuals' ? context : null;
+    const diff = { labels, ...diffResiduals(before, after, { context: bindContext }) };
+
+    if (options.chunks) {
+      const chunks = readJsonl(options.chunks);
+      diff.chunks = {
+        source: options.chunks,
+        ...diffChunks(before, after, chunks, {
+          fieldMapping: loadFieldMapping(options.mapping),
+          context: bindContext
+        })
+      };
+    }
+
+    console.log(formatDiff(diff).join('\n'));
+
+    if (options.json) {
+      writeJson(options.json, diff);
+      console.log(`\n✓ Diff written to ${options.json}`);
+    }
+  } catch (error) {
+    console.error('Error computing scope diff:', error.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
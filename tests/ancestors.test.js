@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotateAncestors } from '../src/ingest/ancestors.js';
+
+const folder = id => ({ type: 'Platform::Folder', id });
+
+const ENTITIES = [
+  { uid: { type: 'Platform::Workspace', id: 'custco' }, attrs: {}, parents: [] },
+  { uid: folder('planning'), attrs: {}, parents: [{ type: 'Platform::Workspace', id: 'custco' }] },
+  { uid: { type: 'Platform::Document', id: 'q3-plan' }, attrs: {}, parents: [folder('planning')] },
+  { uid: { __entity: { type: 'Platform::Chunk', id: 'faq#1' } }, attrs: {}, parents: [{ __entity: folder('a') }] },
+  { uid: folder('a'), attrs: {}, parents: [folder('b')] },
+  { uid: folder('b'), attrs: {}, parents: [folder('a')] }
+];
+
+test('chunks get their document and its ancestors, nearest first', () => {
+  const [chunk] = annotateAncestors([{ id: 'q3-plan#1', doc_id: 'q3-plan' }], ENTITIES);
+  assert.deepEqual(chunk.ancestors, [
+    'Platform::Document::"q3-plan"',
+    'Platform::Folder::"planning"',
+    'Platform::Workspace::"custco"'
+  ]);
+});
+
+test('a chunk entity uses its own parents, and cycles are followed once', () => {
+  const [faq, orphan] = annotateAncestors([{ id: 'faq#1', doc_id: 'faq' }, { id: 'orphan#1' }], ENTITIES);
+  assert.deepEqual(faq.ancestors, ['Platform::Folder::"a"', 'Platform::Folder::"b"']);
+  assert.deepEqual(orphan.ancestors, []);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import * as cedar from '@cedar-policy/cedar-wasm/nodejs';
+import { parseExpression, parsePolicies, policyCondition } from '../src/compile/cedar-parser.js';
+import { astToEst, estPolicyToAst, estToAst } from '../src/compile/cedar-est.js';
+import { compileResidual } from '../src/compile/mapping.js';
+
+const POLICIES_DIR = fileURLToPath(new URL('../cedar/policies', import.meta.url));
+
+// One of each construct the EST converter handles
+const EXPRESSIONS = [
+  'resource.tenant == principal.tenant',
+  'resource.classification != "confidential" && !(resource has owner)',
+  'principal.teams.contains(resource.customer_readers_team) || resource.doc in Platform::Folder::"planning"',
+  'resource is Platform::Chunk in Platform::Document::"q3-plan"',
+  'resource.name like "q3-*\\*"',
+  'if context.device_trusted then true else resource.classification == "internal"',
+  'resource.size + 1 > 10 && -resource.size <= 3 * 2',
+  '[1, 2, 3].containsAll([resource.size]) && {a: 1, "b c": [true]}.a == 1',
+  'decimal("1.5").lessThan(resource.score) && ip("10.0.0.0/8").isInRange(context.ip)',
+  'resource.tags.hasTag("x") && resource.tags.getTag("x") == "y"',
+  'resource.labels.isEmpty() || resource.labels.containsAny(["a", "b"])',
+  'resource["doc"].tenant == principal.tenant && context has purpose && context.purpose == "sup\\"port"'
+];
+
+// cedar-wasm's EST for Cedar policy text
+function toEst(text) {
+  const answer = cedar.policyToJson(text);
+  assert.equal(answer.type, 'success', text);
+  return answer.json;
+}
+
+test("cedar-wasm's EST of an expression converts to the parser's AST", () => {
+  for (const text of EXPRESSIONS) {
+    const policy = estPolicyToAst(toEst(`permit(principal, action, resource) when { ${text} };`));
+    assert.deepEqual(policyCondition(policy), parseExpression(text), text);
+  }
+});
+
+test("cedar-wasm's EST of each policy and template converts to the parser's AST", () => {
+  const text = readdirSync(POLICIES_DIR)
+    .filter(file => file.endsWith('.cedar'))
+    .map(file => readFileSync(resolve(POLICIES_DIR, file), 'utf-8'))
+    .join('\n');
+  const parts = cedar.policySetTextToParts(text);
+  assert.equal(parts.type, 'success');
+  const ests = [
+    ...parts.policies.map(toEst),
+    ...parts.policy_templates.map(templateText => {
+      const answer = cedar.templateToJson(templateText);
+      assert.equal(answer.type, 'success', templateText);
+      return answer.json;
+    })
+  ];
+
+  const parsed = new Map(parsePolicies(text).map(policy => [policy.id, policy]));
+  assert.equal(ests.length, parsed.size);
+  for (const est of ests) {
+    const policy = estPolicyToAst(est);
+    const expected = parsed.get(policy.id);
+    assert.equal(policy.effect, expected.effect, policy.id);
+    assert.deepEqual(policyCondition(policy), policyCondition(expected), policy.id);
+  }
+});
+
+test('an EST residual compiles like its Cedar text', () => {
+  const text = 'resource.tenant == "custco" && resource.classification != "confidential"';
+  const est = toEst(`permit(principal, action, resource) when { ${text} };`).conditions[0].body;
+  assert.deepEqual(compileResidual(est), compileResidual(text));
+});
+
+test('astToEst and estToAst round-trip every construct', () => {
+  for (const text of EXPRESSIONS) {
+    const ast = parseExpression(text);
+    const est = astToEst(ast);
+    assert.deepEqual(estToAst(est), ast, text);
+    // cedar-wasm splits like patterns into one literal per character
+    const wasm = toEst(`permit(principal, action, resource) when { ${text} };`).conditions[0].body;
+    assert.deepEqual(estToAst(est), estToAst(wasm), text);
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseExpression, parsePolicies, policyCondition, toCedarText } from '../src/compile/cedar-parser.js';
+import { compileResidual } from '../src/compile/mapping.js';
+
+const POLICIES_DIR = fileURLToPath(new URL('../cedar/policies', import.meta.url));
+
+// One of each construct the parser and printer handle
+const EXPRESSIONS = [
+  'resource.tenant == principal.tenant',
+  'resource.classification != "confidential" && !(resource has owner)',
+  'principal.teams.contains(resource.customer_readers_team) || resource.doc in Platform::Folder::"planning"',
+  'resource is Platform::Chunk in Platform::Document::"q3-plan"',
+  'resource.name like "q3-*\\*"',
+  'if context.device_trusted then true else resource.classification == "internal"',
+  'resource.size + 1 > 10 && -resource.size <= 3 * 2',
+  '[1, 2, 3].containsAll([resource.size]) && {a: 1, "b c": [true]}.a == 1',
+  'decimal("1.5").lessThan(resource.score) && ip("10.0.0.0/8").isInRange(context.ip)',
+  'resource.tags.hasTag("x") && resource.tags.getTag("x") == "y"',
+  'resource.labels.isEmpty() || resource.labels.containsAny(["a", "b"])',
+  'resource["doc"].tenant == principal.tenant && context has purpose && context.purpose == "sup\\"port"'
+];
+
+test('printed expressions parse back to the same AST', () => {
+  for (const text of EXPRESSIONS) {
+    const ast = parseExpression(text);
+    assert.deepEqual(parseExpression(toCedarText(ast)), ast, text);
+  }
+});
+
+test('printing is stable after one round trip', () => {
+  for (const text of EXPRESSIONS) {
+    const printed = toCedarText(parseExpression(text));
+    assert.equal(toCedarText(parseExpression(printed)), printed, text);
+  }
+});
+
+test('printed policy conditions parse back to the same AST', () => {
+  const text = readdirSync(POLICIES_DIR)
+    .filter(file => file.endsWith('.cedar'))
+    .map(file => readFileSync(resolve(POLICIES_DIR, file), 'utf-8'))
+    .join('\n');
+  const policies = parsePolicies(text);
+  assert.ok(policies.length > 0);
+  for (const policy of policies) {
+    const condition = policyCondition(policy);
+    assert.deepEqual(parseExpression(toCedarText(condition)), condition, policy.id);
+  }
+});
+
+test('policies keep their id, effect and annotations', () => {
+  const [policy] = parsePolicies('@id("no-secrets")\n@owner("security")\nforbid(principal, action, resource)\nwhen { resource.classification == "secret" };');
+  assert.equal(policy.id, 'no-secrets');
+  assert.equal(policy.effect, 'forbid');
+  assert.deepEqual(policy.annotations, { id: 'no-secrets', owner: 'security' });
+});
+
+test('syntax errors are reported', () => {
+  assert.throws(() => parseExpression('resource.name == "unterminated'), /unterminated string/);
+  assert.throws(() => parseExpression('resource.tenant == '));
+  assert.throws(() => parsePolicies('permit(principal, action, resource) when { true }'));
+});
+
+test('known sets and records compare by value', () => {
+  const must = text => compileResidual(text, { simplify: false }).must;
+  const tenant = { term: { tenant_id: 'custco' } };
+  assert.deepEqual(must('resource.tenant == "custco" && [1, 2] == [2, 1, 1]'), [tenant]);
+  assert.deepEqual(must('resource.tenant == "custco" && [1, 2] == [1, 3]'), [tenant, { match_none: {} }]);
+  assert.deepEqual(must('{a: 1, b: [true]} == {b: [true], a: 1}'), []);
+  assert.deepEqual(must('Platform::Team::"x" == Platform::Tenant::"x"'), [{ match_none: {} }]);
+});
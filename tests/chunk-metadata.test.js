@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { deriveChunkMetadata } from '../src/ingest/chunk-metadata.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const schemaText = readFileSync(resolve(ROOT, 'cedar/schema.cedarschema'), 'utf-8');
+const entities = JSON.parse(readFileSync(resolve(ROOT, 'cedar/entities.json'), 'utf-8'));
+const committed = readFileSync(resolve(ROOT, 'data/chunks.jsonl'), 'utf-8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line));
+
+// What chunk.js writes: only the fields it sets itself
+const bare = committed.map(({ id, doc_id, tenant_id, headings, text, source }) => ({ id, doc_id, tenant_id, headings, text, source }));
+
+test('the committed chunks are what their documents give', () => {
+  const { chunks, errors } = deriveChunkMetadata(bare, entities, { schemaText });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(chunks, bare.map((chunk, index) => ({ ...chunk, ...committed[index] })));
+  assert.deepEqual(chunks.find(chunk => chunk.id === 'hr-note#1').ancestors, [
+    'Platform::Document::"hr-note"',
+    'Platform::Folder::"hr"',
+    'Platform::Workspace::"custco-main"'
+  ]);
+});
+
+test('a stale ancestors chain or an unknown document is reported', () => {
+  const moved = { ...committed[0], ancestors: ['Platform::Document::"hr-note"', 'Platform::Folder::"planning"'] };
+  const orphan = { ...bare[0], id: 'gone#1', doc_id: 'gone' };
+  const { chunks, errors } = deriveChunkMetadata([moved, orphan], entities, { schemaText });
+  assert.deepEqual(chunks, []);
+  assert.deepEqual(errors.map(error => error.id), ['hr-note#1', 'gone#1']);
+  assert.match(errors[0].message, /^ancestors is/);
+  assert.match(errors[1].message, /document gone is not in the entity store/);
+});
+
+test('chunks about to be indexed must already carry every derived field', () => {
+  const { errors } = deriveChunkMetadata(bare.slice(0, 1), entities, { schemaText, requirePresent: true });
+  assert.ok(errors.some(error => /^classification is missing/.test(error.message)));
+  assert.ok(errors.some(error => /^ancestors is missing/.test(error.message)));
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { chunkDocument, splitSection } from '../src/ingest/chunk.js';
+
+const CHUNK = fileURLToPath(new URL('../src/ingest/chunk.js', import.meta.url));
+
+const DOCUMENT = `---
+doc_id: q3-plan
+classification: internal
+---
+# Q3 plan
+
+Intro.
+
+## Budget
+
+Numbers.
+`;
+
+test('documents split on their headings, with frontmatter copied onto the chunks', () => {
+  const chunks = chunkDocument(DOCUMENT, { tenantId: 'custco', path: 'data/docs/custco/plan.md' });
+  assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.headings, chunk.classification]), [
+    ['q3-plan#1', ['Q3 plan'], 'internal'],
+    ['q3-plan#2', ['Q3 plan', 'Budget'], 'internal']
+  ]);
+  assert.throws(() => chunkDocument('---\ntenant_id: otherco\n---\ntext', { tenantId: 'custco', path: 'a.md' }), /cannot set 'tenant_id'/);
+});
+
+test('sections over the budget split with overlap', () => {
+  const pieces = splitSection('a b c d e f g', { maxTokens: 4, overlap: 1 });
+  assert.deepEqual(pieces, ['a b c', 'c d e f', 'f g']);
+});
+
+test('an existing output file is only replaced with --force', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const docs = join(dir, 'docs');
+  mkdirSync(join(docs, 'custco'), { recursive: true });
+  writeFileSync(join(docs, 'custco', 'plan.md'), DOCUMENT);
+  const out = join(dir, 'chunks.jsonl');
+  writeFileSync(out, '{"id":"kept#1"}\n');
+
+  const run = (...args) => spawnSync(process.execPath, [CHUNK, '--docs', docs, '--out', out, ...args], { encoding: 'utf-8' });
+
+  const refused = run();
+  assert.equal(refused.status, 1);
+  assert.match(refused.stderr, /already exists; pass --force/);
+  assert.equal(readFileSync(out, 'utf-8'), '{"id":"kept#1"}\n');
+
+  const forced = run('--force');
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.equal(readFileSync(out, 'utf-8').trim().split('\n').length, 2);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHashEmbedder, embedChunks, openEmbeddingCache } from '../src/ingest/embed.js';
+
+const CHUNKS = [
+  { id: 'q3-plan#1', text: 'Q3 planning overview' },
+  { id: 'q3-plan#2', text: 'Budget for the quarter' },
+  { id: 'copy#1', text: 'Q3 planning overview' }
+];
+
+test('the hashing embedder gives the same unit vector for the same text', async () => {
+  const embedder = createHashEmbedder({ dimensions: 64 });
+  const [first, second, other] = await embedder.embed(['Q3 planning', 'q3   PLANNING', 'Budget']);
+  assert.equal(first.length, 64);
+  assert.deepEqual(first, second);
+  assert.notDeepEqual(first, other);
+  assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+  assert.deepEqual(...(await embedder.embed([''])), new Array(64).fill(0));
+});
+
+test('cached texts are not embedded again, and the cache follows the chunks', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const hashEmbedder = createHashEmbedder({ dimensions: 16 });
+  const embedded = [];
+  const embedder = { ...hashEmbedder, embed: texts => { embedded.push(...texts); return hashEmbedder.embed(texts); } };
+  const file = join(dir, 'embeddings.json');
+
+  const cache = openEmbeddingCache(file);
+  const first = await embedChunks(CHUNKS, embedder, { cache });
+  cache.save();
+  // A text shared by two chunks is embedded once
+  assert.deepEqual(embedded, ['Q3 planning overview', 'Budget for the quarter']);
+  assert.deepEqual([first.embedded, first.cached], [3, 0]);
+  assert.deepEqual(first.chunks[0].embedding, first.chunks[2].embedding);
+  assert.equal(first.chunks[0].embedding_model, 'hash:16');
+
+  embedded.length = 0;
+  const reopened = openEmbeddingCache(file);
+  const second = await embedChunks(CHUNKS.slice(1), embedder, { cache: reopened });
+  assert.deepEqual(embedded, []);
+  assert.deepEqual([second.embedded, second.cached], [0, 2]);
+
+  reopened.prune(embedder, ['Budget for the quarter']);
+  assert.equal(reopened.size(), 1);
+});
+
+test('files that are not embedding caches are rejected', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const file = join(dir, 'chunks.json');
+  writeFileSync(file, JSON.stringify({ entries: {} }));
+  assert.throws(() => openEmbeddingCache(file), /not an embedding cache file/);
+});
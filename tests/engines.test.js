@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { partiallyEvaluatePolicies } from '../src/tpe/engines.js';
+import { compileToOpenSearchFilter, compileToPredicate } from '../src/compile/residual-to-filter.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const POLICIES_DIR = resolve(ROOT, 'cedar/policies');
+
+const policiesText = readdirSync(POLICIES_DIR)
+  .filter(file => file.endsWith('.cedar'))
+  .sort()
+  .map(file => readFileSync(resolve(POLICIES_DIR, file), 'utf-8'))
+  .join('\n');
+const schemaText = readFileSync(resolve(ROOT, 'cedar/schema.cedarschema'), 'utf-8');
+const entities = JSON.parse(readFileSync(resolve(ROOT, 'cedar/entities.json'), 'utf-8'));
+const chunks = readFileSync(resolve(ROOT, 'data/chunks.jsonl'), 'utf-8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line));
+
+// Chunks the principal of each example request may view
+const EXPECTED = {
+  alice: { decision: 'UNKNOWN', scope: ['hr-note#1', 'q3-plan#1', 'q3-plan#2', 'q3-plan#3', 'q3-plan#4'] },
+  kate: { decision: 'UNKNOWN', scope: ['q3-plan#1', 'q3-plan#2', 'q3-plan#3', 'q3-plan#4'] },
+  mallory: { decision: 'UNKNOWN', scope: ['roadmap-2024#1', 'roadmap-2024#2', 'roadmap-2024#3', 'roadmap-2024#4'] },
+  eve: { decision: 'DENY', scope: [] }
+};
+
+function evaluate({ principal, context }, engine) {
+  return partiallyEvaluatePolicies({
+    principal,
+    action: 'Platform::Action::"view"',
+    resourceType: 'Platform::Chunk',
+    context,
+    schemaText,
+    policiesText,
+    entities
+  }, { engine });
+}
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  test(`the wasm and js engines give ${name} the same scope`, () => {
+    const request = JSON.parse(readFileSync(resolve(ROOT, `examples/requests/${name}-view.json`), 'utf-8'));
+    const wasm = evaluate(request, 'wasm');
+    const js = evaluate(request, 'js');
+
+    assert.equal(wasm.residual.decision, expected.decision);
+    assert.equal(js.residual.decision, expected.decision);
+    assert.deepEqual(js.errors, wasm.errors);
+    for (const { residual } of [wasm, js]) {
+      const predicate = compileToPredicate(residual);
+      assert.deepEqual(chunks.filter(predicate).map(chunk => chunk.id), expected.scope);
+    }
+  });
+}
+
+test('a DENY decision compiles to a filter that matches nothing', () => {
+  const request = JSON.parse(readFileSync(resolve(ROOT, 'examples/requests/eve-view.json'), 'utf-8'));
+  for (const engine of ['wasm', 'js']) {
+    const filter = compileToOpenSearchFilter(evaluate(request, engine).residual);
+    assert.deepEqual(filter, { bool: { must: [{ match_none: {} }] } }, engine);
+  }
+});
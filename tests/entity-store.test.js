@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { collectEntityReferences, loadEntitySlice, openEntityProvider } from '../src/lib/entity-store.js';
+import { policyEntityReferences } from '../src/tpe/engines.js';
+
+const ref = (type, id) => ({ type, id });
+
+const ENTITIES = [
+  { uid: ref('Platform::Tenant', 'custco'), attrs: {}, parents: [] },
+  { uid: ref('Platform::Team', 'custco-readers'), attrs: { tenant: ref('Platform::Tenant', 'custco') }, parents: [] },
+  { uid: ref('Platform::Team', 'otherco-readers'), attrs: { tenant: ref('Platform::Tenant', 'otherco') }, parents: [] },
+  { uid: ref('Platform::Group', 'support'), attrs: {}, parents: [] },
+  {
+    uid: ref('Platform::Customer', 'kate'),
+    attrs: { tenant: ref('Platform::Tenant', 'custco'), teams: [ref('Platform::Team', 'custco-readers')] },
+    parents: [ref('Platform::Group', 'support')]
+  },
+  { uid: ref('Platform::Customer', 'bob'), attrs: { tenant: ref('Platform::Tenant', 'otherco') }, parents: [] }
+];
+
+const uids = entities => entities.map(entity => `${entity.uid.type}::${JSON.stringify(entity.uid.id)}`).sort();
+
+test('the slice holds the principal, its ancestors and what its attributes reference', async () => {
+  const provider = {
+    async getEntities(wanted) {
+      return ENTITIES.filter(entity => wanted.includes(`${entity.uid.type}::${JSON.stringify(entity.uid.id)}`));
+    }
+  };
+  const slice = await loadEntitySlice(provider, ['Platform::Customer::"kate"']);
+  assert.deepEqual(uids(slice), [
+    'Platform::Customer::"kate"',
+    'Platform::Group::"support"',
+    'Platform::Team::"custco-readers"',
+    'Platform::Tenant::"custco"'
+  ]);
+
+  const shallow = await loadEntitySlice(provider, ['Platform::Customer::"kate"'], { depth: 0 });
+  assert.deepEqual(uids(shallow), ['Platform::Customer::"kate"', 'Platform::Group::"support"']);
+});
+
+test('JSON files and JSONL directories give the same entities', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const jsonFile = join(dir, 'entities.json');
+  writeFileSync(jsonFile, JSON.stringify(ENTITIES));
+  const jsonlDir = mkdtempSync(join(dir, 'entities-'));
+  writeFileSync(join(jsonlDir, 'a.jsonl'), ENTITIES.slice(0, 3).map(entity => JSON.stringify(entity)).join('\n') + '\n');
+  writeFileSync(join(jsonlDir, 'b.jsonl'), ENTITIES.slice(3).map(entity => JSON.stringify(entity)).join('\n'));
+
+  for (const location of [jsonFile, jsonlDir]) {
+    const provider = await openEntityProvider(location);
+    const found = await provider.getEntities(['Platform::Customer::"kate"', 'Platform::Tenant::"custco"', 'Platform::Tenant::"nobody"']);
+    assert.deepEqual(uids(found), ['Platform::Customer::"kate"', 'Platform::Tenant::"custco"'], location);
+    assert.deepEqual(uids(await provider.getAllEntities()), uids(ENTITIES), location);
+
+    const streamed = [];
+    for await (const entity of provider.streamEntities()) {
+      streamed.push(entity);
+    }
+    assert.deepEqual(uids(streamed), uids(ENTITIES), location);
+    provider.close();
+  }
+
+  // The UID index is kept in memory, not beside the data
+  assert.deepEqual(readdirSync(jsonlDir).sort(), ['a.jsonl', 'b.jsonl']);
+});
+
+test('entity references are collected from attributes and context', () => {
+  assert.deepEqual(collectEntityReferences({
+    tenant: ref('Platform::Tenant', 'custco'),
+    teams: [{ __entity: ref('Platform::Team', 'custco-readers') }],
+    ip: { __extn: { fn: 'ip', arg: '10.0.0.1' } },
+    level: 3
+  }), ['Platform::Tenant::"custco"', 'Platform::Team::"custco-readers"']);
+});
+
+test('the entities policies name are found in their scope and conditions', () => {
+  const policies = `
+    permit(principal in Platform::Group::"support", action == Platform::Action::"view", resource)
+    when { resource.tenant == Platform::Folder::"hr".tenant };
+    forbid(principal, action, resource) when { resource.tenant == Platform::Tenant::"custco" };`;
+  assert.deepEqual(policyEntityReferences(policies), [
+    'Platform::Group::"support"',
+    'Platform::Action::"view"',
+    'Platform::Folder::"hr"',
+    'Platform::Tenant::"custco"'
+  ]);
+});
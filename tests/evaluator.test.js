@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression, toCedarText } from '../src/compile/cedar-parser.js';
+import { buildEntityStore, EvaluationError, jsonToAst, partiallyEvaluate } from '../src/tpe/evaluator.js';
+
+const env = {
+  principal: { op: 'entity', type: 'Platform::Customer', id: 'kate' },
+  action: { op: 'entity', type: 'Platform::Action', id: 'view' },
+  context: jsonToAst({ count: 9007199254740990 }),
+  entities: buildEntityStore([
+    { uid: { type: 'Platform::Customer', id: 'kate' }, attrs: { name: 'Kate' }, parents: [], tags: { team: 'readers' } }
+  ]),
+  resourceType: 'Platform::Chunk'
+};
+
+// Partially evaluate Cedar expression text and print the residual
+function evaluate(text) {
+  return toCedarText(partiallyEvaluate(parseExpression(text), env));
+}
+
+test('known parts are evaluated and resource-dependent parts remain', () => {
+  assert.equal(evaluate('principal.name == "Kate" && resource.tenant == "custco"'), 'resource.tenant == "custco"');
+  assert.equal(evaluate('principal.name == "Eve" && resource.tenant == "custco"'), 'false');
+  assert.equal(evaluate('resource is Platform::Document'), 'false');
+});
+
+test('inherited object properties are not attributes or tags', () => {
+  assert.equal(evaluate('principal has toString'), 'false');
+  assert.equal(evaluate('principal has name'), 'true');
+  assert.equal(evaluate('principal.hasTag("constructor")'), 'false');
+  assert.throws(() => evaluate('principal.constructor == 1'), EvaluationError);
+  assert.throws(() => evaluate('principal.getTag("toString") == 1'), EvaluationError);
+});
+
+test('integers that do not fit are errors, not rounded values', () => {
+  assert.throws(() => evaluate('context.count * context.count > 0'), /Integer overflow/);
+  assert.throws(() => evaluate('context.count + 10 > 0'), /represent exactly/);
+  assert.throws(() => evaluate('9223372036854775807 > 0'), /represent exactly/);
+  assert.equal(evaluate('context.count + 1 > 0'), 'true');
+});
+
+test('`||` and `&&` only short-circuit past resource conditions that cannot error', () => {
+  assert.equal(evaluate('resource has tenant || true'), 'true');
+  assert.equal(evaluate('resource == Platform::Chunk::"x" && false'), 'false');
+  // Cedar errors when the resource has no tenant
+  assert.equal(evaluate('resource.tenant == "custco" || true || principal.missing'), 'resource.tenant == "custco" || true');
+  assert.equal(evaluate('resource.flagged && false'), 'resource.flagged && false');
+});
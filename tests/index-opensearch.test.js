@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { buildIndexMapping, hashDocument, planIngest, prepareChunks } from '../src/ingest/index-opensearch.js';
+import { bulkIndex, listDocuments } from '../src/lib/opensearch.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const schemaText = readFileSync(resolve(ROOT, 'cedar/schema.cedarschema'), 'utf-8');
+const entities = JSON.parse(readFileSync(resolve(ROOT, 'cedar/entities.json'), 'utf-8'));
+const chunks = readFileSync(resolve(ROOT, 'data/chunks.jsonl'), 'utf-8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line));
+
+test('the index mapping has a field for every Chunk attribute and the vector', () => {
+  const { mappings } = buildIndexMapping({ schemaText, dimensions: 3 });
+  assert.equal(mappings.dynamic, false);
+  for (const field of ['id', 'tenant_id', 'doc_id', 'classification', 'customer_readers_team_id', 'employee_readers_team_id', 'ancestors']) {
+    assert.deepEqual(mappings.properties[field], { type: 'keyword' }, field);
+  }
+  assert.equal(mappings.properties.embedding.dimension, 3);
+
+  const unmapped = { entityTypes: { 'Platform::Chunk': { attributes: { tenant: 'tenant_id' } } } };
+  assert.throws(() => buildIndexMapping({ schemaText, fieldMapping: unmapped, dimensions: 3 }), /have no field mapping/);
+});
+
+test('chunks without their metadata or a right-sized embedding are not indexed', () => {
+  const embedded = chunks.slice(0, 4).map(chunk => ({ ...chunk, embedding: [0.1, 0.2, 0.3] }));
+  delete embedded[1].ancestors;
+  embedded[2] = { ...embedded[2], embedding: [0.1] };
+  embedded[3] = { ...embedded[3], embedding: undefined };
+
+  const { documents, rejected, dimensions } = prepareChunks(embedded, entities, { schemaText });
+  assert.equal(dimensions, 3);
+  assert.deepEqual(documents.map(document => document.id), [embedded[0].id]);
+  assert.deepEqual(rejected.map(({ id, error }) => [id, error.split(' (')[0]]), [
+    [embedded[1].id, 'ancestors is missing'],
+    [embedded[2].id, 'embedding has 1 dimensions, expected 3'],
+    [embedded[3].id, 'has no embedding']
+  ]);
+});
+
+test('throttled bulk items are retried, and other rejections reported', async () => {
+  const attempts = new Map();
+  const client = {
+    async bulk({ body }) {
+      const ids = body.filter((line, index) => index % 2 === 0).map(line => line.index._id);
+      return {
+        body: {
+          items: ids.map(id => {
+            attempts.set(id, (attempts.get(id) || 0) + 1);
+            if (id === 'throttled' && attempts.get(id) < 2) {
+              return { index: { status: 429, error: { type: 'es_rejected_execution_exception', reason: 'queue full' } } };
+            }
+            if (id === 'bad') {
+              return { index: { status: 400, error: { type: 'mapper_parsing_exception', reason: 'bad vector' } } };
+            }
+            return { index: { status: 201 } };
+          })
+        }
+      };
+    }
+  };
+
+  const documents = ['ok', 'throttled', 'bad'].map(id => ({ id, body: {} }));
+  const { indexed, failed } = await bulkIndex(client, 'rag-chunks', documents, { retryDelayMs: 0 });
+  assert.deepEqual(indexed.sort(), ['ok', 'throttled']);
+  assert.deepEqual(failed, [{ id: 'bad', status: 400, error: 'mapper_parsing_exception: bad vector' }]);
+  assert.equal(attempts.get('throttled'), 2);
+});
+
+test('only changed documents are re-indexed, and chunks that went away are deleted', () => {
+  const document = (id, docId, text) => ({ id, body: { id, doc_id: docId, text, doc_hash: `${docId}:${text}` } });
+  const indexed = ({ id, body }) => ({ id, source: { doc_id: body.doc_id, doc_hash: body.doc_hash } });
+
+  const before = [
+    document('q3-plan#1', 'q3-plan', 'v1'),
+    document('q3-plan#2', 'q3-plan', 'v1'),
+    document('hr-note#1', 'hr-note', 'v1'),
+    document('old#1', 'old', 'v1'),
+    document('held#1', 'held', 'v1')
+  ];
+  const after = [document('q3-plan#1', 'q3-plan', 'v2'), document('hr-note#1', 'hr-note', 'v1')];
+
+  const plan = planIngest(after, before.map(indexed), { heldDocIds: new Set(['held']) });
+  assert.deepEqual(plan.index.map(document => document.id), ['q3-plan#1']);
+  assert.deepEqual(plan.delete, ['q3-plan#2', 'old#1']);
+  assert.deepEqual(plan.changes.map(change => [change.docId, change.status]), [
+    ['q3-plan', 'updated'],
+    ['hr-note', 'unchanged'],
+    ['old', 'removed']
+  ]);
+
+  const kept = planIngest(after, before.map(indexed), { keepMissing: true, revokedDocIds: new Set(['old']) });
+  // held#1 is only missing, so it stays; old#1 is revoked
+  assert.deepEqual(kept.delete, ['q3-plan#2', 'old#1']);
+  assert.equal(planIngest(after, before.map(indexed), { force: true }).index.length, 2);
+});
+
+test('a document hash ignores the vectors but not the text', () => {
+  const chunk = { id: 'q3-plan#1', doc_id: 'q3-plan', text: 'Q3', embedding_model: 'hash:3', embedding: [1, 0, 0] };
+  assert.equal(hashDocument([chunk]), hashDocument([{ ...chunk, embedding: [0, 1, 0] }]));
+  assert.notEqual(hashDocument([chunk]), hashDocument([{ ...chunk, text: 'Q4' }]));
+});
+
+test('documents are listed page by page', async () => {
+  const ids = ['a#1', 'a#2', 'b#1'];
+  const requests = [];
+  const client = {
+    indices: { exists: async () => ({ body: true }) },
+    async search({ body }) {
+      requests.push(body);
+      const from = body.search_after ? ids.indexOf(body.search_after[0]) + 1 : 0;
+      const page = ids.slice(from, from + body.size);
+      return { body: { hits: { hits: page.map(id => ({ _id: id, _source: { id }, sort: [id] })) } } };
+    }
+  };
+
+  const documents = await listDocuments(client, 'rag-chunks', { sortField: 'id', pageSize: 2 });
+  assert.deepEqual(documents.map(document => document.id), ids);
+  assert.deepEqual(requests.map(body => body.search_after ?? null), [null, ['a#2']]);
+});
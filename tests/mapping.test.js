@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compileResidual, loadFieldMapping, UnsupportedResidualError } from '../src/compile/mapping.js';
+
+const fieldMapping = {
+  entityTypes: {
+    'Platform::Chunk': {
+      id: { field: 'chunk_id', ancestors: 'chunk_ancestors' },
+      attributes: {
+        tenant: { field: 'tenant', entityRef: 'uid' },
+        'doc.tenant': 'doc_tenant',
+        doc: { field: 'doc_id', ancestors: 'doc_ancestors' }
+      }
+    }
+  }
+};
+
+test('attributes compile to the fields the mapping names', () => {
+  const must = text => compileResidual(text, { fieldMapping }).must;
+  assert.deepEqual(must('resource.tenant == Platform::Tenant::"custco"'), [{ term: { tenant: 'Platform::Tenant::"custco"' } }]);
+  assert.deepEqual(must('resource.doc.tenant == Platform::Tenant::"custco"'), [{ term: { doc_tenant: 'custco' } }]);
+  assert.deepEqual(must('resource == Platform::Chunk::"a#1"'), [{ term: { chunk_id: 'a#1' } }]);
+});
+
+test('attributes the mapping does not name are untranslatable', () => {
+  assert.throws(() => compileResidual('resource.secret == 1', { fieldMapping }), UnsupportedResidualError);
+});
+
+test('`in` follows the hierarchy through the ancestors fields', () => {
+  const must = text => compileResidual(text, { fieldMapping, resourceType: 'Platform::Chunk' }).must;
+  assert.deepEqual(must('resource in Platform::Folder::"planning"'), [{ terms: { chunk_ancestors: ['Platform::Folder::"planning"'] } }]);
+  assert.deepEqual(must('resource.doc in [Platform::Folder::"a", Platform::Folder::"b"]'), [{ terms: { doc_ancestors: ['Platform::Folder::"a"', 'Platform::Folder::"b"'] } }]);
+  // A chunk is in itself, which its ancestors do not list
+  assert.deepEqual(must('resource in Platform::Chunk::"a#1"'), [{ term: { chunk_id: 'a#1' } }]);
+  assert.throws(() => compileResidual('resource.tenant in Platform::Tenant::"custco"', { fieldMapping }), error => {
+    assert.match(error.fragments[0].reason, /no ancestors field mapped for resource.tenant/);
+    return true;
+  });
+});
+
+test('a negated `in` in a permit does not require ancestors', () => {
+  const result = compileResidual('!(resource in Platform::Folder::"planning") && !(resource.doc in Platform::Folder::"hr")', { fieldMapping, effect: 'permit' });
+  const guards = JSON.stringify(result).match(/"exists":\{"field":"[^"]+"\}/g);
+  assert.equal(guards, null);
+});
+
+test('mapping files are validated when loaded', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const file = join(dir, 'mapping.json');
+  writeFileSync(file, JSON.stringify({ entityTypes: { 'Platform::Chunk': { attributes: { size: { field: 'size', type: 'float' } } } } }));
+  assert.throws(() => loadFieldMapping(file), /unknown type "float"/);
+
+  writeFileSync(file, JSON.stringify({ attributes: {} }));
+  assert.throws(() => loadFieldMapping(file), /"entityTypes" object/);
+});
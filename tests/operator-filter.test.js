@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileToOpenSearchFilter } from '../src/compile/residual-to-filter.js';
+import { UnsupportedTargetError } from '../src/compile/mapping.js';
+import { toChromaWhere } from '../src/compile/targets/chroma.js';
+import { toPineconeFilter } from '../src/compile/targets/pinecone.js';
+
+const fieldMapping = {
+  entityTypes: {
+    'Platform::Chunk': {
+      id: 'id',
+      attributes: {
+        tenant: 'tenant_id',
+        classification: 'classification',
+        labels: { field: 'labels', multiValued: true },
+        size: { field: 'size', type: 'long' }
+      }
+    }
+  }
+};
+
+const compile = text => compileToOpenSearchFilter(text, { fieldMapping });
+
+test('forbids are pushed down to negated field conditions', () => {
+  const filter = compile([
+    '@id("tenant") permit(principal, action, resource) when { resource.tenant == "custco" };',
+    '@id("secret") forbid(principal, action, resource) when { resource.classification == "confidential" && resource.size > 10 };'
+  ].join('\n'));
+  const expected = {
+    $and: [
+      { tenant_id: { $eq: 'custco' } },
+      { $or: [{ classification: { $ne: 'confidential' } }, { size: { $lte: 10 } }] }
+    ]
+  };
+  assert.deepEqual(toChromaWhere(filter, { fieldMapping }), expected);
+  assert.deepEqual(toPineconeFilter(filter, { fieldMapping }), expected);
+});
+
+test('a negation in a permit needs no $exists', () => {
+  const filter = compile('@id("open") permit(principal, action, resource) when { resource.tenant == "custco" && resource.classification != "confidential" };');
+  const expected = { $and: [{ tenant_id: { $eq: 'custco' } }, { classification: { $ne: 'confidential' } }] };
+  assert.deepEqual(toChromaWhere(filter, { fieldMapping }), expected);
+  assert.deepEqual(toPineconeFilter(filter, { fieldMapping }), expected);
+});
+
+test('filters that match everything or nothing', () => {
+  assert.equal(toPineconeFilter({ match_all: {} }), null);
+  assert.deepEqual(toChromaWhere({ match_none: {} }, { idField: 'chunk_id' }), {
+    $and: [{ chunk_id: { $eq: '' } }, { chunk_id: { $ne: '' } }]
+  });
+});
+
+test('Chroma rejects presence tests and list metadata', () => {
+  const has = compile('@id("team") permit(principal, action, resource) when { resource has classification };');
+  assert.deepEqual(toPineconeFilter(has, { fieldMapping }), { classification: { $exists: true } });
+  assert.throws(() => toChromaWhere(has, { fieldMapping }), UnsupportedTargetError);
+
+  const labels = compile('@id("labels") permit(principal, action, resource) when { resource.labels.contains("q3") };');
+  assert.deepEqual(toPineconeFilter(labels, { fieldMapping }), { labels: { $eq: 'q3' } });
+  assert.throws(() => toChromaWhere(labels, { fieldMapping }), /multi-valued/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonFileProvider } from '../src/lib/entity-store.js';
+import { residualFileName, selectPrincipals } from '../src/tpe/partial-eval.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PARTIAL_EVAL = resolve(ROOT, 'src/tpe/partial-eval.js');
+const provider = createJsonFileProvider(resolve(ROOT, 'cedar/entities.json'));
+
+test('--principal-where selects the principals the expression holds for', async () => {
+  const where = 'principal is Platform::Customer && principal.tenant == Platform::Tenant::"custco"';
+  assert.deepEqual(await selectPrincipals(provider, where), ['Platform::Customer::"kate"', 'Platform::Customer::"jack"', 'Platform::Customer::"eve"']);
+
+  // The folder is loaded with each slice; tenants have no tenant, so the
+  // expression errors for them and they are not selected
+  const sameTenantAsHr = 'principal.tenant == Platform::Folder::"hr".tenant && principal is Platform::Employee';
+  assert.deepEqual(await selectPrincipals(provider, sameTenantAsHr, { depth: 0 }), ['Platform::Employee::"alice"']);
+
+  await assert.rejects(selectPrincipals(provider, 'principal.tenant == resource.tenant'), /may only refer to principal/);
+});
+
+test('residual file names are unique', () => {
+  const used = new Set();
+  assert.equal(residualFileName('Platform::Customer::"kate"', 'Platform::Action::"view"', used), 'Platform.Customer.kate--view.json');
+  assert.equal(residualFileName('Platform::Customer::"kate"', 'Platform::Action::"view"', used), 'Platform.Customer.kate--view-2.json');
+  assert.equal(residualFileName('Platform::Customer::"a/b"', 'Platform::Action::"view"', used), 'Platform.Customer.a_b--view.json');
+});
+
+test('batch mode writes a residual per pair and reports principals not in the store', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const principalsFile = join(dir, 'principals.txt');
+  writeFileSync(principalsFile, 'Platform::Customer::"kate"\n# not in the store\nPlatform::Customer::"nobody"\n');
+  const outDir = join(dir, 'residuals');
+  const result = spawnSync(process.execPath, [
+    PARTIAL_EVAL, '--principals', principalsFile, '--action', 'Platform::Action::"view"',
+    '--resource-type', 'Platform::Chunk', '--engine', 'js', '--out-dir', outDir
+  ], { encoding: 'utf-8' });
+
+  assert.equal(result.status, 1, result.stderr);
+  const index = JSON.parse(readFileSync(join(outDir, 'index.json'), 'utf-8'));
+  assert.deepEqual(index.failures.map(failure => failure.principal), ['Platform::Customer::"nobody"']);
+  assert.ok(existsSync(join(outDir, 'Platform.Customer.kate--view.json')));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cedar from '@cedar-policy/cedar-wasm/nodejs';
+import { parseExpression, parsePolicies, policyCondition } from '../src/compile/cedar-parser.js';
+import { linkPolicySetText, toCedarPolicySet } from '../src/lib/policy-set.js';
+import { policyEntityReferences } from '../src/tpe/engines.js';
+
+const POLICIES = `@id("tenant-scope")
+permit(principal, action, resource) when { principal.tenant == resource.tenant };
+
+// Share a document or folder with one person
+@id("doc-share")
+permit(principal == ?principal, action, resource in ?resource);
+`;
+
+const LINK = {
+  templateId: 'doc-share',
+  newId: 'share-planning-jack',
+  values: {
+    '?principal': { type: 'Platform::Customer', id: 'jack' },
+    '?resource': { type: 'Platform::Folder', id: 'planning' }
+  }
+};
+
+test('template links parse as the static policies they stand for', () => {
+  const policies = parsePolicies(linkPolicySetText(POLICIES, [LINK]));
+  assert.deepEqual(policies.map(policy => policy.id), ['tenant-scope', 'share-planning-jack']);
+  assert.deepEqual(
+    policyCondition(policies[1]),
+    parseExpression('principal == Platform::Customer::"jack" && resource in Platform::Folder::"planning"')
+  );
+
+  // Without links a template applies to nothing
+  assert.deepEqual(parsePolicies(linkPolicySetText(POLICIES)).map(policy => policy.id), ['tenant-scope']);
+});
+
+test('cedar-wasm accepts the templates and links as they are', () => {
+  const policySet = toCedarPolicySet(POLICIES, [LINK]);
+  assert.deepEqual(Object.keys(policySet.templates), ['doc-share']);
+  assert.equal(cedar.checkParsePolicySet(policySet).type, 'success');
+});
+
+test('links must name a template and fill exactly its slots', () => {
+  assert.throws(() => toCedarPolicySet(POLICIES, [{ ...LINK, templateId: 'doc-sharing' }]), /unknown template 'doc-sharing'/);
+  assert.throws(() => toCedarPolicySet(POLICIES, [{ ...LINK, newId: 'tenant-scope' }]), /already used by a policy/);
+  assert.throws(
+    () => toCedarPolicySet(POLICIES, [{ ...LINK, values: { '?principal': LINK.values['?principal'] } }]),
+    /must fill \?principal and \?resource of 'doc-share'/
+  );
+  assert.throws(() => toCedarPolicySet('permit(principal == ?principal, action, resource);'), /Template has no @id/);
+});
+
+test('the entities links fill slots with are loaded with the slice', () => {
+  assert.deepEqual(policyEntityReferences(POLICIES, [LINK]), ['Platform::Customer::"jack"', 'Platform::Folder::"planning"']);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileToOpenSearchFilter } from '../src/compile/residual-to-filter.js';
+import { UnsupportedTargetError } from '../src/compile/mapping.js';
+import { buildPostgresQuery, toPostgresWhere } from '../src/compile/targets/postgres.js';
+
+const TENANT_PERMIT = '@id("tenant") permit(principal, action, resource) when { resource.tenant == "custco" };';
+
+test('values are bind parameters numbered from firstParam', () => {
+  const filter = compileToOpenSearchFilter(`${TENANT_PERMIT}\n@id("team") permit(principal, action, resource) when { resource.customer_readers_team == "custco-readers" };`);
+  assert.deepEqual(toPostgresWhere(filter), {
+    where: '("tenant_id" = $1 OR "customer_readers_team_id" = $2)',
+    params: ['custco', 'custco-readers']
+  });
+  assert.equal(toPostgresWhere(filter, { firstParam: 3 }).where, '("tenant_id" = $3 OR "customer_readers_team_id" = $4)');
+
+  // $1 is the query embedding
+  const { sql, params } = buildPostgresQuery(filter, { table: 'public.chunks', k: 5 });
+  assert.equal(sql, 'SELECT * FROM "public"."chunks"\nWHERE ("tenant_id" = $2 OR "customer_readers_team_id" = $3)\nORDER BY "embedding" <=> $1\nLIMIT 5');
+  assert.deepEqual(params, ['<query embedding>', 'custco', 'custco-readers']);
+});
+
+test('a negation in a permit requires the column to be set', () => {
+  const filter = compileToOpenSearchFilter('@id("open") permit(principal, action, resource) when { resource.tenant == "custco" && resource.classification != "confidential" };');
+  assert.equal(toPostgresWhere(filter).where, '("tenant_id" = $1 AND ("classification" IS NOT NULL AND NOT ("classification" = $2)))');
+});
+
+test('a forbid keeps rows whose column is NULL unless its condition needs the column', () => {
+  const confidential = compileToOpenSearchFilter(`${TENANT_PERMIT}\n@id("secret") forbid(principal, action, resource) when { resource.classification == "confidential" };`);
+  assert.equal(toPostgresWhere(confidential).where, '("tenant_id" = $1 AND NOT COALESCE("classification" = $2, FALSE))');
+
+  const publicOnly = compileToOpenSearchFilter(`${TENANT_PERMIT}\n@id("public-only") forbid(principal, action, resource) when { resource.classification != "public" };`);
+  assert.equal(toPostgresWhere(publicOnly).where, '("tenant_id" = $1 AND NOT COALESCE(NOT COALESCE("classification" = $2, FALSE), FALSE))');
+});
+
+test('clauses SQL cannot express are rejected', () => {
+  const filter = { bool: { should: [{ term: { a: 1 } }, { term: { b: 2 } }], minimum_should_match: 2 } };
+  assert.throws(() => toPostgresWhere(filter), UnsupportedTargetError);
+  assert.throws(() => toPostgresWhere({ match_phrase: { title: 'plan' } }), /no SQL equivalent/);
+});
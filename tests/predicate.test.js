@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { compileToOpenSearchFilter, compileToPredicate } from '../src/compile/residual-to-filter.js';
+import { UnsupportedResidualError } from '../src/compile/mapping.js';
+import { buildPredicate } from '../src/compile/targets/predicate.js';
+import { matchesFilter } from '../src/compile/filter-chunks.js';
+
+const FILTER_CHUNKS = fileURLToPath(new URL('../src/compile/filter-chunks.js', import.meta.url));
+
+const RESIDUAL = {
+  decision: 'UNKNOWN',
+  residuals: [
+    { id: 'tenant', type: 'permit', text: 'permit(principal, action, resource) when { resource.tenant == "custco" && resource.classification != "confidential" };' },
+    { id: 'team', type: 'permit', text: 'permit(principal, action, resource) when { resource.customer_readers_team == "custco-readers" };' },
+    { id: 'hr', type: 'forbid', text: 'forbid(principal, action, resource) when { resource.doc == "hr-note" };' }
+  ]
+};
+
+const CHUNKS = [
+  { id: 'q3-plan#1', doc_id: 'q3-plan', tenant_id: 'custco', classification: 'internal' },
+  { id: 'q3-plan#2', doc_id: 'q3-plan', tenant_id: 'custco', classification: 'confidential' },
+  { id: 'q3-plan#3', doc_id: 'q3-plan', tenant_id: 'custco' },
+  { id: 'hr-note#1', doc_id: 'hr-note', tenant_id: 'custco', classification: 'internal' },
+  { id: 'faq#1', tenant_id: 'otherco', customer_readers_team_id: 'custco-readers' },
+  { id: 'misc#1', doc_id: 'misc', tenant_id: 'otherco', classification: 'public' }
+];
+
+test('the predicate follows Cedar on chunks', () => {
+  const predicate = compileToPredicate(RESIDUAL);
+  const authorized = CHUNKS.filter(predicate).map(chunk => chunk.id);
+  // q3-plan#3 has no classification, so the tenant permit errors; faq#1 has
+  // no doc, so the forbid errors and does not apply
+  assert.deepEqual(authorized, ['q3-plan#1', 'faq#1']);
+});
+
+test('the predicate and the OpenSearch filter agree', () => {
+  const predicate = compileToPredicate(RESIDUAL);
+  const filter = compileToOpenSearchFilter(RESIDUAL);
+  for (const chunk of CHUNKS) {
+    assert.equal(matchesFilter(filter, chunk), predicate(chunk), chunk.id);
+  }
+});
+
+test('untranslatable and errored policies fail closed', () => {
+  const conditions = [
+    { text: 'resource.tenant == "custco"', type: 'permit', id: 'tenant' },
+    { text: 'resource.tenant == principal.tenant', type: 'forbid', id: 'same-tenant' }
+  ];
+  assert.throws(() => buildPredicate(conditions), UnsupportedResidualError);
+  assert.equal(buildPredicate(conditions, { onUnsupported: 'match_none' })(CHUNKS[0]), false);
+
+  const report = [];
+  assert.equal(buildPredicate(conditions, { strict: false, report })(CHUNKS[0]), true);
+  assert.deepEqual(report.map(entry => entry.policyId), ['same-tenant']);
+
+  const errored = [conditions[0], { expr: { op: 'value', value: false }, type: 'forbid', id: 'hr', error: 'attribute not found' }];
+  assert.equal(buildPredicate(errored, { onUnsupported: 'match_none' })(CHUNKS[0]), false);
+});
+
+test('filter-chunks --check reports chunks the filter disagrees on', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const residualFile = join(dir, 'residual.json');
+  const chunksFile = join(dir, 'chunks.jsonl');
+  const filterFile = join(dir, 'filter.json');
+  writeFileSync(residualFile, JSON.stringify(RESIDUAL));
+  writeFileSync(chunksFile, CHUNKS.map(chunk => JSON.stringify(chunk)).join('\n') + '\n');
+
+  const check = () => spawnSync(process.execPath, [FILTER_CHUNKS, '--residual', residualFile, '--chunks', chunksFile, '--check', filterFile], { encoding: 'utf-8' });
+
+  writeFileSync(filterFile, JSON.stringify({ filter: compileToOpenSearchFilter(RESIDUAL) }));
+  const agreed = check();
+  assert.equal(agreed.status, 0, agreed.stderr);
+  assert.match(agreed.stdout, /2 of 6 chunk\(s\) authorized/);
+
+  // Without the forbid, the filter lets hr-note#1 through
+  const tampered = compileToOpenSearchFilter({ ...RESIDUAL, residuals: RESIDUAL.residuals.slice(0, 2) });
+  writeFileSync(filterFile, JSON.stringify({ filter: tampered }));
+  const disagreed = check();
+  assert.equal(disagreed.status, 1);
+  assert.match(disagreed.stderr, /hr-note#1: predicate denies it/);
+});
+
+test('`in` reads the ancestors field, which may be empty', () => {
+  const residual = {
+    residuals: [{ id: 'outside-hr', type: 'permit', text: 'permit(principal, action, resource) when { resource.tenant == "custco" && !(resource in Platform::Folder::"hr") };' }]
+  };
+  const chunks = [
+    { id: 'q3-plan#1', tenant_id: 'custco', ancestors: ['Platform::Document::"q3-plan"', 'Platform::Folder::"planning"'] },
+    { id: 'hr-note#1', tenant_id: 'custco', ancestors: ['Platform::Document::"hr-note"', 'Platform::Folder::"hr"'] },
+    { id: 'loose#1', tenant_id: 'custco', ancestors: [] }
+  ];
+  const predicate = compileToPredicate(residual);
+  const filter = compileToOpenSearchFilter(residual);
+  assert.deepEqual(chunks.filter(predicate).map(chunk => chunk.id), ['q3-plan#1', 'loose#1']);
+  for (const chunk of chunks) {
+    assert.equal(matchesFilter(filter, chunk), predicate(chunk), chunk.id);
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileToOpenSearchFilter } from '../src/compile/residual-to-filter.js';
+import { UnsupportedTargetError } from '../src/compile/mapping.js';
+import { toQdrantFilter } from '../src/compile/targets/qdrant.js';
+
+test('bool clauses map onto Qdrant filter clauses', () => {
+  const filter = compileToOpenSearchFilter([
+    '@id("tenant") permit(principal, action, resource) when { resource.tenant == "custco" };',
+    '@id("team") permit(principal, action, resource) when { resource.customer_readers_team == "custco-readers" };',
+    '@id("secret") forbid(principal, action, resource) when { resource.classification == "confidential" };'
+  ].join('\n'));
+  assert.deepEqual(toQdrantFilter(filter), {
+    should: [
+      { key: 'tenant_id', match: { value: 'custco' } },
+      { key: 'customer_readers_team_id', match: { value: 'custco-readers' } }
+    ],
+    must_not: [{ key: 'classification', match: { value: 'confidential' } }]
+  });
+});
+
+test('exists guards become is_empty tests', () => {
+  const filter = compileToOpenSearchFilter('@id("open") permit(principal, action, resource) when { resource.classification != "confidential" };');
+  assert.deepEqual(toQdrantFilter(filter), {
+    must: [{ must_not: [{ is_empty: { key: 'classification' } }] }],
+    must_not: [{ key: 'classification', match: { value: 'confidential' } }]
+  });
+});
+
+test('a single condition is wrapped in a filter', () => {
+  assert.deepEqual(toQdrantFilter({ range: { size: { gte: 10 } } }), { must: [{ key: 'size', range: { gte: 10 } }] });
+  assert.deepEqual(toQdrantFilter({ match_none: {} }), { must_not: [{ must: [] }] });
+});
+
+test('clauses Qdrant cannot express are rejected', () => {
+  assert.throws(() => toQdrantFilter({ wildcard: { title: { value: 'q3-*' } } }), UnsupportedTargetError);
+  assert.throws(() => toQdrantFilter({ bool: { should: [{ term: { a: 1 } }], minimum_should_match: 2 } }), /minimum_should_match/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readResidual, renderExplanation, renderResidual } from '../src/tpe/render-residual.js';
+
+const RESIDUAL = {
+  decision: 'UNKNOWN',
+  principal: 'Platform::Customer::"kate"',
+  action: 'Platform::Action::"view"',
+  resourceType: 'Platform::Chunk',
+  residuals: [
+    { id: 'tenant-scope', type: 'permit', text: 'permit(principal, action, resource) when { resource is Platform::Chunk && resource.tenant == Platform::Tenant::"custco" };' },
+    { id: 'employee-view', type: 'permit', text: 'permit(principal, action, resource) when { false };' },
+    { id: 'classification-limit', type: 'forbid', text: 'forbid(principal, action, resource) when { resource.classification == "confidential" };' }
+  ]
+};
+
+test('the explanation names each policy and what it requires', () => {
+  assert.deepEqual(renderExplanation(readResidual(RESIDUAL)), [
+    'kate may see chunks where tenant is custco (policy tenant-scope), EXCEPT chunks where classification is confidential (policy classification-limit).'
+  ]);
+});
+
+test('--filter shows the filter beside whichever view is printed first', () => {
+  for (const format of ['cedar', 'tree', 'english']) {
+    const rendering = renderResidual(RESIDUAL, { format, filter: true });
+    assert.match(rendering, /│ \/\/ OpenSearch filter/, format);
+    assert.match(rendering, /"tenant_id": "custco"/, format);
+  }
+  assert.doesNotMatch(renderResidual(RESIDUAL, { format: 'english' }), /OpenSearch filter/);
+});
+
+test('an errored forbid is explained as failing closed', () => {
+  const lines = renderExplanation(readResidual({
+    ...RESIDUAL,
+    residuals: [...RESIDUAL.residuals, { id: 'suspended', type: 'forbid', text: 'forbid(principal, action, resource) when { false };' }],
+    errors: [{ policyId: 'suspended', message: 'entity does not exist' }]
+  }));
+  assert.equal(lines.at(-1), 'Forbid suspended errored during evaluation (entity does not exist), so filters compiled from this residual fail closed.');
+});
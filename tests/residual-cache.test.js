@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryCacheStore, createResidualCache, openCacheStore } from '../src/lib/residual-cache.js';
+
+const kate = { type: 'Platform::Customer', id: 'kate' };
+
+const REQUEST = {
+  principal: 'Platform::Customer::"kate"',
+  action: 'Platform::Action::"view"',
+  resourceType: 'Platform::Chunk',
+  context: {},
+  engine: 'js',
+  policiesText: 'permit(principal, action, resource);',
+  schemaText: 'namespace Platform {}',
+  entities: [
+    { uid: kate, attrs: { teams: [{ type: 'Platform::Team', id: 'custco-readers' }] }, parents: [] },
+    { uid: { type: 'Platform::Tenant', id: 'custco' }, attrs: {}, parents: [] }
+  ]
+};
+
+test('a change to what the residual was computed from makes the entry stale', async () => {
+  const cache = createResidualCache(createMemoryCacheStore());
+  let computed = 0;
+  const compute = async () => ({ decision: 'ALLOW', run: ++computed });
+
+  assert.deepEqual(await cache.getOrCompute(REQUEST, compute), { value: { decision: 'ALLOW', run: 1 }, hit: false });
+  // The slice in another order is the same slice
+  const reordered = { ...REQUEST, entities: [...REQUEST.entities].reverse() };
+  assert.deepEqual(await cache.getOrCompute(reordered, compute), { value: { decision: 'ALLOW', run: 1 }, hit: true });
+
+  const moved = { ...REQUEST, entities: [{ uid: kate, attrs: { teams: [] }, parents: [] }] };
+  assert.equal((await cache.getOrCompute(moved, compute)).hit, false);
+  assert.equal((await cache.getOrCompute({ ...REQUEST, policiesText: 'forbid(principal, action, resource);' }, compute)).hit, false);
+  assert.deepEqual(cache.stats(), { hits: 1, misses: 3, stale: 2, writes: 3, lookups: 4, hitRate: 0.25 });
+});
+
+test('the memory store evicts the least recently used entry', async () => {
+  const store = createMemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', 1);
+  await store.set('b', 2);
+  await store.get('a');
+  await store.set('c', 3);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal(await store.get('a'), 1);
+});
+
+test('the file store keeps entries between runs', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'cache', 'residuals.json');
+
+  const first = createResidualCache(openCacheStore(file));
+  await first.set(REQUEST, { decision: 'DENY' });
+  await first.close();
+
+  const second = createResidualCache(openCacheStore(file));
+  assert.deepEqual(await second.get(REQUEST), { decision: 'DENY' });
+  assert.equal(await second.get({ ...REQUEST, action: 'Platform::Action::"ask"' }), undefined);
+});
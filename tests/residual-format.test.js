@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResidualDocument, RESIDUAL_FORMAT_VERSION, residualDocumentConditions } from '../src/lib/residual-format.js';
+import { compileToOpenSearchFilter } from '../src/compile/residual-to-filter.js';
+import { filterMatchesNothing, UnsupportedResidualError } from '../src/compile/mapping.js';
+import { parseExpression } from '../src/compile/cedar-parser.js';
+
+function createDocument(policies, errors = [], decision = 'UNKNOWN') {
+  return createResidualDocument({
+    principal: 'Platform::Customer::"kate"',
+    action: 'Platform::Action::"view"',
+    resourceType: 'Platform::Chunk',
+    context: {},
+    policiesText: '',
+    engine: 'js',
+    decision,
+    policies: policies.map(([id, effect, text]) => ({ id, effect, condition: parseExpression(text) })),
+    errors
+  });
+}
+
+test('residual documents carry each condition as Cedar JSON', () => {
+  const document = createDocument([['tenant', 'permit', 'resource.tenant == "custco"']]);
+  assert.deepEqual(residualDocumentConditions(document), [
+    { expr: parseExpression('resource.tenant == "custco"'), type: 'permit', id: 'tenant' }
+  ]);
+  assert.equal(document.residuals[0].conditionText, 'resource.tenant == "custco"');
+  assert.throws(() => residualDocumentConditions({ ...document, version: RESIDUAL_FORMAT_VERSION + 1 }), /Unsupported residual format version/);
+});
+
+test('a forbid that errored fails closed, a permit that errored does not apply', () => {
+  const document = createDocument([
+    ['tenant', 'permit', 'resource.tenant == "custco"'],
+    ['team', 'permit', 'false'],
+    ['secret', 'forbid', 'false']
+  ], [
+    { policyId: 'team', message: 'entity does not exist' },
+    { policyId: 'secret', message: 'entity does not exist' }
+  ]);
+  assert.deepEqual(residualDocumentConditions(document).map(condition => condition.error), [undefined, undefined, 'entity does not exist']);
+
+  assert.throws(() => compileToOpenSearchFilter(document), UnsupportedResidualError);
+  assert.equal(filterMatchesNothing(compileToOpenSearchFilter(document, { onUnsupported: 'match_none' })), true);
+
+  // Also when partial evaluation allowed the request
+  const allowed = createDocument([['any', 'permit', 'true'], ['secret', 'forbid', 'false']], [{ policyId: 'secret', message: 'entity does not exist' }], 'ALLOW');
+  assert.throws(() => compileToOpenSearchFilter(allowed), UnsupportedResidualError);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOpenSearchFilter, compileToOpenSearchFilter } from '../src/compile/residual-to-filter.js';
+import { filterMatchesNothing, UnsupportedResidualError } from '../src/compile/mapping.js';
+
+const TENANT_PERMIT = '@id("tenant") permit(principal, action, resource) when { resource.tenant == "custco" };';
+const TEAM_PERMIT = '@id("team") permit(principal, action, resource) when { resource.customer_readers_team == "custco-readers" };';
+const FORBID = '@id("secret") forbid(principal, action, resource) when { resource.classification == "confidential" && resource.tenant == "custco" };';
+
+// Apply the queries these filters use to a chunk, as OpenSearch would
+function matches(clause, chunk) {
+  if (clause.term) {
+    const [[field, value]] = Object.entries(clause.term);
+    return chunk[field] === value;
+  }
+  if (clause.exists) {
+    return chunk[clause.exists.field] !== undefined;
+  }
+  if (clause.match_all || clause.match_none) {
+    return Boolean(clause.match_all);
+  }
+  const { must = [], must_not: mustNot = [], should = [], minimum_should_match: minimum = 0 } = clause.bool;
+  return must.every(inner => matches(inner, chunk))
+    && !mustNot.some(inner => matches(inner, chunk))
+    && should.filter(inner => matches(inner, chunk)).length >= minimum;
+}
+
+test('permits are alternatives: a chunk needs to satisfy one of them', () => {
+  const filter = compileToOpenSearchFilter(`${TENANT_PERMIT}\n${TEAM_PERMIT}`);
+  assert.equal(filter.bool.minimum_should_match, 1);
+  assert.equal(filter.bool.should.length, 2);
+  assert.equal(matches(filter, { tenant_id: 'custco' }), true);
+  assert.equal(matches(filter, { tenant_id: 'otherco', customer_readers_team_id: 'custco-readers' }), true);
+  assert.equal(matches(filter, { tenant_id: 'otherco' }), false);
+});
+
+test('a forbid with several conditions is negated as a whole', () => {
+  const filter = compileToOpenSearchFilter(`${TENANT_PERMIT}\n${TEAM_PERMIT}\n${FORBID}`);
+  assert.deepEqual(filter.bool.must_not, [{
+    bool: { must: [{ term: { classification: 'confidential' } }, { term: { tenant_id: 'custco' } }] }
+  }]);
+  // NOT(confidential AND custco), not NOT(confidential) AND NOT(custco)
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'confidential' }), false);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'internal' }), true);
+  assert.equal(matches(filter, { tenant_id: 'otherco', customer_readers_team_id: 'custco-readers', classification: 'confidential' }), true);
+});
+
+test('without a permit nothing matches', () => {
+  const filter = compileToOpenSearchFilter(FORBID);
+  assert.deepEqual(filter.bool.must, [{ match_none: {} }]);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'internal' }), false);
+});
+
+test('an untranslatable permit fails closed', () => {
+  const residual = `${TENANT_PERMIT}\n@id("same-tenant") permit(principal, action, resource) when { resource.tenant == principal.tenant };`;
+  assert.throws(() => compileToOpenSearchFilter(residual), error => {
+    assert.ok(error instanceof UnsupportedResidualError);
+    assert.equal(error.fragments[0].policyId, 'same-tenant');
+    return true;
+  });
+
+  // The other permit still applies
+  const filter = compileToOpenSearchFilter(residual, { onUnsupported: 'match_none' });
+  assert.equal(matches(filter, { tenant_id: 'custco' }), true);
+  assert.equal(matches(filter, { tenant_id: 'otherco' }), false);
+});
+
+test('an untranslatable forbid excludes every chunk', () => {
+  const residual = `${TENANT_PERMIT}\n@id("owner") forbid(principal, action, resource) when { resource.owner == principal };`;
+  const filter = compileToOpenSearchFilter(residual, { onUnsupported: 'match_none' });
+  assert.equal(matches(filter, { tenant_id: 'custco' }), false);
+});
+
+test('with strict off, untranslatable policies are skipped and reported', () => {
+  const report = [];
+  const residual = `${TENANT_PERMIT}\n@id("owner") forbid(principal, action, resource) when { resource.owner == principal };`;
+  const filter = compileToOpenSearchFilter(residual, { strict: false, report });
+  assert.equal(filter.bool.must_not, undefined);
+  assert.deepEqual(report.map(entry => [entry.policyId, entry.effect]), [['owner', 'forbid']]);
+});
+
+test('a policy that errored in partial evaluation fails closed', () => {
+  const conditions = [
+    { text: 'resource.tenant == "custco"', type: 'permit', id: 'tenant' },
+    { expr: { op: 'value', value: false }, type: 'forbid', id: 'secret', error: 'attribute not found' }
+  ];
+  assert.throws(() => buildOpenSearchFilter(conditions), UnsupportedResidualError);
+  const filter = buildOpenSearchFilter(conditions, { onUnsupported: 'match_none' });
+  assert.equal(matches(filter, { tenant_id: 'custco' }), false);
+});
+
+test('a negation in a permit does not match chunks without the field', () => {
+  const filter = compileToOpenSearchFilter('@id("open") permit(principal, action, resource) when { resource.tenant == "custco" && resource.classification != "confidential" };');
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'internal' }), true);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'confidential' }), false);
+  // Cedar errors on the missing attribute, so the permit does not apply
+  assert.equal(matches(filter, { tenant_id: 'custco' }), false);
+
+  const negated = compileToOpenSearchFilter('@id("open") permit(principal, action, resource) when { !(resource.classification == "confidential" || resource has customer_readers_team) };');
+  assert.equal(matches(negated, { classification: 'internal' }), true);
+  assert.equal(matches(negated, { classification: 'internal', customer_readers_team_id: 'custco-readers' }), false);
+  assert.equal(matches(negated, {}), false);
+});
+
+test('a negation in a forbid excludes chunks without the field', () => {
+  const filter = compileToOpenSearchFilter(`${TENANT_PERMIT}\n@id("public-only") forbid(principal, action, resource) when { resource.classification != "public" };`);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'public' }), true);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'internal' }), false);
+  assert.equal(matches(filter, { tenant_id: 'custco' }), false);
+});
+
+test('a DENY decision matches nothing without compiling the residuals', () => {
+  // The untranslatable residual is never compiled
+  const residual = {
+    decision: 'DENY',
+    residuals: [{ id: 'same-tenant', type: 'permit', text: 'permit(principal, action, resource) when { resource.tenant == principal.tenant };' }]
+  };
+  const filter = compileToOpenSearchFilter(residual);
+  assert.deepEqual(filter, { bool: { must: [{ match_none: {} }] } });
+  assert.equal(filterMatchesNothing(filter), true);
+
+  const wasm = compileToOpenSearchFilter({ type: 'residuals', response: { decision: 'deny', residuals: {} } });
+  assert.equal(filterMatchesNothing(wasm), true);
+});
+
+test('an ALLOW decision is narrowed only by forbids', () => {
+  const filter = compileToOpenSearchFilter({
+    decision: 'ALLOW',
+    residuals: [
+      { id: 'team', type: 'permit', text: TEAM_PERMIT },
+      { id: 'secret', type: 'forbid', text: FORBID }
+    ]
+  });
+  assert.equal(filterMatchesNothing(filter), false);
+  assert.equal(matches(filter, { tenant_id: 'otherco' }), true);
+  assert.equal(matches(filter, { tenant_id: 'custco', classification: 'confidential' }), false);
+});
+
+test('an alternative in a permit only counts when the ones before it do not error', () => {
+  const filter = compileToOpenSearchFilter('@id("public") permit(principal, action, resource) when { resource.classification == "public" || resource.tenant == "custco" };');
+  assert.equal(matches(filter, { classification: 'public' }), true);
+  assert.equal(matches(filter, { classification: 'internal', tenant_id: 'custco' }), true);
+  // Cedar errors on the missing classification before reaching the tenant
+  assert.equal(matches(filter, { tenant_id: 'custco' }), false);
+
+  const absorbed = compileToOpenSearchFilter('@id("any") permit(principal, action, resource) when { resource.classification == "public" || true };');
+  assert.equal(matches(absorbed, { classification: 'internal' }), true);
+  assert.equal(matches(absorbed, { tenant_id: 'custco' }), false);
+});
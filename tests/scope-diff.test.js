@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { cpSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { diffResiduals } from '../src/tpe/scope-diff.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SCOPE_DIFF = resolve(ROOT, 'src/tpe/scope-diff.js');
+
+const residual = (...residuals) => ({ decision: 'UNKNOWN', resourceType: 'Platform::Chunk', residuals });
+const policy = (id, type, condition) => ({ id, type, text: `${type}(principal, action, resource) when { ${condition} };` });
+
+test('residuals are compared constraint by constraint', () => {
+  const diff = diffResiduals(
+    residual(policy('tenant', 'permit', 'resource.tenant == "custco" && resource.classification != "confidential"'), policy('team', 'permit', 'false')),
+    residual(policy('tenant', 'permit', 'resource.classification != "confidential" && resource.tenant == "otherco"'), policy('team', 'permit', 'resource.customer_readers_team == "x"'))
+  );
+  assert.deepEqual(diff.policies.map(({ id, status, removed, added }) => ({ id, status, removed, added })), [
+    { id: 'tenant', status: 'changed', removed: ['resource.tenant == "custco"'], added: ['resource.tenant == "otherco"'] },
+    { id: 'team', status: 'added', removed: [], added: ['resource.customer_readers_team == "x"'] }
+  ]);
+});
+
+test('a policy version that reads a named entity narrows the scope', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'cedar-rag-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  // The new forbid reads the hr folder, which is not in alice's own slice
+  const policies = join(dir, 'policies');
+  cpSync(resolve(ROOT, 'cedar/policies'), policies, { recursive: true });
+  writeFileSync(join(policies, 'hr-tenant.cedar'), [
+    '@id("hr-tenant")',
+    'forbid(principal, action, resource)',
+    'when { principal.tenant == Platform::Folder::"hr".tenant && resource.classification == "confidential" };',
+    ''
+  ].join('\n'));
+
+  const result = spawnSync(process.execPath, [
+    SCOPE_DIFF, '--principal', 'Platform::Employee::"alice"',
+    '--policies', resolve(ROOT, 'cedar/policies'), '--policies', policies,
+    '--context', resolve(ROOT, 'examples/requests/alice-view.json'),
+    '--engine', 'js', '--chunks', resolve(ROOT, 'data/chunks.jsonl')
+  ], { encoding: 'utf-8' });
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /added\s+forbid hr-tenant/);
+  assert.match(result.stdout, /- hr-note#1 \(only A\)/);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression, toCedarText } from '../src/compile/cedar-parser.js';
+import { simplifyExpression } from '../src/compile/simplify.js';
+
+// Simplify Cedar expression text and print the result
+function simplify(text) {
+  return toCedarText(simplifyExpression(parseExpression(text)));
+}
+
+test('conditions partial evaluation satisfied are dropped', () => {
+  assert.equal(simplify('true && resource.tenant == "custco"'), 'resource.tenant == "custco"');
+  assert.equal(simplify('resource.a == 1 || false'), 'resource.a == 1');
+  assert.equal(simplify('if true then resource.a == 1 else resource.b == 2'), 'resource.a == 1');
+});
+
+test('repeated and contradictory conditions fold', () => {
+  assert.equal(simplify('resource.tenant == "custco" && resource.tenant == "custco"'), 'resource.tenant == "custco"');
+  assert.equal(simplify('resource has a && !(resource has a)'), 'false');
+  assert.equal(simplify('resource == Platform::Chunk::"x" || !(resource == Platform::Chunk::"x")'), 'true');
+});
+
+test('conditions that can error are not folded away', () => {
+  // Cedar errors when the resource has no `a`
+  assert.equal(simplify('resource.a == 1 && !(resource.a == 1)'), 'resource.a == 1 && !(resource.a == 1)');
+  assert.equal(simplify('resource.a || true || resource.b'), 'resource.a || true');
+  assert.equal(simplify('resource has a || true'), 'true');
+  assert.equal(simplify('resource in Platform::Folder::"x" && false'), 'false');
+});
+
+test('comparisons between known values fold', () => {
+  assert.equal(simplify('2 < 3'), 'true');
+  assert.equal(simplify('Platform::Team::"x" == Platform::Tenant::"x"'), 'false');
+});
+
+test('known sets compare by value', () => {
+  assert.equal(simplify('[1, 2] == [2, 1, 1] && resource.a == 1'), 'resource.a == 1');
+  assert.equal(simplify('[1, 2] == [1, 3]'), 'false');
+  assert.equal(simplify('{a: [1, 2]} == {a: [2, 1]}'), 'true');
+  assert.equal(simplify('[[1, 2]].contains([2, 1])'), 'true');
+  assert.equal(simplify('[1, 2].containsAll([2, 2, 1])'), 'true');
+});